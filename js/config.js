@@ -16,6 +16,14 @@ export const CONFIG = {
     
     // Application settings
     APP_NAME: 'The Stylus',
+
+    // Google Sheets request scheduling (the API allows 60 requests per minute per user)
+    SHEETS_REQUESTS_PER_MINUTE: 55,
+    SHEETS_MAX_RETRIES: 5,
+
+    // Days after which a claim without a result counts as stale (a pod can set its own with a
+    // "Stale Claim Days" metadata row)
+    STALE_CLAIM_DAYS: 7,
     
     // Local storage keys
     STORAGE_KEYS: {
@@ -27,5 +35,13 @@ export const CONFIG = {
         LAST_LOGIN: 'last_login',
         RECENT_PODS: 'recent_pods',
         RECENT_HUBS: 'recent_hubs',
+        KEY_BINDINGS: 'key_bindings',
+        THREAD_TEMPLATES: 'thread_templates',
+        GURU_STATS: 'guru_stats',
+        PRIVATE_NOTES: 'private_notes',
+        WORK_QUEUE: 'work_queue',
+        BROWSER_NOTIFICATIONS: 'browser_notifications',
+        DISCORD_WEBHOOKS: 'discord_webhooks',
+        POSTED_THREADS: 'posted_threads',
     }
 };
@@ -1,20 +1,34 @@
 import { GoogleSheetsAPI } from './modules/googleSheetsAPI.js';
+import { LocalPodBackend, isLocalSpreadsheetId } from './modules/localPodBackend.js';
+import { BackendRouter } from './modules/backendRouter.js';
 import { UIController } from './modules/uiController.js';
 import { AuthManager } from './modules/authManager.js';
 import { GuruSignature } from './modules/guruSignature.js';
 import { GuruAnalysisInterface } from './modules/guruAnalysisInterface.js';
+import { AuditLog } from './modules/auditLog.js';
 import { RecentPodsManager } from './modules/recentPods.js';
+import { GuruStatsManager } from './modules/guruStats.js';
+import { WorkQueue } from './modules/workQueue.js';
 import { CONFIG } from './config.js';
 import { isValidGoogleSheetsUrl, extractSheetId, sanitizeUrlParam } from './utils/urlUtils.js';
+import { downloadTextFile } from './utils/domUtils.js';
 
 class ThreeCardBlindGuruTool {
     constructor() {
         this.authManager = new AuthManager();
         this.guruSignature = new GuruSignature(this.authManager);
-        this.sheetsAPI = new GoogleSheetsAPI(this.authManager);
+        // Pods live in Google Sheets or, when imported from a file, on this device
+        this.localBackend = new LocalPodBackend();
+        this.sheetsAPI = new BackendRouter(new GoogleSheetsAPI(this.authManager), this.localBackend);
         this.uiController = new UIController();
         this.analysisInterface = null; // Initialized after auth
-        this.recentPodsManager = new RecentPodsManager();
+        this.recentPodsManager = new RecentPodsManager(this.sheetsAPI);
+        this.guruStatsManager = new GuruStatsManager();
+        this.workQueue = new WorkQueue(this.sheetsAPI);
+        this.workQueue.onNavigate((item) => this.openQueueItem(item));
+        this.workQueue.onFinish((hubTitle) => {
+            this.uiController.showStatus(`Nothing is waiting for you in ${hubTitle} anymore`, 'success');
+        });
 
         this.currentSheetData = null;
         this.currentSheetId = null;
@@ -31,6 +45,7 @@ class ThreeCardBlindGuruTool {
             
             // Set up event listeners first, before any authentication
             this.setupPreferencesHandlers();
+            this.setupLocalModeHandlers();
             
             // Check authentication status
             const isAuthenticated = await this.authManager.checkAuthStatus();
@@ -74,6 +89,11 @@ class ThreeCardBlindGuruTool {
                         this.authManager.showLoginScreen();
                     }
                 }
+            } else if (isLocalSpreadsheetId(sanitizeUrlParam(new URLSearchParams(window.location.search).get('pod')))) {
+                // Pods stored on this device can be opened without signing in
+                this.startLocalMode();
+                this.uiController.hideHomeScreen();
+                await this.handleURLParameters();
             } else {
                 // User is not authenticated, show login screen
                 console.log('User not authenticated, showing login screen');
@@ -85,7 +105,20 @@ class ThreeCardBlindGuruTool {
             this.uiController.showStatus('Error initializing Google API. Please refresh the page.', 'error');
         }
     }
-    
+    /**
+     * Update the guru's stats for the loaded pod
+     */
+    recordGuruStats() {
+        if (!this.analysisInterface || !this.currentSheetId) return;
+        this.guruStatsManager.recordPod(
+            this.currentSheetId,
+            this.currentSheetData?.title || 'Untitled Pod',
+            this.analysisInterface.allRows,
+            this.guruSignature.getSignature(),
+            this.analysisInterface.guruColors
+        );
+    }
+
     setupPreferencesHandlers() {
         // Listen for user login
         window.addEventListener('userLoggedIn', async () => {
@@ -111,6 +144,10 @@ class ThreeCardBlindGuruTool {
                 this.guruSignature.initSignature(await this.authManager.userPreferences.getGuruSignature());
                 // setUserPreferences already loads and renders recent pods/hubs
                 this.recentPodsManager.setUserPreferences(this.authManager.userPreferences);
+                this.guruStatsManager.signature = this.guruSignature.getSignature();
+                this.guruStatsManager.setUserPreferences(this.authManager.userPreferences);
+                // An interface kept from before a sign-out follows the guru who signed in
+                this.analysisInterface?.setUserPreferences(this.authManager.userPreferences);
             }
         });
         // Clear preferences on logout
@@ -121,6 +158,75 @@ class ThreeCardBlindGuruTool {
         });
     }
 
+    setupLocalModeHandlers() {
+        const localModeBtn = document.getElementById('local-mode-btn');
+        if (localModeBtn) {
+            localModeBtn.addEventListener('click', () => this.startLocalMode());
+        }
+    }
+
+    /**
+     * Show the app without signing in, to work on pod files stored on this device
+     */
+    startLocalMode() {
+        console.log('📂 Working offline with local pod files');
+        this.authManager.showAppContent();
+
+        if (!this.handlersSetup) {
+            this.setupGuruSignatureHandlers();
+            this.bindEvents();
+            this.handlersSetup = true;
+        }
+
+        const storedSignature = localStorage.getItem(CONFIG.STORAGE_KEYS.GURU_SIGNATURE);
+        this.authManager.guruSignature = storedSignature || '';
+        this.guruSignature.initSignature(storedSignature);
+        this.uiController.showStatus('Working offline - open a pod file to start', 'info');
+    }
+
+    /**
+     * Import a pod or hub file into this device's storage and open it
+     * @param {File} file - JSON or CSV file chosen by the user
+     */
+    async openPodFile(file) {
+        try {
+            this.uiController.showStatus(`Opening ${file.name}...`, 'loading');
+            // Replacing a pod on this device loses the scoring done in it since the file was made
+            const spreadsheetIds = await this.localBackend.importFile(file, titles => this.uiController.showConfirmDialog(
+                `${titles.join(', ')} ${titles.length === 1 ? 'is' : 'are'} already on this device. Replace ${titles.length === 1 ? 'it' : 'them'} with the file, losing the changes made since? Cancel keeps ${titles.length === 1 ? 'it' : 'them'} and opens the file as a copy.`
+            ));
+
+            // Hubs go to the recent hubs list, the first pod is opened right away
+            let podId = null;
+            for (const spreadsheetId of spreadsheetIds) {
+                const metadata = await this.localBackend.getSheetMetadata(spreadsheetId);
+                if (metadata.sheets.some(sheet => sheet.title.toLowerCase() === 'totals')) {
+                    await this.recentPodsManager.addRecentHub(spreadsheetId);
+                } else if (!podId) {
+                    podId = spreadsheetId;
+                }
+            }
+
+            if (podId) {
+                await this.loadSheet(podId);
+            } else {
+                this.uiController.showStatus(`Opened ${file.name}`, 'success');
+            }
+        } catch (error) {
+            console.error('Error opening pod file:', error);
+            this.uiController.showStatus(`Could not open ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    async downloadLocalPod() {
+        if (!isLocalSpreadsheetId(this.currentSheetId)) {
+            return;
+        }
+        const json = await this.localBackend.exportSpreadsheet(this.currentSheetId);
+        const title = this.currentSheetData?.title || 'pod';
+        downloadTextFile(`${title}.json`, json, 'application/json');
+    }
+
     /**
      * Show simple loading indicator under header
      */
@@ -148,6 +254,13 @@ class ThreeCardBlindGuruTool {
         localStorage.removeItem(CONFIG.STORAGE_KEYS.GURU_SIGNATURE);
         localStorage.removeItem(CONFIG.STORAGE_KEYS.RECENT_PODS);
         localStorage.removeItem(CONFIG.STORAGE_KEYS.RECENT_HUBS);
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.GURU_STATS);
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.WORK_QUEUE);
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.BROWSER_NOTIFICATIONS);
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.DISCORD_WEBHOOKS);
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.PRIVATE_NOTES);
+        // Private notes are also held in memory by the open analysis interface
+        this.analysisInterface?.privateNotes.clear();
         console.log('🗑️ Cleared local preferences from localStorage');
     }
 
@@ -155,10 +268,12 @@ class ThreeCardBlindGuruTool {
         // Listen for signature events
         this.guruSignature.onSignatureSet((signature) => {
             console.log('Guru signature set:', signature);
+            this.guruStatsManager.setSignature(signature);
             this.uiController.showStatus(`Welcome, ${signature}! Ready to edit pod sheets.`, 'success');
         });
         this.guruSignature.onSignatureChanged((signature) => {
             console.log('Guru signature changed:', signature);
+            this.guruStatsManager.setSignature(signature);
             if (!signature) {
                 this.uiController.showStatus('Please set your Guru Signature to continue.', 'info');
             }
@@ -173,7 +288,11 @@ class ThreeCardBlindGuruTool {
 
         loadBtn.addEventListener('click', () => this.loadSheet());
         refreshBtn.addEventListener('click', () => this.refreshSheet());
-        exitAnalysisBtn.addEventListener('click', () => this.uiController.showSheetInputSection());
+        exitAnalysisBtn.addEventListener('click', () => {
+            // Results scored in this session count towards the stats shown on the home screen
+            this.recordGuruStats();
+            this.uiController.showSheetInputSection();
+        });
         
         // Allow Enter key to trigger load
         sheetUrlInput.addEventListener('keypress', (e) => {
@@ -182,6 +301,25 @@ class ThreeCardBlindGuruTool {
             }
         });
 
+        const podFileInput = document.getElementById('pod-file-input');
+        podFileInput.addEventListener('change', async () => {
+            const file = podFileInput.files[0];
+            if (file) {
+                await this.openPodFile(file);
+            }
+            podFileInput.value = '';
+        });
+
+        document.getElementById('download-pod-btn').addEventListener('click', () => this.downloadLocalPod());
+
+        // "My queue" of a hub, started from the recent hubs list
+        window.addEventListener('workQueueRequested', (e) => {
+            this.startWorkQueue(e.detail.hubManager, e.detail.hubTitle);
+        });
+        window.addEventListener('matchShown', (e) => {
+            this.workQueue.render(e.detail.podId, e.detail.matchNumber);
+        });
+
         // Listen for user logout to optionally handle recent pods
         window.addEventListener('userLoggedOut', () => {
             // Note: We keep recent pods even after logout so they're available when user logs back in
@@ -191,6 +329,66 @@ class ThreeCardBlindGuruTool {
         });
     }
 
+    /**
+     * Collect the guru's unscored matches and discrepancies from every pod of a hub and open the first
+     * @param {HubManager} hubManager - Hub to collect from
+     * @param {string} hubTitle - Hub title
+     */
+    async startWorkQueue(hubManager, hubTitle) {
+        if (!this.guruSignature.hasSignature()) {
+            this.uiController.showStatus('Please set your Guru Signature before starting your queue', 'error');
+            this.guruSignature.showSignatureSection();
+            return;
+        }
+
+        try {
+            this.showLoading(`Building your queue for ${hubTitle}...`);
+            const result = await this.workQueue.build(hubManager, hubTitle, this.guruSignature.getSignature(), (done, total, podName) => {
+                this.showLoading(`Building your queue: ${podName} (${done + 1}/${total})...`);
+            });
+            this.hideLoading();
+
+            const unreadable = result.failedPods.length > 0 ? ` Could not read: ${result.failedPods.join(', ')}` : '';
+            if (result.items === 0) {
+                this.workQueue.stop();
+                this.uiController.showStatus(`Nothing is waiting for you in ${hubTitle}.${unreadable}`, result.failedPods.length > 0 ? 'info' : 'success');
+                return;
+            }
+
+            await this.openQueueItem(this.workQueue.getCurrentItem());
+            if (unreadable) {
+                this.uiController.showStatus(`Your queue has ${result.items} matches.${unreadable}`, 'info');
+            }
+        } catch (error) {
+            console.error('Error building work queue:', error);
+            this.hideLoading();
+            this.uiController.showStatus(`Could not build your queue: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Open a queue match, switching pods only when it is in another pod than the open one
+     * @param {Object} item - Queue item { podId, matchNumber, color }
+     */
+    async openQueueItem(item) {
+        const analysis = this.analysisInterface;
+        const inOpenPod = analysis && item.podId === this.currentSheetId
+            && item.matchNumber <= analysis.allRows.length
+            && analysis.guruColors.includes(item.color);
+
+        if (inOpenPod) {
+            // A guru can hold two colours of the same pod
+            analysis.currentGuruColor = item.color;
+            analysis.currentRowIndex = item.matchNumber - 1;
+            this.uiController.showSheetEditor(this.currentSheetData?.title || 'Untitled Pod', this.currentSheetId);
+            await analysis.showCurrentRow();
+        } else {
+            // Results scored in the pod being left count towards the stats
+            this.recordGuruStats();
+            await this.loadSheet(item.podId, item.color, item.matchNumber);
+        }
+    }
+
     async checkForDirectAnalysisMode() {
         const urlParams = new URLSearchParams(window.location.search);
         const podId = sanitizeUrlParam(urlParams.get('pod'));
@@ -239,6 +437,11 @@ class ThreeCardBlindGuruTool {
                 await this.loadSheet(podId, guruColor, rowNumber ? parseInt(rowNumber, 10) : null);
                 
                 this.hideLoading();
+
+                // A shared link can open the match table with a filter
+                if (this.analysisInterface?.allRows.length > 0) {
+                    await this.analysisInterface.showMatchTableFromURL(urlParams);
+                }
                 
             } catch (error) {
                 console.warn('Failed to auto-load pod from URL:', error);
@@ -278,16 +481,19 @@ class ThreeCardBlindGuruTool {
                 return;
             }
 
-            if (!isValidGoogleSheetsUrl(url)) {
+            if (isLocalSpreadsheetId(url)) {
+                // Pod stored on this device (e.g. picked from recent pods)
+                targetSheetId = url;
+            } else if (!isValidGoogleSheetsUrl(url)) {
                 this.uiController.showStatus('Please enter a valid Google Sheets URL', 'error');
                 return;
+            } else {
+                targetSheetId = extractSheetId(url);
             }
-            
-            targetSheetId = extractSheetId(url);
             sheetUrl = url;
         } else {
             // Construct URL from sheet ID for recent pods functionality
-            sheetUrl = `https://docs.google.com/spreadsheets/d/${targetSheetId}`;
+            sheetUrl = this.sheetsAPI.getSpreadsheetUrl(targetSheetId);
         }
 
         try {
@@ -301,13 +507,17 @@ class ThreeCardBlindGuruTool {
             
             // Load data into the analysis interface
             if (!this.analysisInterface) {
-                this.analysisInterface = new GuruAnalysisInterface(this.sheetsAPI, this.uiController, this.authManager.guruSignature);
+                const auditLog = new AuditLog(this.sheetsAPI, () => this.guruSignature.getSessionId());
+                this.analysisInterface = new GuruAnalysisInterface(this.sheetsAPI, this.uiController, this.authManager.guruSignature, auditLog);
+                this.analysisInterface.setUserPreferences(this.authManager.userPreferences);
             } else {
                 this.analysisInterface.reset();
                 this.analysisInterface.setGuruSignature(this.authManager.guruSignature);
             }
             const isLoaded = await this.analysisInterface.loadData(sheetData, guruColor, rowNumber);
+            this.recordGuruStats();
             this.uiController.showSheetEditor(sheetData.title || 'Untitled Pod', targetSheetId);
+            document.getElementById('download-pod-btn').style.display = isLocalSpreadsheetId(targetSheetId) ? '' : 'none';
             if (isLoaded) {
                 await this.analysisInterface.showCurrentRow();
             }
@@ -321,7 +531,14 @@ class ThreeCardBlindGuruTool {
             console.log('Adding recent pod:', sheetData.title || 'Untitled Pod');
             this.recentPodsManager.addRecentPod(targetSheetId, sheetData.title || 'Untitled Pod', sheetUrl);
 
-            this.uiController.showStatus(`Loaded pod - ${sheetData.title || 'Untitled Pod'}`, 'success');
+            const mergeWarnings = sheetData.sheets.find(sheet => sheet.title === 'Merged Gurus')?.warnings || [];
+            if (mergeWarnings.length > 0) {
+                // The guru sheets disagree, so some matches may show the wrong players or results
+                const more = mergeWarnings.length > 1 ? ` (+${mergeWarnings.length - 1} more, see console)` : '';
+                this.uiController.showStatus(`Loaded pod - ${sheetData.title || 'Untitled Pod'}. Warning: ${mergeWarnings[0]}${more}`, 'info');
+            } else {
+                this.uiController.showStatus(`Loaded pod - ${sheetData.title || 'Untitled Pod'}`, 'success');
+            }
 
         } catch (error) {
             console.error('Error loading pod:', error);
@@ -0,0 +1,150 @@
+/**
+ * Audit Log
+ * Appends one row per cell written through The Stylus to the pod's optional "Stylus Log" sheet,
+ * and reads it back to show the history of a match. Logging is opt-in: it only happens when the
+ * pod has a sheet with that name, so head gurus enable it by adding the sheet.
+ */
+
+export const AUDIT_LOG_SHEET_TITLE = 'Stylus Log';
+
+const AUDIT_LOG_HEADER = ['Timestamp', 'Signature', 'Colour', 'Match', 'Column', 'Old Value', 'New Value', 'Session'];
+
+export class AuditLog {
+    /**
+     * @param {PodBackend} sheetsAPI - Backend the pod lives in
+     * @param {Function} getSessionId - Returns the id of this browser session (GuruSignature.getSessionId)
+     */
+    constructor(sheetsAPI, getSessionId) {
+        this.sheetsAPI = sheetsAPI;
+        this.getSessionId = getSessionId;
+        // Pods whose log sheet is known to have its header row
+        this.headerChecked = new Set();
+    }
+
+    /**
+     * @param {string} spreadsheetId - Pod spreadsheet ID
+     * @returns {Promise<Object|null>} The log sheet's metadata, or null if the pod has none
+     */
+    async findLogSheet(spreadsheetId) {
+        const metadata = await this.sheetsAPI.getSheetMetadata(spreadsheetId);
+        return metadata.sheets.find(sheet => sheet.title.toLowerCase() === AUDIT_LOG_SHEET_TITLE.toLowerCase()) || null;
+    }
+
+    /**
+     * Append entries to the log. Failures are only reported in the console: the change itself
+     * has already been saved and must not look failed because of the log.
+     * @param {string} spreadsheetId - Pod spreadsheet ID
+     * @param {Array<Object>} entries - [{ signature, color, matchNumber, column, oldValue, newValue }]
+     */
+    async append(spreadsheetId, entries) {
+        if (!entries || entries.length === 0) {
+            return;
+        }
+
+        try {
+            const sheet = await this.findLogSheet(spreadsheetId);
+            if (!sheet) {
+                return;
+            }
+
+            const rows = [];
+            if (!this.headerChecked.has(spreadsheetId)) {
+                const [firstRow] = await this.sheetsAPI.batchGetValues(spreadsheetId, [`'${sheet.title}'!A1:H1`]);
+                if (!firstRow || firstRow.length === 0) {
+                    rows.push(AUDIT_LOG_HEADER);
+                }
+                this.headerChecked.add(spreadsheetId);
+            }
+
+            const timestamp = new Date().toISOString();
+            const sessionId = this.getSessionId();
+            entries.forEach(entry => {
+                rows.push([
+                    timestamp,
+                    entry.signature || '',
+                    entry.color || '',
+                    entry.matchNumber ?? '',
+                    entry.column || '',
+                    entry.oldValue || '',
+                    entry.newValue || '',
+                    sessionId
+                ]);
+            });
+
+            await this.sheetsAPI.batchUpdate(spreadsheetId, [{
+                appendCells: {
+                    sheetId: sheet.sheetId,
+                    rows: rows.map(row => ({
+                        values: row.map(value => ({
+                            userEnteredValue: typeof value === 'number' ? { numberValue: value } : { stringValue: value.toString() }
+                        }))
+                    })),
+                    fields: 'userEnteredValue'
+                }
+            }]);
+            console.log(`📜 Logged ${entries.length} change(s) to ${AUDIT_LOG_SHEET_TITLE}`);
+        } catch (error) {
+            console.warn(`Could not write to ${AUDIT_LOG_SHEET_TITLE}:`, error);
+        }
+    }
+
+    /**
+     * Read every entry of the log, oldest first
+     * @param {string} spreadsheetId - Pod spreadsheet ID
+     * @returns {Promise<Array<Object>|null>} The entries, or null if the pod has no log sheet
+     */
+    async getEntries(spreadsheetId) {
+        const sheet = await this.findLogSheet(spreadsheetId);
+        if (!sheet) {
+            return null;
+        }
+
+        const [values] = await this.sheetsAPI.batchGetValues(spreadsheetId, [`'${sheet.title}'!A:H`]);
+        return (values || [])
+            .filter(row => row[0] !== AUDIT_LOG_HEADER[0])
+            .map(row => ({
+                timestamp: row[0] || '',
+                signature: row[1] || '',
+                color: row[2] || '',
+                matchNumber: row[3] || '',
+                column: row[4] || '',
+                oldValue: row[5] || '',
+                newValue: row[6] || '',
+                sessionId: row[7] || ''
+            }));
+    }
+
+    /**
+     * Read the logged changes of one match, newest first
+     * @param {string} spreadsheetId - Pod spreadsheet ID
+     * @param {number} matchNumber - Match number as shown in the app
+     * @returns {Promise<Array<Object>|null>} The entries, or null if the pod has no log sheet
+     */
+    async getMatchHistory(spreadsheetId, matchNumber) {
+        const entries = await this.getEntries(spreadsheetId);
+        return entries && entries
+            .filter(entry => entry.matchNumber.toString() === matchNumber.toString())
+            .reverse();
+    }
+
+    /**
+     * When each signature now on the pod was written, from the latest logged change of each
+     * signature cell
+     * @param {string} spreadsheetId - Pod spreadsheet ID
+     * @returns {Promise<Map<string, Object>|null>} "<match>:<colour>" -> { signature, time }, or null if the pod has no log sheet
+     */
+    async getClaimTimes(spreadsheetId) {
+        const entries = await this.getEntries(spreadsheetId);
+        if (!entries) {
+            return null;
+        }
+
+        const claims = new Map();
+        entries.forEach(entry => {
+            const time = Date.parse(entry.timestamp);
+            if (entry.column !== 'Signature' || isNaN(time)) return;
+            claims.set(`${entry.matchNumber}:${entry.color.toLowerCase()}`, { signature: entry.newValue, time });
+        });
+        return claims;
+    }
+}
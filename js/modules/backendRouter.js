@@ -0,0 +1,54 @@
+/**
+ * Backend Router
+ * Single entry point for pod data: dispatches every call to the local provider for
+ * spreadsheets stored in the browser and to Google Sheets for everything else.
+ */
+import { PodBackend } from './podBackend.js';
+import { isLocalSpreadsheetId } from './localPodBackend.js';
+
+const DELEGATED_METHODS = [
+    'getSheetData',
+    'getSheetMetadata',
+    'getCustomMetadata',
+    'getDeckNotes',
+    'mergeGuruSheets',
+    'batchGetValues',
+    'updateSheetData',
+    'checkedUpdateSheetData',
+    'clearCell',
+    'batchUpdate',
+    'unhideGuruSheets',
+    'getSheetCells',
+    'getSpreadsheetTitle',
+    'getSpreadsheetUrl',
+    'requiresNetwork'
+];
+
+export class BackendRouter extends PodBackend {
+    /**
+     * @param {PodBackend} googleBackend - Provider for Google Sheets
+     * @param {PodBackend} localBackend - Provider for spreadsheets stored on this device
+     */
+    constructor(googleBackend, localBackend) {
+        super();
+        this.google = googleBackend;
+        this.local = localBackend;
+
+        // Every interface method takes the spreadsheet ID first, which decides the provider
+        DELEGATED_METHODS.forEach(method => {
+            this[method] = (spreadsheetId, ...args) => this.forSpreadsheet(spreadsheetId)[method](spreadsheetId, ...args);
+        });
+    }
+
+    /**
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @returns {PodBackend} The provider that holds this spreadsheet
+     */
+    forSpreadsheet(spreadsheetId) {
+        return isLocalSpreadsheetId(spreadsheetId) ? this.local : this.google;
+    }
+
+    isLocal(spreadsheetId) {
+        return isLocalSpreadsheetId(spreadsheetId);
+    }
+}
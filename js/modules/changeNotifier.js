@@ -0,0 +1,201 @@
+/**
+ * Change Notifier
+ * Compares the rows of a pod before and after a background reload and alerts the guru to what
+ * other gurus did to their matches: new discrepancies on matches they scored, results changed
+ * on matches they own, and new claims on the decks they are working through. Alerts are listed
+ * behind the 🔔 button of the editor and, if the guru allows it, shown as browser notifications
+ * while the app is in the background.
+ */
+import { CONFIG } from '../config.js';
+import { getElement } from '../utils/domUtils.js';
+import { normalizeResult } from '../utils/podUtils.js';
+import { formatGuruColor } from './podBackend.js';
+
+/**
+ * Whether the scored results of a row disagree
+ * @param {Array<string>} results - Normalised results, '' when not scored
+ */
+function hasDiscrepancy(results) {
+    const scored = results.filter(Boolean);
+    return scored.length >= 2 && new Set(scored).size > 1;
+}
+
+/**
+ * Find what other gurus changed on a guru's matches between two loads of a pod
+ * @param {Array<Object>} oldRows - Rows before the reload
+ * @param {Array<Object>} newRows - Rows after the reload
+ * @param {string} signature - Guru signature
+ * @param {Array<string>} colors - Guru colours of the pod
+ * @returns {Array<Object>} Changes { kind: 'discrepancy'|'result'|'claim', matchNumber, color, before, after, signature, player1, player2 }
+ */
+export function findMatchChanges(oldRows, newRows, signature, colors) {
+    const changes = [];
+    if (!signature) return changes;
+
+    const keyOf = row => `${row.sheetId}:${row.originalRowIndex}`;
+    const oldByKey = new Map(oldRows.map(row => [keyOf(row), row]));
+
+    // Player 1 decks the guru is working through, per colour they claimed them in
+    const myDecks = new Set();
+    oldRows.forEach(row => {
+        colors.forEach(color => {
+            if (row[`${color}Signature`] === signature) {
+                myDecks.add(`${color}:${row.player1}`);
+            }
+        });
+    });
+
+    newRows.forEach((row, index) => {
+        const old = oldByKey.get(keyOf(row));
+        // A row that moved or changed players is a different match
+        if (!old || old.player1 !== row.player1 || old.player2 !== row.player2) return;
+
+        const match = { matchNumber: index + 1, player1: row.player1, player2: row.player2 };
+        const myColor = colors.find(color => row[`${color}Signature`] === signature);
+        const oldResults = colors.map(color => normalizeResult(old[`${color}Analysis`]));
+        const newResults = colors.map(color => normalizeResult(row[`${color}Analysis`]));
+
+        // Other gurus' results are only revealed once the guru has scored the match themselves
+        if (myColor && newResults[colors.indexOf(myColor)]) {
+            // The guru whose new result caused the discrepancy; when only the guru's own result was
+            // changed (by someone else), that is reported as a changed result
+            const color = hasDiscrepancy(newResults) && !hasDiscrepancy(oldResults)
+                ? colors.find((c, i) => c !== myColor && newResults[i] && newResults[i] !== oldResults[i])
+                : null;
+            if (color) {
+                changes.push({ kind: 'discrepancy', color, before: old[`${color}Analysis`] || '', after: row[`${color}Analysis`] || '', signature: row[`${color}Signature`] || '', ...match });
+            } else {
+                colors.forEach((color, i) => {
+                    if (oldResults[i] && oldResults[i] !== newResults[i]) {
+                        changes.push({ kind: 'result', color, before: old[`${color}Analysis`] || '', after: row[`${color}Analysis`] || '', signature: row[`${color}Signature`] || '', ...match });
+                    }
+                });
+            }
+        }
+
+        colors.forEach(color => {
+            const claimedBy = row[`${color}Signature`] || '';
+            if (claimedBy && claimedBy !== signature && claimedBy !== (old[`${color}Signature`] || '') && myDecks.has(`${color}:${row.player1}`)) {
+                changes.push({ kind: 'claim', color, before: '', after: '', signature: claimedBy, ...match });
+            }
+        });
+    });
+
+    return changes;
+}
+
+export class ChangeNotifier {
+    /**
+     * @param {Function} formatResult - Turns an analysis value into its display name (e.g. "1" -> "Win")
+     */
+    constructor(formatResult) {
+        this.formatResult = formatResult;
+        this.alerts = []; // newest first: { ...change, podId, message, time }
+        this.unread = 0;
+        this.maxAlerts = 50;
+        this.clickCallbacks = [];
+    }
+
+    /**
+     * Register a callback for a click on a browser notification: callback(alert)
+     */
+    onAlertClick(callback) {
+        this.clickCallbacks.push(callback);
+    }
+
+    browserNotificationsEnabled() {
+        return localStorage.getItem(CONFIG.STORAGE_KEYS.BROWSER_NOTIFICATIONS) === 'true'
+            && typeof Notification !== 'undefined'
+            && Notification.permission === 'granted';
+    }
+
+    /**
+     * Turn browser notifications on or off on this device, asking for permission when turning them on
+     * @param {boolean} enabled - Whether to show browser notifications
+     * @returns {Promise<boolean>} Whether browser notifications are now on
+     */
+    async setBrowserNotifications(enabled) {
+        if (enabled) {
+            if (typeof Notification === 'undefined') {
+                throw new Error('This browser does not support notifications');
+            }
+            const permission = Notification.permission === 'granted'
+                ? 'granted'
+                : await Notification.requestPermission();
+            if (permission !== 'granted') {
+                throw new Error('Notifications are blocked for this site in the browser settings');
+            }
+        }
+        localStorage.setItem(CONFIG.STORAGE_KEYS.BROWSER_NOTIFICATIONS, enabled ? 'true' : 'false');
+        return this.browserNotificationsEnabled();
+    }
+
+    /**
+     * @param {Object} change - Result of findMatchChanges
+     * @returns {string} Text of the alert
+     */
+    describe(change) {
+        const match = `Match ${change.matchNumber} (${change.player1} vs ${change.player2})`;
+        const guru = `${formatGuruColor(change.color)}${change.signature ? ` (${change.signature})` : ''}`;
+        const before = this.formatResult(change.before) || 'not scored';
+        const after = this.formatResult(change.after) || 'not scored';
+        switch (change.kind) {
+            case 'discrepancy':
+                return `${match}: ${guru} scored ${after}, which is now a discrepancy`;
+            case 'result':
+                return `${match}: ${guru} result changed from ${before} to ${after}`;
+            case 'claim':
+                return `${match}: claimed by ${change.signature} as ${formatGuruColor(change.color)} on a deck you are working on`;
+            default:
+                return match;
+        }
+    }
+
+    /**
+     * Raise alerts for the changes found in a pod
+     * @param {string} podId - Pod the changes are in
+     * @param {Array<Object>} changes - Result of findMatchChanges
+     */
+    notify(podId, changes) {
+        if (changes.length === 0) return;
+
+        const alerts = changes.map(change => ({ ...change, podId, message: this.describe(change), time: Date.now() }));
+        this.alerts = [...alerts.reverse(), ...this.alerts].slice(0, this.maxAlerts);
+        this.unread += alerts.length;
+        this.renderBadge();
+        console.log(`🔔 ${alerts.length} change${alerts.length === 1 ? '' : 's'} on your matches`, alerts);
+
+        // Browser notifications are for when the guru is not looking at the app
+        if (this.browserNotificationsEnabled() && document.hidden) {
+            const shown = alerts.length > 3
+                ? [{ ...alerts[0], message: `${alerts.length} changes on your matches` }]
+                : alerts;
+            shown.forEach(alert => {
+                const notification = new Notification('The Stylus', { body: alert.message, tag: `${alert.podId}:${alert.matchNumber}:${alert.kind}` });
+                notification.onclick = () => {
+                    window.focus();
+                    notification.close();
+                    this.clickCallbacks.forEach(callback => callback(alert));
+                };
+            });
+        }
+    }
+
+    markRead() {
+        this.unread = 0;
+        this.renderBadge();
+    }
+
+    clear() {
+        this.alerts = [];
+        this.unread = 0;
+        this.renderBadge();
+    }
+
+    renderBadge() {
+        const button = getElement('notifications-btn');
+        if (!button) return;
+        button.textContent = this.unread > 0 ? `🔔 ${this.unread}` : '🔔';
+        button.classList.toggle('has-unread', this.unread > 0);
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * Discord Webhook
+ * Posts the Discord thread of a match straight to a hub's forum channel through a webhook, instead
+ * of copy-pasting its title and text. The webhook URL is set per hub, in the guru's preferences or
+ * in a pod's metadata sheet ("Discord Webhook URL"). The link of each posted thread is kept on this
+ * device so the match shows as having a thread until the hub's "All Threads" sheet lists it.
+ * Run `npm run mock-webhook` for a local endpoint that answers like Discord, to try it out.
+ */
+import { CONFIG } from '../config.js';
+
+// Discord limits of a forum post
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_THREAD_NAME_LENGTH = 100;
+
+/**
+ * @param {string} url - Webhook URL as typed
+ * @returns {boolean} Whether it is a Discord webhook, or the local mock of one
+ */
+export function isValidWebhookUrl(url) {
+    return /^https:\/\/(?:ptb\.|canary\.)?discord(?:app)?\.com\/api\/(?:v\d+\/)?webhooks\/\d+\/[\w-]+\/?$/.test(url)
+        || /^http:\/\/(?:localhost|127\.0\.0\.1)(?::\d+)?\/api\/webhooks\/\d+\/[\w-]+\/?$/.test(url);
+}
+
+/**
+ * Link to the thread a forum post created. Webhook messages do not say which server they are in,
+ * so the guild ID comes from the webhook itself.
+ * @param {Object} message - Message returned by Discord
+ * @param {string} guildId - Server of the webhook
+ * @returns {string} Discord link of the thread
+ */
+export function buildThreadLink(message, guildId) {
+    return `https://discord.com/channels/${message.guild_id || guildId}/${message.channel_id}`;
+}
+
+export class DiscordWebhook {
+    constructor() {
+        // `${podId}:${matchNumber}` -> { url, postedAt }
+        this.postedThreads = this.loadPostedThreads();
+        // Webhook URL -> webhook details returned by Discord
+        this.infoCache = new Map();
+    }
+
+    loadPostedThreads() {
+        try {
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.POSTED_THREADS);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading posted threads from localStorage:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Send a request to a webhook and read Discord's answer
+     * @param {string} url - Webhook URL
+     * @param {Object} options - fetch options
+     * @returns {Promise<Object>} Parsed JSON answer
+     */
+    async request(url, options = {}) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            throw new Error(`Could not reach the webhook: ${error.message}`);
+        }
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            if (response.status === 429) {
+                throw new Error(`Discord is rate limiting this webhook, try again in ${Math.ceil(body.retry_after || 1)} seconds`);
+            }
+            throw new Error(`Discord refused the request (${response.status}): ${body.message || response.statusText}`);
+        }
+        return body;
+    }
+
+    /**
+     * Check a webhook without posting anything
+     * @param {string} url - Webhook URL
+     * @returns {Promise<Object>} { id, name, channel_id, guild_id }
+     */
+    async getInfo(url) {
+        if (!isValidWebhookUrl(url)) {
+            throw new Error('This is not a Discord webhook URL');
+        }
+        if (!this.infoCache.has(url)) {
+            this.infoCache.set(url, await this.request(url));
+        }
+        return this.infoCache.get(url);
+    }
+
+    /**
+     * Create a forum thread through a webhook
+     * @param {string} url - Webhook URL of a forum channel
+     * @param {Object} post - { title, text } as built by GuruAnalysisInterface.buildThreadPost
+     * @returns {Promise<Object>} { url, threadId, messageId }
+     */
+    async postThread(url, post) {
+        const title = post.title.trim();
+        const text = post.text.trim();
+        if (!title || !text) {
+            throw new Error('The post needs a title and a text');
+        }
+        if (title.length > MAX_THREAD_NAME_LENGTH) {
+            throw new Error(`Thread titles are limited to ${MAX_THREAD_NAME_LENGTH} characters by Discord`);
+        }
+        if (text.length > MAX_CONTENT_LENGTH) {
+            throw new Error(`Posts are limited to ${MAX_CONTENT_LENGTH} characters by Discord, this one has ${text.length}`);
+        }
+
+        const info = await this.getInfo(url);
+        // wait=true makes Discord return the message, and with it the new thread
+        const message = await this.request(`${url.replace(/\/$/, '')}?wait=true`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content: text, thread_name: title })
+        });
+
+        const link = buildThreadLink(message, info.guild_id);
+        console.log(`💬 Posted Discord thread "${title}": ${link}`);
+        return { url: link, threadId: message.channel_id, messageId: message.id };
+    }
+
+    /**
+     * Keep the link of a posted thread on this device
+     * @param {string} podId - Pod sheet ID
+     * @param {number} matchNumber - Match number as shown in the app
+     * @param {string} url - Discord link of the thread
+     */
+    recordPost(podId, matchNumber, url) {
+        this.postedThreads[`${podId}:${matchNumber}`] = { url, postedAt: Date.now() };
+        localStorage.setItem(CONFIG.STORAGE_KEYS.POSTED_THREADS, JSON.stringify(this.postedThreads));
+    }
+
+    /**
+     * @param {string} podId - Pod sheet ID
+     * @param {number} matchNumber - Match number as shown in the app
+     * @returns {Object|null} { url, postedAt } of the thread posted from this device, or null
+     */
+    getPostedThread(podId, matchNumber) {
+        return this.postedThreads[`${podId}:${matchNumber}`] || null;
+    }
+}
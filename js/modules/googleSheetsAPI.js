@@ -1,80 +1,59 @@
-export class GoogleSheetsAPI {
+import { PodBackend } from './podBackend.js';
+import { RequestScheduler, getRequestErrorStatus } from './requestScheduler.js';
+
+/**
+ * @param {string} message - Error message
+ * @param {number|null} status - HTTP status of the failure, kept so callers (e.g. the offline
+ * queue) can tell temporary failures from permanent ones
+ */
+function createStatusError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Pod backend for spreadsheets stored in Google Sheets, accessed through gapi
+ */
+export class GoogleSheetsAPI extends PodBackend {
     constructor(authManager) {
+        super();
         this.authManager = authManager;
+        this.scheduler = new RequestScheduler();
+        // Sheet structure rarely changes, so metadata is reused for a short while
+        // (checked updates and cell clears need it on every write)
+        this.metadataCache = new Map(); // spreadsheetId -> { metadata, fetchedAt }
+        this.metadataTtlMs = 30000;
     }
 
-    async getSheetData(sheetId) {
-        try {
-            if (!this.authManager.isLoggedIn()) {
-                throw new Error('User not authenticated');
-            }
-
-            // Get metadata first to find all sheets
-            const metadata = await this.getSheetMetadata(sheetId);
-            
-            // Check for optional metadata sheet and start loading it in parallel
-            const metadataSheet = metadata.sheets.find(sheet => 
-                sheet.title.toLowerCase() === 'metadata'
-            );
-            const customMetadataPromise = metadataSheet 
-                ? this.getCustomMetadata(sheetId, metadataSheet)
-                : Promise.resolve({});
-            
-            // Only process specific sheets needed for the application
-            const requiredSheetNames = ['Deck Notes', 'Red Gurus', 'Blue Gurus', 'Green Gurus'];
-            const sheetsToProcess = metadata.sheets.filter(sheet => 
-                requiredSheetNames.some(requiredName => 
-                    sheet.title.toLowerCase().includes(requiredName.toLowerCase())
-                )
-            );
-
-            console.log(`Processing sheets: ${sheetsToProcess.map(s => s.title).join(', ')}`);
-
-            // Separate Deck Notes and Guru sheets
-            const deckNotesSheet = sheetsToProcess.find(sheet => 
-                sheet.title.toLowerCase().includes('deck notes')
-            );
-            
-            const guruSheets = sheetsToProcess.filter(sheet => 
-                !sheet.title.toLowerCase().includes('deck notes')
-            );
-
-            // Process both in parallel
-            const sheetPromises = [];
-            
-            if (deckNotesSheet) {
-                sheetPromises.push(this.getDeckNotes(sheetId, deckNotesSheet));
-            }
-            
-            if (guruSheets.length > 0) {
-                sheetPromises.push(this.mergeGuruSheets(sheetId, guruSheets));
-            }
+    /**
+     * Call a Sheets API read method through the scheduler; identical reads in flight are shared
+     * @param {string} method - Method path under gapi.client.sheets, e.g. 'spreadsheets.values.get'
+     * @param {Object} params - Request parameters
+     */
+    sheetsRead(method, params) {
+        return this.scheduler.read(`${method}:${JSON.stringify(params)}`, () => this.callSheetsMethod(method, params));
+    }
 
-            // Wait for all sheet processing to complete
-            const allSheetsData = await Promise.all(sheetPromises);
-            
-            if (guruSheets.length > 0) {
-                const mergedGuruSheet = allSheetsData.find(sheet => sheet.title === 'Merged Gurus');
-                if (mergedGuruSheet) {
-                    console.log("Merged Guru Sheets:", mergedGuruSheet);
-                }
-            }
+    /**
+     * Call a Sheets API write method through the scheduler
+     * @param {string} method - Method path under gapi.client.sheets, e.g. 'spreadsheets.batchUpdate'
+     * @param {Object} params - Request parameters
+     */
+    sheetsWrite(method, params) {
+        return this.scheduler.write(() => this.callSheetsMethod(method, params));
+    }
 
-            // Wait for custom metadata to finish loading
-            const customMetadata = await customMetadataPromise;
-            if (metadataSheet && Object.keys(customMetadata).length > 0) {
-                console.log('📋 Found metadata sheet:', customMetadata);
-            }
+    callSheetsMethod(method, params) {
+        const path = method.split('.');
+        const name = path.pop();
+        const owner = path.reduce((target, key) => target[key], gapi.client.sheets);
+        return owner[name](params);
+    }
 
-            return {
-                sheetId,
-                title: metadata.title,
-                sheets: allSheetsData,
-                metadata: customMetadata
-            };
-        } catch (error) {
-            console.error('API Error:', error);
-            throw new Error(error.message || 'Failed to fetch sheet data');
+    assertReady() {
+        if (!this.authManager.isLoggedIn()) {
+            throw createStatusError('User not authenticated', 401);
         }
     }
 
@@ -85,40 +64,12 @@ export class GoogleSheetsAPI {
      */
     async getCustomMetadata(spreadsheetId, metadataSheet) {
         try {
-            const response = await gapi.client.sheets.spreadsheets.values.get({
+            const response = await this.sheetsRead('spreadsheets.values.get', {
                 spreadsheetId: spreadsheetId,
                 range: `'${metadataSheet.title}'!A:C`,
             });
 
-            const values = response.result.values || [];
-            const metadata = {};
-
-            // Parse each row (skip header if present)
-            for (let i = 0; i < values.length; i++) {
-                const row = values[i];
-                if (row && row.length >= 3) {
-                    const variableName = row[0]?.trim();
-                    // row[1] is the checkmark - we ignore it
-                    const value = row[2]?.trim();
-
-                    // Only add if we have both a variable name and value
-                    if (variableName && value) {
-                        // Convert to camelCase for consistency (e.g., "Pod Name" -> "podName")
-                        const key = variableName
-                            .split(' ')
-                            .map((word, index) => 
-                                index === 0 
-                                    ? word.toLowerCase() 
-                                    : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
-                            )
-                            .join('');
-                        
-                        metadata[key] = value;
-                    }
-                }
-            }
-
-            return metadata;
+            return this.parseCustomMetadata(response.result.values || []);
         } catch (error) {
             console.error('API Error (getCustomMetadata):', error);
             // Don't throw - just return empty object if metadata sheet can't be read
@@ -126,183 +77,18 @@ export class GoogleSheetsAPI {
         }
     }
 
-    async mergeGuruSheets(sheetId, guruSheets) {
-        // Sort sheets to ensure consistent order: Red, Blue, Green
-        const sortedSheets = guruSheets.sort((a, b) => {
-            const order = ['red', 'blue', 'green'];
-            const aIndex = order.findIndex(color => a.title.toLowerCase().includes(color));
-            const bIndex = order.findIndex(color => b.title.toLowerCase().includes(color));
-            return aIndex - bIndex;
-        });
-
-        // Get base data from Red Gurus sheet (columns A:D)
-        const redGuruSheet = sortedSheets.find(sheet => 
-            sheet.title.toLowerCase().includes('red')
-        );
-
-        if (!redGuruSheet) {
-            throw new Error('Red Gurus sheet not found');
-        }
-
-        // Run all queries in parallel for maximum performance
-        const allPromises = [
-            // Base data query (A:C from Red Gurus, excluding outcome column D)
-            gapi.client.sheets.spreadsheets.values.get({
-                spreadsheetId: sheetId,
-                range: `'${redGuruSheet.title}'!A1:C1000`,
-            }),
-            // Analysis and signature queries for all guru sheets
-            ...sortedSheets.map(async (sheet) => {
-                const color = sheet.title.toLowerCase().includes('red') ? 'red' :
-                             sheet.title.toLowerCase().includes('blue') ? 'blue' : 'green';
-                
-                const response = await gapi.client.sheets.spreadsheets.values.get({
-                    spreadsheetId: sheetId,
-                    range: `'${sheet.title}'!E1:F1000`, // Only columns E and F (analysis and signature)
-                });
-
-                return {
-                    color,
-                    sheetId: sheet.sheetId,
-                    values: response.result.values || []
-                };
-            })
-        ];
-
-        // Wait for all queries to complete
-        const [baseResponse, ...guruResults] = await Promise.all(allPromises);
-        const baseValues = baseResponse.result.values || [];
-        
-        // Organize guru results by color
-        const guruData = {};
-        guruResults.forEach(result => {
-            guruData[result.color] = {
-                sheetId: result.sheetId,
-                values: result.values
-            };
-        });
-        
-        // Prepare merged data structure
-        const mergedValues = [];
-        
-        if (baseValues.length > 0) {
-            // Create header row: ID, Player 1, Player 2, Red Analysis, Red Signature, Blue Analysis, Blue Signature, Green Analysis, Green Signature
-            const headerRow = [
-                ...baseValues[0], // A:C from base (ID, Player 1, Player 2)
-                'Red Analysis', 'Red Signature',
-                'Blue Analysis', 'Blue Signature', 
-                'Green Analysis', 'Green Signature'
-            ];
-            mergedValues.push(headerRow);
-
-            // Merge data rows
-            for (let i = 1; i < baseValues.length; i++) {
-                const baseRow = baseValues[i] || [];
-                const mergedRow = [...baseRow];
-
-                // Pad base row to 3 columns if needed
-                while (mergedRow.length < 3) {
-                    mergedRow.push('');
-                }
-
-                // Add analysis and signature from each guru sheet
-                for (const color of ['red', 'blue', 'green']) {
-                    const colorData = guruData[color];
-                    if (colorData && colorData.values[i]) {
-                        mergedRow.push(colorData.values[i][0] || ''); // Analysis (column E)
-                        mergedRow.push(colorData.values[i][1] || ''); // Signature (column F)
-                    } else {
-                        mergedRow.push(''); // Empty analysis
-                        mergedRow.push(''); // Empty signature
-                    }
-                }
-
-                mergedValues.push(mergedRow);
-            }
-        }
-
-        const hidden = sortedSheets.some(sheet => sheet.hidden);
-
-        return {
-            title: 'Merged Gurus',
-            sheetId: redGuruSheet.sheetId, // Use Red Gurus sheet ID as primary
-            values: mergedValues,
-            range: `'${redGuruSheet.title}'!A1:I${mergedValues.length}`,
-            majorDimension: 'ROWS',
-            columnMapping: this.getMergedGuruColumnMapping(),
-            hidden: hidden,
-            guruSheetIds: {
-                red: sortedSheets.find(s => s.title.toLowerCase().includes('red'))?.sheetId,
-                blue: sortedSheets.find(s => s.title.toLowerCase().includes('blue'))?.sheetId,
-                green: sortedSheets.find(s => s.title.toLowerCase().includes('green'))?.sheetId
-            }
-        };
-    }
-
-    getMergedGuruColumnMapping() {
-        return {
-            id: 0,              // Column A
-            player1: 1,         // Column B
-            player2: 2,         // Column C
-            redAnalysis: 3,     // Column D
-            redSignature: 4,    // Column E
-            blueAnalysis: 5,    // Column F
-            blueSignature: 6,   // Column G
-            greenAnalysis: 7,   // Column H
-            greenSignature: 8   // Column I
-        };
-    }
-
     /**
-     * Resolve the target sheetId and column index for an update that may be against
-     * the merged gurus sheet. The update.col is expected to be 1-indexed for the
-     * merged sheet layout. Returns { targetSheetId, targetCol } where targetCol is
-     * a 1-indexed column number appropriate for the target sheet.
+     * Read several ranges in a single values.batchGet request
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {Array<string>} ranges - A1 ranges
+     * @returns {Promise<Array<Array<Array<string>>>>} Values of each range, in the same order
      */
-    resolveTargetForMergedUpdate(update) {
-        let targetSheetId = update.sheetId;
-        let targetCol = update.col;
-
-        if (update.isMergedGuruUpdate) {
-            const columnMapping = this.getMergedGuruColumnMapping();
-
-            if (update.col === columnMapping.redAnalysis + 1 || update.col === columnMapping.redSignature + 1) {
-                targetSheetId = update.guruSheetIds.red;
-                targetCol = update.col === columnMapping.redAnalysis + 1 ? 5 : 6; // E or F
-            } else if (update.col === columnMapping.blueAnalysis + 1 || update.col === columnMapping.blueSignature + 1) {
-                targetSheetId = update.guruSheetIds.blue;
-                targetCol = update.col === columnMapping.blueAnalysis + 1 ? 5 : 6; // E or F
-            } else if (update.col === columnMapping.greenAnalysis + 1 || update.col === columnMapping.greenSignature + 1) {
-                targetSheetId = update.guruSheetIds.green;
-                targetCol = update.col === columnMapping.greenAnalysis + 1 ? 5 : 6; // E or F
-            } else if (update.col <= 3) {
-                // Base columns (A:C) go to Red Gurus sheet
-                targetSheetId = update.guruSheetIds.red;
-                targetCol = update.col;
-            }
-        }
-
-        return { targetSheetId, targetCol };
-    }
-
-    getColumnMapping(sheetTitle) {
-        if (sheetTitle.toLowerCase().includes('deck notes')) {
-            return {
-                decklists: 0,      // Column A
-                clock: 1,          // Column B
-                notes: 2,          // Column C
-                additionalNotes: 3 // Column D
-            };
-        } else {
-            // Guru sheets (Red Gurus, Blue Gurus, Green Gurus)
-            return {
-                id: 0,             // Column A
-                player1: 1,        // Column B
-                player2: 2,        // Column C
-                guruAnalysis: 4,   // Column E
-                guruSignature: 5   // Column F
-            };
-        }
+    async batchGetValues(spreadsheetId, ranges) {
+        const response = await this.sheetsRead('spreadsheets.values.batchGet', {
+            spreadsheetId,
+            ranges
+        });
+        return ranges.map((range, index) => response.result.valueRanges?.[index]?.values || []);
     }
 
     /**
@@ -311,7 +97,7 @@ export class GoogleSheetsAPI {
      */
     async getDeckNotes(spreadsheetId, deckNotesSheet, range = 'A:D') {
         try {
-            const response = await gapi.client.sheets.spreadsheets.values.get({
+            const response = await this.sheetsRead('spreadsheets.values.get', {
                 spreadsheetId: spreadsheetId,
                 range: `'${deckNotesSheet.title}'!${range}`,
             });
@@ -326,14 +112,14 @@ export class GoogleSheetsAPI {
             };
         } catch (error) {
             console.error('API Error (getDeckNotes):', error);
-            throw new Error(error.message || 'Failed to fetch Deck Notes sheet');
+            throw createStatusError(error.message || 'Failed to fetch Deck Notes sheet', getRequestErrorStatus(error));
         }
     }
 
     async updateSheetData(sheetId, updates) {
         try {
             if (!this.authManager.isLoggedIn()) {
-                throw new Error('User not authenticated');
+                throw createStatusError('User not authenticated', 401);
             }
 
             console.log('📝 Updating sheet data:', {
@@ -400,7 +186,7 @@ export class GoogleSheetsAPI {
                 };
             });
 
-            const response = await gapi.client.sheets.spreadsheets.batchUpdate({
+            const response = await this.sheetsWrite('spreadsheets.batchUpdate', {
                 spreadsheetId: sheetId,
                 resource: {
                     requests: requests
@@ -419,14 +205,14 @@ export class GoogleSheetsAPI {
             };
         } catch (error) {
             console.error('API Error:', error);
-            throw new Error(error.message || 'Failed to update sheet data');
+            throw createStatusError(error.message || 'Failed to update sheet data', getRequestErrorStatus(error));
         }
     }
 
     async checkedUpdateSheetData(sheetId, updates) {
         try {
             if (!this.authManager.isLoggedIn()) {
-                throw new Error('User not authenticated');
+                throw createStatusError('User not authenticated', 401);
             }
 
             console.log('🔒 Performing checked update:', {
@@ -470,7 +256,7 @@ export class GoogleSheetsAPI {
             for (const check of valuesToCheck) {
                 const targetSheet = metadata.sheets.find(s => s.sheetId === check.targetSheetId);
                 if (!targetSheet) {
-                    throw new Error(`Target sheet with ID ${check.targetSheetId} not found`);
+                    throw createStatusError(`Target sheet with ID ${check.targetSheetId} not found`, 404);
                 }
                 const columnLetter = String.fromCharCode(65 + check.targetCol - 1); // A=65
                 const cellRange = `'${targetSheet.title}'!${columnLetter}${check.targetRow}`;
@@ -478,24 +264,45 @@ export class GoogleSheetsAPI {
                 checkToRange.push({check, cellRange});
             }
 
+            // Guard cells (e.g. the claim of a result) are read after the target cells
+            const guardRangeIndexes = valuesToCheck.map(check => {
+                const guard = check.originalUpdate.guard;
+                if (!guard) return -1;
+                const resolved = this.resolveTargetForMergedUpdate({ ...check.originalUpdate, col: guard.col });
+                const guardSheet = metadata.sheets.find(s => s.sheetId === resolved.targetSheetId);
+                if (!guardSheet) {
+                    throw createStatusError(`Target sheet with ID ${resolved.targetSheetId} not found`, 404);
+                }
+                ranges.push(`'${guardSheet.title}'!${String.fromCharCode(65 + resolved.targetCol - 1)}${check.targetRow}`);
+                return ranges.length - 1;
+            });
+
             // Batch get all values
-            const batchResponse = await gapi.client.sheets.spreadsheets.values.batchGet({
+            const batchResponse = await this.sheetsRead('spreadsheets.values.batchGet', {
                 spreadsheetId: sheetId,
                 ranges: ranges
             });
 
-            // Map results back to checks
-            const checkResults = checkToRange.map((item, idx) => {
-                const valueArr = batchResponse.result.valueRanges[idx]?.values;
-                const currentValue = valueArr && valueArr[0] && valueArr[0][0]
+            const readValue = (rangeIndex) => {
+                const valueArr = batchResponse.result.valueRanges[rangeIndex]?.values;
+                return valueArr && valueArr[0] && valueArr[0][0]
                     ? valueArr[0][0].toString()
                     : '';
+            };
+
+            // Map results back to checks
+            const checkResults = checkToRange.map((item, idx) => {
+                const currentValue = readValue(idx);
                 const expectedValue = item.check.originalUpdate.expectedValue || '';
+                const guard = item.check.originalUpdate.guard;
+                const guardValue = guard ? readValue(guardRangeIndexes[idx]) : null;
+                const guardMatches = !guard || guardValue === (guard.expectedValue || '');
                 return {
                     update: item.check.originalUpdate,
                     currentValue,
                     expectedValue,
-                    matches: currentValue === expectedValue,
+                    guardValue: guardMatches ? undefined : guardValue,
+                    matches: currentValue === expectedValue && guardMatches,
                     targetSheetId: item.check.targetSheetId,
                     targetCol: item.check.targetCol,
                     targetRow: item.check.targetRow
@@ -544,7 +351,7 @@ export class GoogleSheetsAPI {
 
             let response = null;
             if (updateRequests.length > 0) {
-                response = await gapi.client.sheets.spreadsheets.batchUpdate({
+                response = await this.sheetsWrite('spreadsheets.batchUpdate', {
                     spreadsheetId: sheetId,
                     resource: {
                         requests: updateRequests
@@ -566,28 +373,34 @@ export class GoogleSheetsAPI {
                     row: check.targetRow,
                     col: check.targetCol,
                     expectedValue: check.expectedValue,
-                    currentValue: check.currentValue
+                    currentValue: check.currentValue,
+                    guardValue: check.guardValue
                 })),
                 response: response?.result
             };
 
         } catch (error) {
             console.error('Checked API Error:', error);
-            throw new Error(error.message || 'Failed to perform checked update');
+            throw createStatusError(error.message || 'Failed to perform checked update', getRequestErrorStatus(error));
         }
     }
 
     async getSheetMetadata(sheetId) {
         try {
             if (!this.authManager.isLoggedIn()) {
-                throw new Error('User not authenticated');
+                throw createStatusError('User not authenticated', 401);
             }
 
-            const response = await gapi.client.sheets.spreadsheets.get({
+            const cached = this.metadataCache.get(sheetId);
+            if (cached && Date.now() - cached.fetchedAt < this.metadataTtlMs) {
+                return cached.metadata;
+            }
+
+            const response = await this.sheetsRead('spreadsheets.get', {
                 spreadsheetId: sheetId,
             });
 
-            return {
+            const metadata = {
                 title: response.result.properties.title,
                 sheetId: sheetId,
                 sheets: response.result.sheets.map(sheet => ({
@@ -597,19 +410,26 @@ export class GoogleSheetsAPI {
                     hidden: !!sheet.properties.hidden
                 }))
             };
+            this.metadataCache.set(sheetId, { metadata, fetchedAt: Date.now() });
+            return metadata;
         } catch (error) {
             console.error('API Error:', error);
-            throw new Error(error.message || 'Failed to fetch sheet metadata');
+            throw createStatusError(error.message || 'Failed to fetch sheet metadata', getRequestErrorStatus(error));
         }
     }
 
     async batchUpdate(sheetId, requests) {
         try {
             if (!this.authManager.isLoggedIn()) {
-                throw new Error('User not authenticated');
+                throw createStatusError('User not authenticated', 401);
             }
 
-            const response = await gapi.client.sheets.spreadsheets.batchUpdate({
+            // Structural requests (adding or unhiding sheets) make the cached metadata stale
+            if (requests.some(request => !request.updateCells && !request.appendCells)) {
+                this.metadataCache.delete(sheetId);
+            }
+
+            const response = await this.sheetsWrite('spreadsheets.batchUpdate', {
                 spreadsheetId: sheetId,
                 resource: {
                     requests: requests
@@ -622,43 +442,10 @@ export class GoogleSheetsAPI {
             };
         } catch (error) {
             console.error('API Error:', error);
-            throw new Error(error.message || 'Failed to perform batch update');
+            throw createStatusError(error.message || 'Failed to perform batch update', getRequestErrorStatus(error));
         }
     }
 
-    /**
-     * Unhides the Red, Blue, and Green Guru sheets in the spreadsheet.
-     * Returns a promise that resolves when the operation is complete.
-    */
-    async unhideGuruSheets(sheetId) {
-        if (!this.authManager.isLoggedIn()) {
-            throw new Error('User not authenticated');
-        }
-        // Get all sheet metadata
-        const metadata = await this.getSheetMetadata(sheetId);
-        // Only match exact Guru sheet names (case-insensitive)
-        const guruSheetNames = ['Red Gurus', 'Blue Gurus', 'Green Gurus'];
-        const guruSheets = metadata.sheets.filter(sheet =>
-            guruSheetNames.some(name => sheet.title.trim().toLowerCase() === name.toLowerCase())
-        );
-        if (guruSheets.length === 0) {
-            throw new Error('No Guru sheets found to unhide');
-        }
-        // Build requests to unhide each sheet
-        const requests = guruSheets.map(sheet => ({
-            updateSheetProperties: {
-                properties: {
-                    sheetId: sheet.sheetId,
-                    hidden: false
-                },
-                fields: 'hidden'
-            }
-        }));
-        // Send batch update
-        const response = await this.batchUpdate(sheetId, requests);
-        return response;
-    }
-
     /**
      * Clear a single cell's value using the Sheets API `spreadsheets.values.clear` endpoint.
      * spreadsheetId - the ID of the spreadsheet
@@ -679,7 +466,7 @@ export class GoogleSheetsAPI {
     async clearCell(spreadsheetId, update) {
         try {
             if (!this.authManager.isLoggedIn()) {
-                throw new Error('User not authenticated');
+                throw createStatusError('User not authenticated', 401);
             }
 
             if (!update || typeof update !== 'object') {
@@ -705,7 +492,7 @@ export class GoogleSheetsAPI {
             const columnLetter = String.fromCharCode(65 + col - 1);
             const range = `'${targetSheet.title}'!${columnLetter}${row}`;
 
-            const response = await gapi.client.sheets.spreadsheets.values.clear({
+            const response = await this.sheetsWrite('spreadsheets.values.clear', {
                 spreadsheetId,
                 range,
                 resource: {}
@@ -718,7 +505,39 @@ export class GoogleSheetsAPI {
             };
         } catch (error) {
             console.error('API Error (clearCell):', error);
-            throw new Error(error.message || 'Failed to clear cell');
+            throw createStatusError(error.message || 'Failed to clear cell', getRequestErrorStatus(error));
         }
     }
+
+    /**
+     * Read cells with their formatted value and hyperlink, as needed for the hub sheets
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} range - A1 range, e.g. "'All Threads'!A:D"
+     * @returns {Promise<Array<Object>>} Rows of { values: [{ formattedValue, hyperlink }] }
+     */
+    async getSheetCells(spreadsheetId, range) {
+        const response = await this.sheetsRead('spreadsheets.get', {
+            spreadsheetId,
+            ranges: [range],
+            fields: 'sheets.data.rowData.values(formattedValue,hyperlink)'
+        });
+
+        const sheets = response.result.sheets || [];
+        if (sheets.length === 0 || !sheets[0].data || !sheets[0].data[0].rowData) {
+            return [];
+        }
+        return sheets[0].data[0].rowData;
+    }
+
+    async getSpreadsheetTitle(spreadsheetId) {
+        const response = await this.sheetsRead('spreadsheets.get', {
+            spreadsheetId,
+            fields: 'properties.title'
+        });
+        return response.result.properties?.title;
+    }
+
+    getSpreadsheetUrl(spreadsheetId) {
+        return `https://docs.google.com/spreadsheets/d/${spreadsheetId}`;
+    }
 }
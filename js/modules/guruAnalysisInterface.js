@@ -5,12 +5,29 @@
 import { ScryfallAPI } from './scryfallAPI.js';
 import { DeckNotesEditor } from './deckNotesEditor.js';
 import { HubManager } from './hubManager.js';
+import { OfflineWriteQueue, isNetworkError } from './offlineQueue.js';
+import { UndoHistory } from './undoHistory.js';
+import { AUDIT_LOG_SHEET_TITLE } from './auditLog.js';
+import { GURU_COLORS, formatGuruColor } from './podBackend.js';
+import { MatchNotes } from './matchNotes.js';
+import { PrivateNotes } from './privateNotes.js';
+import { ChangeNotifier, findMatchChanges } from './changeNotifier.js';
+import { findStaleClaims, getStaleClaimDays, isHeadGuru } from './staleClaims.js';
+import { KeyboardShortcuts } from './keyboardShortcuts.js';
+import { DiscordWebhook, isValidWebhookUrl } from './discordWebhook.js';
+import { computeStandings, standingsToRows } from '../utils/standings.js';
+import { toCSV } from '../utils/csvUtils.js';
+import { exportMatchesToRows, exportDeckNotesToRows, exportToMarkdown } from '../utils/podExport.js';
+import { parseAnalysisCSV, planAnalysisImport } from '../utils/analysisImport.js';
+import { THREAD_TEMPLATE_PLACEHOLDERS, isValidChannelUrl, resolveThreadTemplates, renderThreadTemplate } from '../utils/threadTemplates.js';
+import { downloadTextFile } from '../utils/domUtils.js';
 
 export class GuruAnalysisInterface {
-    constructor(sheetsAPI, uiController, guruSignature) {
+    constructor(sheetsAPI, uiController, guruSignature, auditLog = null) {
         this.sheetsAPI = sheetsAPI;
         this.uiController = uiController;
         this.guruSignature = guruSignature;
+        this.auditLog = auditLog;
         this.hub = null;
         this.scryfallAPI = new ScryfallAPI();
         this.currentData = null;
@@ -18,13 +35,34 @@ export class GuruAnalysisInterface {
         this.currentRowIndex = -1;
         this.currentGuruColor = null;
         this.numDiscrepancies = 0;
-        // Store column indices as attributes for easier access
-        this.redAnalysisColIndex = -1;
-        this.blueAnalysisColIndex = -1;
-        this.greenAnalysisColIndex = -1;
-        this.redSignatureColIndex = -1;
-        this.blueSignatureColIndex = -1;
-        this.greenSignatureColIndex = -1;
+        // Colours of the pod in merged column order, and the merged column indices of each
+        this.guruColors = [...GURU_COLORS];
+        this.guruColumns = {}; // color -> { analysis, signature }
+        // Row numbers (1-indexed, as in the sheet) with writes waiting in the offline outbox
+        this.pendingRows = new Set();
+        this.offlineQueue = new OfflineWriteQueue(this.sheetsAPI);
+        this.offlineQueue.onQueueChanged(() => this.refreshPendingWrites());
+        this.offlineQueue.onReplayComplete((result) => this.handleReplayComplete(result));
+        this.undoHistory = new UndoHistory();
+        this.matchTableState = { filters: [], search: '', sort: null };
+        // Row index -> stale claims of the match, found when the match table opens
+        this.staleClaims = new Map();
+        // Matches whose Discord post was marked done in the thread batch
+        this.threadBatchDone = new Set();
+        // The guru's own Discord thread templates, from their preferences
+        this.threadTemplates = {};
+        // Discord webhook URLs the guru set, hub (or pod) sheet ID -> URL
+        this.discordWebhooks = {};
+        this.discordWebhook = new DiscordWebhook();
+        this.userPreferences = null;
+        // Re-renders the open standings view after a background reload, null while it is closed
+        this.refreshStandingsView = null;
+        this.matchNotes = new MatchNotes(this.sheetsAPI);
+        this.matchNotesByMatch = new Map(); // match number -> notes
+        this.matchNotesPollTimer = null;
+        this.privateNotes = new PrivateNotes();
+        this.changeNotifier = new ChangeNotifier(value => this.getOutcomeDisplayName((value ?? '').toString()));
+        this.changeNotifier.onAlertClick(alert => this.goToAlert(alert));
         this.bindEvents();
         // Handle window resize for mobile/desktop layout changes
         this.handleResize = this.handleResize.bind(this);
@@ -38,13 +76,19 @@ export class GuruAnalysisInterface {
         this.currentRowIndex = -1;
         this.currentGuruColor = null;
         this.numDiscrepancies = 0;
-        // Store column indices as attributes for easier access
-        this.redAnalysisColIndex = -1;
-        this.blueAnalysisColIndex = -1;
-        this.greenAnalysisColIndex = -1;
-        this.redSignatureColIndex = -1;
-        this.blueSignatureColIndex = -1;
-        this.greenSignatureColIndex = -1;
+        // Colours of the pod in merged column order, and the merged column indices of each
+        this.guruColors = [...GURU_COLORS];
+        this.guruColumns = {}; // color -> { analysis, signature }
+        this.pendingRows = new Set();
+        this.undoHistory.clear();
+        this.matchTableState = { filters: [], search: '', sort: null };
+        this.staleClaims = new Map();
+        this.threadBatchDone = new Set();
+        this.stopMatchNotesPolling();
+        this.matchNotesByMatch = new Map();
+        const notesPanel = document.getElementById('match-notes');
+        if (notesPanel) delete notesPanel.dataset.match;
+        this.changeNotifier.clear();
     }
 
     /**
@@ -62,32 +106,27 @@ export class GuruAnalysisInterface {
         // Get the current guru signature
         let currentSignature = this.guruSignature || '';
 
-        if (!currentSignature.trim()) {
-            console.log('No guru signature found, defaulting to red');
-            return 'red';
-        }
-
         // Find the merged guru sheet
         const mergedGuruSheet = sheetData.sheets?.find(sheet => 
             sheet.title === 'Merged Gurus'
         );
+        const defaultColor = mergedGuruSheet?.guruColors?.[0] || GURU_COLORS[0];
+
+        if (!currentSignature.trim()) {
+            console.log(`No guru signature found, defaulting to ${defaultColor}`);
+            return defaultColor;
+        }
 
         if (!mergedGuruSheet || !mergedGuruSheet.values || mergedGuruSheet.values.length < 2) {
-            console.log('No merged guru sheet found, defaulting to red');
-            return 'red';
+            console.log(`No merged guru sheet found, defaulting to ${defaultColor}`);
+            return defaultColor;
         }
 
-        const headerRow = mergedGuruSheet.values[0];
-        
         // Find signature columns
-        const redSignatureColIndex = this.findColumnIndex(headerRow, ['Red Signature']);
-        const blueSignatureColIndex = this.findColumnIndex(headerRow, ['Blue Signature']);
-        const greenSignatureColIndex = this.findColumnIndex(headerRow, ['Green Signature']);
+        const { colors, columns } = this.findGuruColumns(mergedGuruSheet.values[0]);
 
         console.log('Signature column indices:', {
-            red: redSignatureColIndex,
-            blue: blueSignatureColIndex,
-            green: greenSignatureColIndex,
+            ...Object.fromEntries(colors.map(color => [color, columns[color].signature])),
             currentSignature
         });
 
@@ -102,23 +141,11 @@ export class GuruAnalysisInterface {
         for (let i = 0; i < totalRows - 1; i++) {
             const rowIndex = ((startRowIndex - 1 + i) % (totalRows - 1)) + 1; // -1 and +1 to handle header row
             const row = mergedGuruSheet.values[rowIndex];
-            
-            // Check red signature column
-            if (redSignatureColIndex !== -1 && row[redSignatureColIndex] === currentSignature) {
-                console.log(`Found guru signature "${currentSignature}" in Red column at row ${rowIndex}`);
-                return 'red';
-            }
-            
-            // Check blue signature column
-            if (blueSignatureColIndex !== -1 && row[blueSignatureColIndex] === currentSignature) {
-                console.log(`Found guru signature "${currentSignature}" in Blue column at row ${rowIndex}`);
-                return 'blue';
-            }
-            
-            // Check green signature column
-            if (greenSignatureColIndex !== -1 && row[greenSignatureColIndex] === currentSignature) {
-                console.log(`Found guru signature "${currentSignature}" in Green column at row ${rowIndex}`);
-                return 'green';
+
+            const color = colors.find(color => row[columns[color].signature] === currentSignature);
+            if (color) {
+                console.log(`Found guru signature "${currentSignature}" in ${formatGuruColor(color)} column at row ${rowIndex}`);
+                return color;
             }
         }
 
@@ -126,6 +153,31 @@ export class GuruAnalysisInterface {
         throw new Error(`Guru signature "${currentSignature}" not found in any analysis column. Please check that you have matches assigned to analyse.`);
     }
 
+    /**
+     * Find the "<Colour> Analysis" and "<Colour> Signature" columns of a merged sheet header
+     * @param {Array<string>} headerRow - Header of the merged guru sheet
+     * @returns {{colors: Array<string>, columns: Object}} Colours in column order, and
+     *   color -> { analysis, signature } column indices (-1 for a missing signature column)
+     */
+    findGuruColumns(headerRow) {
+        const colors = [];
+        const columns = {};
+        headerRow.forEach((header, index) => {
+            const color = (header || '').toString().trim().toLowerCase().match(/^(.+) analysis$/)?.[1];
+            if (color && !columns[color]) {
+                colors.push(color);
+                columns[color] = { analysis: index, signature: -1 };
+            }
+        });
+        headerRow.forEach((header, index) => {
+            const color = (header || '').toString().trim().toLowerCase().match(/^(.+) signature$/)?.[1];
+            if (color && columns[color] && columns[color].signature === -1) {
+                columns[color].signature = index;
+            }
+        });
+        return { colors, columns };
+    }
+
     bindEvents() {
         // Analysis buttons
         document.getElementById('win-btn').addEventListener('click', () => this.setAnalysis(1.0));
@@ -143,8 +195,59 @@ export class GuruAnalysisInterface {
         // Guru color selector
         this.bindGuruColorSelector();
 
+        // Keyboard shortcuts, only while a pod is open on the analysis screen and no dialog is on top
+        this.keyboardShortcuts = new KeyboardShortcuts(this.uiController, this.getShortcutActions(), () => {
+            const editor = document.getElementById('sheet-editor');
+            return !!this.currentData && !!editor && editor.style.display !== 'none' &&
+                !document.querySelector('.app-modal-overlay, .match-table-overlay, .thread-modal-overlay');
+        });
+        document.getElementById('shortcuts-btn').addEventListener('click', () => this.keyboardShortcuts.showHelp());
+
         // --- MATCH TABLE MODAL ---
         document.getElementById('current-row-info').addEventListener('click', () => this.showMatchTableModal());
+
+        // --- PRIVATE NOTES ---
+        const privateNotesInput = document.getElementById('private-notes-input');
+        privateNotesInput.addEventListener('input', () => {
+            const row = this.allRows[this.currentRowIndex];
+            if (!row || !this.currentData) return;
+            this.privateNotes.setNote(
+                this.currentData.sheetId,
+                this.currentData.title || 'Untitled Pod',
+                this.currentRowIndex + 1,
+                `${row.player1} vs ${row.player2}`,
+                privateNotesInput.value
+            );
+            this.updatePrivateNotesSummary();
+        });
+        document.getElementById('private-notes-search-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showPrivateNotesSearch();
+        });
+
+        // --- MATCH HISTORY (Stylus Log) ---
+        document.getElementById('match-history-btn').addEventListener('click', () => this.showMatchHistory());
+
+        // --- DECK MATRIX ---
+        document.getElementById('deck-matrix-btn').addEventListener('click', () => this.showDeckMatrix());
+
+        // --- CHANGE NOTIFICATIONS ---
+        document.getElementById('notifications-btn').addEventListener('click', () => this.showNotifications());
+
+        // --- STANDINGS ---
+        document.getElementById('standings-btn').addEventListener('click', () => this.showStandings());
+
+        // --- EXPORT ---
+        document.getElementById('export-btn').addEventListener('click', () => this.showExportMenu());
+
+        // --- IMPORT ---
+        document.getElementById('import-btn').addEventListener('click', () => this.showAnalysisImport());
+
+        // --- DISCORD THREAD BATCH ---
+        document.getElementById('thread-batch-btn').addEventListener('click', () => this.showThreadBatch());
+
+        // --- MIRROR MATCH REPORT ---
+        document.getElementById('mirror-report-btn').addEventListener('click', () => this.showMirrorReport());
         
         // --- CREATE THREAD TEXT MODAL ---
         // Use event delegation since button is dynamically created
@@ -163,6 +266,57 @@ export class GuruAnalysisInterface {
         });
     }
 
+    /**
+     * Use the guru's preferences for their keyboard shortcuts, private notes, thread templates and
+     * Discord webhooks
+     * @param {UserPreferences} userPreferences - Preferences manager
+     */
+    setUserPreferences(userPreferences) {
+        this.userPreferences = userPreferences;
+        this.keyboardShortcuts.setUserPreferences(userPreferences);
+        this.privateNotes.setUserPreferences(userPreferences).then(() => this.renderPrivateNotes(true));
+        userPreferences.getThreadTemplates()
+            .then(templates => { this.threadTemplates = templates || {}; })
+            .catch(error => console.warn('Could not load thread templates, using the defaults:', error));
+        userPreferences.getDiscordWebhooks()
+            .then(webhooks => { this.discordWebhooks = webhooks || {}; })
+            .catch(error => console.warn('Could not load Discord webhooks:', error));
+    }
+
+    /**
+     * Actions available from the keyboard. Most press the matching on-screen button, so a
+     * shortcut does nothing the guru could not do by clicking (e.g. scoring an unclaimed match).
+     */
+    getShortcutActions() {
+        const pressButton = (selector, label) => () => {
+            const button = document.querySelector(selector);
+            if (button && !button.disabled && button.style.display !== 'none' && button.offsetParent !== null) {
+                button.click();
+            } else {
+                this.uiController.showStatus(`${label} is not available for this match`, 'info');
+            }
+        };
+
+        return [
+            { id: 'win', label: 'Score Win', defaultKey: 'W', run: pressButton('#win-btn', 'Scoring') },
+            { id: 'tie', label: 'Score Tie', defaultKey: 'T', run: pressButton('#tie-btn', 'Scoring') },
+            { id: 'loss', label: 'Score Loss', defaultKey: 'L', run: pressButton('#loss-btn', 'Scoring') },
+            { id: 'previous', label: 'Previous match', defaultKey: 'ArrowLeft', run: pressButton('#prev-btn', 'Previous match') },
+            { id: 'next', label: 'Next match', defaultKey: 'ArrowRight', run: pressButton('#next-btn', 'Next match') },
+            { id: 'skip', label: 'Next incomplete match', defaultKey: 'S', run: pressButton('#skip-btn', 'Next incomplete match') },
+            { id: 'discrepancy', label: 'Next discrepancy', defaultKey: 'D', run: pressButton('#discrepancy-btn', 'Next discrepancy') },
+            { id: 'mirror', label: 'Mirror match', defaultKey: 'M', run: pressButton('#mirror-match-btn', 'Mirror match') },
+            { id: 'next-deck', label: 'Next deck', defaultKey: 'N', run: pressButton('#next-deck-btn', 'Next deck') },
+            { id: 'claim', label: 'Claim match', defaultKey: 'C', run: pressButton('#claim-button', 'Claiming') },
+            { id: 'unclaim', label: 'Unclaim match', defaultKey: 'U', run: pressButton('#unclaim-button', 'Unclaiming') },
+            { id: 'match-table', label: 'Open the match table', defaultKey: 'G', run: () => this.showMatchTableModal() },
+            { id: 'thread', label: 'Create Discord thread text', defaultKey: 'H', run: pressButton('.create-thread-btn', 'A Discord thread') },
+            { id: 'undo', label: 'Undo', defaultKey: 'Ctrl+Z', run: () => this.undo() },
+            { id: 'redo', label: 'Redo', defaultKey: 'Ctrl+Shift+Z', run: () => this.redo() },
+            { id: 'help', label: 'Show keyboard shortcuts', defaultKey: '?', run: () => this.keyboardShortcuts.showHelp() }
+        ];
+    }
+
     handleResize() {
         // Re-position deck info when window is resized (e.g., device rotation)
         if (this.allRows.length > 0 && this.currentRowIndex < this.allRows.length) {
@@ -242,6 +396,17 @@ export class GuruAnalysisInterface {
         const dropdown = document.getElementById('guru-color-dropdown');
         if (!dropdown) return;
 
+        // Offer the colours of the loaded pod
+        if (dropdown.dataset.colors !== this.guruColors.join(',')) {
+            dropdown.dataset.colors = this.guruColors.join(',');
+            dropdown.innerHTML = this.guruColors.map(color => `
+                <div class="guru-color-option" data-color="${color}">
+                    <div class="guru-color-indicator ${color}"${this.getGuruColorStyle(color)}></div>
+                    <span>${formatGuruColor(color)} Guru</span>
+                </div>
+            `).join('');
+        }
+
         // Remove current class from all options
         dropdown.querySelectorAll('.guru-color-option').forEach(option => {
             option.classList.remove('current');
@@ -287,7 +452,7 @@ export class GuruAnalysisInterface {
     updateGuruColorDisplay() {
         const trigger = document.getElementById('sheet-name-info');
         if (trigger && this.currentGuruColor) {
-            trigger.textContent = `${this.currentGuruColor.charAt(0).toUpperCase() + this.currentGuruColor.slice(1)} Guru`;
+            trigger.textContent = `${formatGuruColor(this.currentGuruColor)} Guru`;
         }
         
         // Update dropdown current indicator
@@ -313,6 +478,14 @@ export class GuruAnalysisInterface {
             newUrl.searchParams.set('guru', this.currentGuruColor);
         }
 
+        // While the match table is open, its filter is part of the link
+        if (this.isMatchTableOpen()) {
+            const { filters, search, sort } = this.matchTableState;
+            if (filters.length > 0) newUrl.searchParams.set('filter', filters.join(','));
+            if (search) newUrl.searchParams.set('q', search);
+            if (sort) newUrl.searchParams.set('sort', `${sort.key}-${sort.direction}`);
+        }
+
         window.history.replaceState({ 
             podId: this.currentData.sheetId,
             guruColor: this.currentGuruColor,
@@ -342,7 +515,7 @@ export class GuruAnalysisInterface {
 
         if (sheetData.metadata?.guruHubLink && sheetData.metadata?.podName ) {
             if (!this.hub) {
-                this.hub = new HubManager(sheetData.metadata.guruHubLink, sheetData.metadata.podName);
+                this.hub = new HubManager(sheetData.metadata.guruHubLink, sheetData.metadata.podName, this.sheetsAPI);
             }
             this.hub.loadThreads();
         }
@@ -378,6 +551,10 @@ export class GuruAnalysisInterface {
         this.deckNotesMap = this.processDeckNotes(sheetData);
         console.log('Loaded deck notes:', this.deckNotesMap.size, 'entries');
 
+        // Shared match notes load in the background and are polled while shown
+        this.refreshMatchNotes();
+        this.startMatchNotesPolling();
+
         // Process all sheets and collect rows that need analysis
         if (sheetData.sheets && Array.isArray(sheetData.sheets)) {
             sheetData.sheets.forEach((sheet, sheetIndex) => {
@@ -387,6 +564,18 @@ export class GuruAnalysisInterface {
             });
         }
 
+        // A shared link may name a colour this pod does not have, e.g. ?guru=black in a three-colour pod
+        if (this.allRows.length > 0 && !this.guruColors.includes(this.currentGuruColor)) {
+            this.showGuruColorSelection(sheetData);
+            return false;
+        }
+
+        // Re-apply writes still waiting in the offline outbox, and try to send them
+        await this.refreshPendingWrites(false);
+        if (this.pendingRows.size > 0 && navigator.onLine) {
+            this.offlineQueue.replay();
+        }
+
         if (this.allRows.length === 0) {
             this.showNoDataMessage();
         } else {
@@ -490,29 +679,21 @@ export class GuruAnalysisInterface {
         const headerRow = sheet.values[0];
         
         // Find required columns in merged sheet structure
-        // Expected columns: ID, Player1, Player2, Red Analysis, Red Signature, Blue Analysis, Blue Signature, Green Analysis, Green Signature
+        // Expected columns: ID, Player1, Player2, then "<Colour> Analysis" and "<Colour> Signature" for each guru colour
         const player1ColIndex = this.findColumnIndex(headerRow, ['Player 1', 'Player1']);
         const player2ColIndex = this.findColumnIndex(headerRow, ['Player 2', 'Player2']);
 
-        // Find guru analysis columns and store as class attributes
-        this.redAnalysisColIndex = this.findColumnIndex(headerRow, ['Red Analysis']);
-        this.blueAnalysisColIndex = this.findColumnIndex(headerRow, ['Blue Analysis']);
-        this.greenAnalysisColIndex = this.findColumnIndex(headerRow, ['Green Analysis']);
-        // Find guru signature columns and store as class attributes
-        this.redSignatureColIndex = this.findColumnIndex(headerRow, ['Red Signature']);
-        this.blueSignatureColIndex = this.findColumnIndex(headerRow, ['Blue Signature']);
-        this.greenSignatureColIndex = this.findColumnIndex(headerRow, ['Green Signature']);
+        // Find guru analysis and signature columns and store them as class attributes
+        const { colors, columns } = this.findGuruColumns(headerRow);
+        this.guruColors = colors;
+        this.guruColumns = columns;
 
         // Throw error if any required column is missing
         if (
             player1ColIndex === -1 ||
             player2ColIndex === -1 ||
-            this.redAnalysisColIndex === -1 ||
-            this.blueAnalysisColIndex === -1 ||
-            this.greenAnalysisColIndex === -1 ||
-            this.redSignatureColIndex === -1 ||
-            this.blueSignatureColIndex === -1 ||
-            this.greenSignatureColIndex === -1
+            colors.length === 0 ||
+            colors.some(color => columns[color].signature === -1)
         ) {
             throw new Error('One or more required columns are missing in the pod sheet. Please check the sheet structure.');
         }
@@ -528,32 +709,25 @@ export class GuruAnalysisInterface {
 
             const player1 = row[player1ColIndex] || '';
             const player2 = row[player2ColIndex] || '';
-            const redAnalysis = row[this.redAnalysisColIndex].toString().trim() || '';
-            const blueAnalysis = row[this.blueAnalysisColIndex].toString().trim() || '';
-            const greenAnalysis = row[this.greenAnalysisColIndex].toString().trim() || '';
-            const redSignature = row[this.redSignatureColIndex].toString().trim() || '';
-            const blueSignature = row[this.blueSignatureColIndex].toString().trim() || '';
-            const greenSignature = row[this.greenSignatureColIndex].toString().trim() || '';
-
-            // Calculate outcome based on all guru analyses
-            const outcomeValue = this.calculateOutcomeFromAnalyses(redAnalysis, blueAnalysis, greenAnalysis);
 
             const newRow = {
                     sheetIndex,
                     sheetTitle: sheet.title,
                     sheetId: sheet.sheetId,
                     rowIndex,
+                    matchId: (row[0] ?? '').toString().trim(), // Column A of the merged layout
                     player1: player1.trim(),
                     player2: player2.trim(),
-                    outcomeValue: outcomeValue,
-                    redAnalysis: redAnalysis,
-                    blueAnalysis: blueAnalysis,
-                    greenAnalysis: greenAnalysis,
-                    redSignature: redSignature,
-                    blueSignature: blueSignature,
-                    greenSignature: greenSignature,
                     originalRowIndex: originalRowIndex // Use the original row index from unfiltered data
                 }
+            // One analysis and signature per colour, e.g. redAnalysis and redSignature
+            colors.forEach(color => {
+                newRow[`${color}Analysis`] = (row[columns[color].analysis] ?? '').toString().trim();
+                newRow[`${color}Signature`] = (row[columns[color].signature] ?? '').toString().trim();
+            });
+
+            // Calculate outcome based on all guru analyses
+            newRow.outcomeValue = this.calculateOutcomeFromAnalyses(this.getGuruAnalysisValues(newRow));
 
             // Check for discrepancies for the current guru
             if (this.rowHasMyDiscrepancy(newRow)) {
@@ -570,6 +744,14 @@ export class GuruAnalysisInterface {
         this.numDiscrepancies = discrepancies;
     }
 
+    /**
+     * Number of matches where the current guru's result disagrees with another guru's,
+     * shown on the Next Discrepancy button
+     */
+    countMyDiscrepancies() {
+        return this.allRows.filter(row => this.rowHasMyDiscrepancy(row)).length;
+    }
+
     findColumnIndex(headerRow, possibleNames) {
         for (const name of possibleNames) {
             const index = headerRow.findIndex(header => 
@@ -580,22 +762,17 @@ export class GuruAnalysisInterface {
         return -1;
     }
 
-    calculateOutcomeFromAnalyses(redAnalysis, blueAnalysis, greenAnalysis) {
+    /**
+     * @param {Array<string>} guruAnalyses - Analysis of every guru colour of the pod
+     */
+    calculateOutcomeFromAnalyses(guruAnalyses) {
         // Collect all guru analyses
-        const analyses = [];
-        
-        if (redAnalysis && redAnalysis.trim() !== '') {
-            analyses.push(redAnalysis.trim());
-        }
-        if (blueAnalysis && blueAnalysis.trim() !== '') {
-            analyses.push(blueAnalysis.trim());
-        }
-        if (greenAnalysis && greenAnalysis.trim() !== '') {
-            analyses.push(greenAnalysis.trim());
-        }
+        const analyses = guruAnalyses
+            .filter(analysis => analysis && analysis.trim() !== '')
+            .map(analysis => analysis.trim());
         
         // If any guru's analysis is missing, it's incomplete
-        const expectedAnalyses = 3; // Red, Blue, Green
+        const expectedAnalyses = guruAnalyses.length; // One per colour
         if (analyses.length < expectedAnalyses) {
             return 'Incomplete';
         }
@@ -702,30 +879,12 @@ export class GuruAnalysisInterface {
 
     getCurrentColorAnalysis(row) {
         // Get the current guru's analysis value based on guru color
-        switch (this.currentGuruColor) {
-            case 'red':
-                return row.redAnalysis || '';
-            case 'blue':
-                return row.blueAnalysis || '';
-            case 'green':
-                return row.greenAnalysis || '';
-            default:
-                return '';
-        }
+        return this.currentGuruColor ? row[`${this.currentGuruColor}Analysis`] || '' : '';
     }
 
     getCurrentColorSignature(row) {
         // Get the current row's signature for the current guru color
-        switch (this.currentGuruColor) {
-            case 'red':
-                return row.redSignature || '';
-            case 'blue':
-                return row.blueSignature || '';
-            case 'green':
-                return row.greenSignature || '';
-            default:
-                return '';
-        }
+        return this.currentGuruColor ? row[`${this.currentGuruColor}Signature`] || '' : '';
     }
 
     rowHasCurrentGuruSignature(row) {
@@ -734,7 +893,7 @@ export class GuruAnalysisInterface {
             return false;
         }
 
-        return [row.redSignature, row.blueSignature, row.greenSignature].includes(currentSignature)
+        return this.guruColors.some(color => row[`${color}Signature`] === currentSignature);
     }
 
     rowHasCurrentGuruSignatureInColor(row) {
@@ -781,15 +940,24 @@ export class GuruAnalysisInterface {
     async showCurrentRow() {
         // Update URL with current state
         this.updateURL();
+        // Let the rest of the app (e.g. the work queue) follow the open match
+        window.dispatchEvent(new CustomEvent('matchShown', {
+            detail: { podId: this.currentData.sheetId, matchNumber: this.currentRowIndex + 1 }
+        }));
 
         // Show sheet link
         const sheetInfoSection = document.getElementById('sheet-info');
         sheetInfoSection.innerHTML = '';
         const sheetLink = document.createElement('a');
         sheetLink.setAttribute('id', 'google-sheet-link');
-        sheetLink.target = '_blank';
-        sheetLink.href = `https://docs.google.com/spreadsheets/d/${this.currentData.sheetId}/edit`;
-        sheetLink.title = 'Open pod in Google Sheets';
+        if (!this.sheetsAPI.isLocal(this.currentData.sheetId)) {
+            sheetLink.target = '_blank';
+            sheetLink.href = `https://docs.google.com/spreadsheets/d/${this.currentData.sheetId}/edit`;
+            sheetLink.title = 'Open pod in Google Sheets';
+        } else {
+            // Pods stored on this device have no sheet to open
+            sheetLink.title = 'Pod stored on this device';
+        }
         sheetInfoSection.appendChild(sheetLink);
         
         // If pod name exists in metadata, show it prominently with sheet title below
@@ -821,6 +989,7 @@ export class GuruAnalysisInterface {
         // Update progress info
         document.getElementById('current-row-info').textContent = 
             `Match ${this.currentRowIndex + 1} of ${this.allRows.length}`;
+        this.updatePendingBadge();
         this.updateGuruColorDisplay();
 
         // Load card images for both players
@@ -873,6 +1042,8 @@ export class GuruAnalysisInterface {
 
         // Show current guru's analysis with other gurus' analyses
         analysisElement.innerHTML = await this.buildAnalysisDisplayWithOthers(currentRow, currentRow.outcomeValue || '');
+        this.renderMatchNotes(currentRow);
+        this.renderPrivateNotes();
 
         // Check if this row is claimed by another guru
         const currentRowSignature = this.getCurrentColorSignature(currentRow);
@@ -1093,9 +1264,16 @@ export class GuruAnalysisInterface {
             return;
         }
 
+        // Only the free rows are written: a queued claim of a taken row would come back as a conflict
+        const unclaimedRows = rowsToClaim.filter(row => this.rowHasEmptySignature(row));
+        if (unclaimedRows.length === 0) {
+            this.uiController.showStatus(`All ${rowsToClaim.length} matches for this deck are already claimed.`, 'info');
+            return;
+        }
+
         // Prepare batch updates
         const updates = {
-            updates: rowsToClaim.map(row => {
+            updates: unclaimedRows.map(row => {
                 const signatureColIndex = this.getCurrentGuruColIndex('signature');
                 return {
                     sheetId: row.sheetId,
@@ -1111,13 +1289,29 @@ export class GuruAnalysisInterface {
         };
 
         try {
-            this.uiController.showStatus(`Claiming ${rowsToClaim.length} matches for deck...`, 'loading');
-            const result = await this.sheetsAPI.checkedUpdateSheetData(this.currentData.sheetId, updates);
+            this.uiController.showStatus(`Claiming ${unclaimedRows.length} matches for deck...`, 'loading');
+            const result = await this.submitCellUpdates(updates, {
+                cells: unclaimedRows.map(row => ({
+                    row: row.originalRowIndex + 1,
+                    color: this.currentGuruColor,
+                    field: 'signature',
+                    value: this.guruSignature
+                }))
+            });
+
+            if (result === null) {
+                // Queued offline: claim the free rows locally, the replay reports those taken in the meantime
+                unclaimedRows.forEach(row => this.setRowGuruValue(row, this.currentGuruColor, 'signature', this.guruSignature));
+                this.uiController.showStatus(`Offline - ${unclaimedRows.length} claims will be sent when you are back online`, 'info');
+                this.showCurrentRow();
+                return;
+            }
 
             // Update local data for only those that were actually claimed
             let actuallyClaimed = 0;
+            const claimedChanges = [];
             if (result && result.updatedCells) {
-                rowsToClaim.forEach((row, i) => {
+                unclaimedRows.forEach((row, i) => {
                     // Find the matching row in this.allRows by originalRowIndex and sheetId
                     const match = this.allRows.find(r => r.originalRowIndex === row.originalRowIndex && r.sheetId === row.sheetId);
                     if (!match) return;
@@ -1125,25 +1319,20 @@ export class GuruAnalysisInterface {
                     const skipped = result.skipped && result.skipped.find(s => s.row === row.originalRowIndex + 1);
                     if (skipped) {
                         // This row is already claimed, set the signature to the value from skipped
-                        switch (this.currentGuruColor) {
-                            case 'red': match.redSignature = skipped.currentValue; break;
-                            case 'blue': match.blueSignature = skipped.currentValue; break;
-                            case 'green': match.greenSignature = skipped.currentValue; break;
-                        }
+                        this.setRowGuruValue(match, this.currentGuruColor, 'signature', skipped.currentValue);
                     }
                     else {
                         // Successfully claimed this row, set the signature to user's guru signature
-                        switch (this.currentGuruColor) {
-                            case 'red': match.redSignature = this.guruSignature; break;
-                            case 'blue': match.blueSignature = this.guruSignature; break;
-                            case 'green': match.greenSignature = this.guruSignature; break;
-                        }
+                        this.setRowGuruValue(match, this.currentGuruColor, 'signature', this.guruSignature);
+                        claimedChanges.push(this.describeCellChange(match, 'signature', '', this.guruSignature));
                         actuallyClaimed++;
                     }
                 });
             }
 
-            this.uiController.showStatus(`Claimed ${actuallyClaimed} of ${rowsToClaim.length} matches for this deck.`, 'success');
+            this.recordChanges(`claim of ${actuallyClaimed} matches for ${player1Deck}`, claimedChanges);
+            this.uiController.showStatus(`Claimed ${actuallyClaimed} of ${rowsToClaim.length} matches for this deck.`, 'success',
+                claimedChanges.length > 0 ? { action: this.getUndoAction() } : {});
             console.log(`🎯 Claimed ${actuallyClaimed} matches for deck "${player1Deck}" (${rowsToClaim.length} total)`);
             this.showCurrentRow();
 
@@ -1274,10 +1463,20 @@ export class GuruAnalysisInterface {
         }
     }
 
-    async setAnalysis(value) {
-        if (this.currentRowIndex >= this.allRows.length) return;
+    /**
+     * Save the current guru's analysis for a match, the current one by default.
+     * The write only goes through if the cell still holds what we last loaded,
+     * otherwise the conflict dialog is shown.
+     * @param {number} value - Analysis value (1.0, 0.5 or 0.0)
+     * @param {Object} options - expectedValue: cell value to check against, defaults to the locally loaded analysis;
+     * rowIndex: match to score, as an index in allRows
+     */
+    async setAnalysis(value, { expectedValue = null, rowIndex = this.currentRowIndex } = {}) {
+        if (rowIndex < 0 || rowIndex >= this.allRows.length) return;
 
-        const currentRow = this.allRows[this.currentRowIndex];
+        const currentRow = this.allRows[rowIndex];
+        const isShown = rowIndex === this.currentRowIndex;
+        const checkValue = expectedValue !== null ? expectedValue : this.getCurrentColorAnalysis(currentRow);
         
         try {
             this.uiController.showStatus('Saving guru analysis...', 'loading');
@@ -1300,44 +1499,62 @@ export class GuruAnalysisInterface {
                     row: currentRow.originalRowIndex + 1, // +1 because sheets are 1-indexed
                     col: analysisColIndex + 1, // +1 because sheets are 1-indexed
                     value: value.toString(),
+                    expectedValue: checkValue, // Refuse the write if someone else changed the cell since we loaded it
                     valueType: 'number', // Explicitly specify this is a number
                     isMergedGuruUpdate: true,
                     guruSheetIds: this.currentData.sheets.find(s => s.title === 'Merged Gurus')?.guruSheetIds
                 }]
             };
 
-            await this.sheetsAPI.updateSheetData(this.currentData.sheetId, updates);
-            
-            // Update the specific guru analysis in the local data
-            switch (this.currentGuruColor) {
-                case 'red':
-                    currentRow.redAnalysis = value.toString();
-                    break;
-                case 'blue':
-                    currentRow.blueAnalysis = value.toString();
-                    break;
-                case 'green':
-                    currentRow.greenAnalysis = value.toString();
-                    break;
+            const result = await this.submitCellUpdates(updates, {
+                cells: [{ row: currentRow.originalRowIndex + 1, color: this.currentGuruColor, field: 'analysis', value: value.toString() }]
+            });
+            const queued = result === null;
+
+            if (result && result.skippedCells > 0) {
+                const currentValue = result.skipped[0].currentValue;
+                const normalizedCurrent = this.normalizeAnalysisForComparison(currentValue);
+
+                if (normalizedCurrent === this.normalizeAnalysisForComparison(checkValue) && currentValue !== checkValue) {
+                    // Same value, only formatted differently in the sheet (e.g. "1" vs "1.0"): retry against what is there
+                    return this.setAnalysis(value, { expectedValue: currentValue, rowIndex });
+                }
+
+                if (normalizedCurrent !== this.normalizeAnalysisForComparison(value)) {
+                    await this.showAnalysisConflictDialog(currentRow, value, currentValue);
+                    return;
+                }
+                // Someone already entered the very same result, nothing to resolve
             }
             
-            // Calculate and update the outcome value based on all guru analyses
-            const newOutcome = this.calculateOutcomeFromAnalyses(
-                currentRow.redAnalysis, 
-                currentRow.blueAnalysis, 
-                currentRow.greenAnalysis
-            );
-            currentRow.outcomeValue = newOutcome;
+            // Update the specific guru analysis in the local data, and the outcome based on all guru analyses
+            this.setRowGuruValue(currentRow, this.currentGuruColor, 'analysis', value.toString());
+            const newOutcome = currentRow.outcomeValue;
             
-            // Update button highlighting immediately based on the new analysis value
-            this.highlightCurrentAnalysisButton(value);
-            // Update outcome display
-            const analysisElement = document.getElementById('current-analysis-value');
-            if (analysisElement) {
-                analysisElement.innerHTML = await this.buildAnalysisDisplayWithOthers(currentRow, newOutcome);
+            // The guru may have moved to another match while a conflict was being resolved
+            if (isShown) {
+                // Update button highlighting immediately based on the new analysis value
+                this.highlightCurrentAnalysisButton(value);
+                // Update outcome display
+                const analysisElement = document.getElementById('current-analysis-value');
+                if (analysisElement) {
+                    analysisElement.innerHTML = await this.buildAnalysisDisplayWithOthers(currentRow, newOutcome);
+                }
             }
             
-            this.uiController.showStatus(`Analysis saved: ${this.getAnalysisLabel(value)}`, 'success');
+            if (queued) {
+                this.uiController.showStatus(`Offline - ${this.getAnalysisLabel(value)} will be saved when you are back online`, 'info');
+                return;
+            }
+
+            // Undo is only offered for a change that was recorded, not when the cell already held the value
+            const recorded = result.updatedCells > 0;
+            if (recorded) {
+                this.recordChanges(`${this.getAnalysisLabel(value)} on match ${rowIndex + 1}`, [
+                    this.describeCellChange(currentRow, 'analysis', checkValue, value.toString())
+                ]);
+            }
+            this.uiController.showStatus(`Analysis saved: ${this.getAnalysisLabel(value)}${isShown ? '' : ` on match ${rowIndex + 1}`}`, 'success', recorded ? { action: this.getUndoAction() } : {});
             
             // Check if analysis is now complete
             if (this.isAnalysisComplete()) {
@@ -1354,6 +1571,66 @@ export class GuruAnalysisInterface {
         }
     }
 
+    /**
+     * Let the guru resolve an analysis write refused because the cell changed since we loaded it
+     * @param {Object} row - Row the guru tried to score
+     * @param {number} mine - Analysis value the guru tried to save
+     * @param {string} theirs - Value found in the sheet
+     */
+    async showAnalysisConflictDialog(row, mine, theirs) {
+        this.uiController.showStatus('This result was changed by someone else', 'info');
+
+        // Refresh the pod so the row shows who holds the result now
+        await this.reloadAllDataInBackground();
+        const freshRow = this.allRows.find(r => r.sheetId === row.sheetId && r.originalRowIndex === row.originalRowIndex) || row;
+        const signature = this.getCurrentColorSignature(freshRow) || '(none)';
+        const theirsLabel = this.getOutcomeDisplayName(theirs) || '(empty)';
+        const matchIndex = this.allRows.indexOf(freshRow);
+
+        const content = document.createElement('div');
+        content.className = 'analysis-conflict';
+        content.innerHTML = `
+            <p>The ${this.currentGuruColor} result for ${matchIndex === -1 ? 'this match' : `match ${matchIndex + 1}`} was changed since you loaded it.</p>
+            <table class="analysis-conflict-table">
+                <tr><th>Theirs</th><td class="conflict-theirs"></td></tr>
+                <tr><th>Mine</th><td class="conflict-mine"></td></tr>
+                <tr><th>Signature now on the row</th><td class="conflict-signature"></td></tr>
+            </table>
+            <div class="analysis-conflict-actions">
+                <button class="secondary-btn" data-action="keep">Keep theirs</button>
+                <button class="primary-btn" data-action="overwrite">Overwrite with mine</button>
+                <button class="secondary-btn" data-action="reload">Reload pod</button>
+            </div>
+        `;
+        content.querySelector('.conflict-theirs').textContent = theirsLabel;
+        content.querySelector('.conflict-mine').textContent = this.getAnalysisLabel(mine);
+        content.querySelector('.conflict-signature').textContent = signature;
+
+        const { close } = this.uiController.showModal('Result conflict', content);
+
+        content.querySelector('[data-action="keep"]').addEventListener('click', () => {
+            close();
+            this.uiController.showStatus(`Kept ${theirsLabel}`, 'info');
+        });
+        content.querySelector('[data-action="overwrite"]').addEventListener('click', () => {
+            close();
+            // The row the dialog is about, even if the guru moved to another match meanwhile
+            const rowIndex = this.allRows.findIndex(r => r.sheetId === row.sheetId && r.originalRowIndex === row.originalRowIndex);
+            if (rowIndex === -1) {
+                this.uiController.showStatus('This match is no longer in the pod, reload it to continue', 'error');
+                return;
+            }
+            // Still a checked write: if the cell changes again we come back here
+            this.setAnalysis(mine, { expectedValue: theirs, rowIndex });
+        });
+        content.querySelector('[data-action="reload"]').addEventListener('click', async () => {
+            close();
+            this.uiController.showStatus('Reloading pod...', 'loading');
+            await this.reloadAllData();
+            this.uiController.showStatus('Pod reloaded', 'success');
+        });
+    }
+
     getAnalysisLabel(value) {
         if (value === 1.0) return 'Win';
         if (value === 0.5) return 'Tie';
@@ -1361,6 +1638,203 @@ export class GuruAnalysisInterface {
         return value.toString();
     }
 
+    /**
+     * Describe a cell changed by a guru action, for the undo history and the audit log
+     * @param {Object} row - Row from allRows
+     * @param {string} field - 'analysis' or 'signature'
+     * @param {string} before - Cell value before the action
+     * @param {string} after - Cell value the action wrote
+     * @param {string} color - Guru colour of the cell, the guru's own by default
+     */
+    describeCellChange(row, field, before, after, color = this.currentGuruColor) {
+        return {
+            sheetId: row.sheetId,
+            row: row.originalRowIndex + 1, // +1 because sheets are 1-indexed
+            col: (this.guruColumns[color]?.[field] ?? -1) + 1,
+            color,
+            field,
+            before: before || '',
+            after: after || ''
+        };
+    }
+
+    /**
+     * Record cells the guru has just written: they can be undone and go to the pod's audit log
+     * @param {string} label - What the guru did, e.g. "Win on match 12"
+     * @param {Array<Object>} changes - Cell changes from describeCellChange
+     */
+    recordChanges(label, changes) {
+        this.undoHistory.record({ label, changes });
+        this.logChanges(changes);
+    }
+
+    /**
+     * Append cell changes to the pod's "Stylus Log" sheet, without waiting for it
+     * @param {Array<Object>} changes - Cell changes from describeCellChange
+     */
+    logChanges(changes) {
+        if (!this.auditLog || !this.currentData || changes.length === 0) {
+            return;
+        }
+
+        const entries = changes.map(change => ({
+            signature: this.guruSignature,
+            color: change.color,
+            matchNumber: this.getMatchNumberForSheetRow(change.sheetId, change.row),
+            column: change.field === 'analysis' ? 'Analysis' : 'Signature',
+            oldValue: change.before,
+            newValue: change.after
+        }));
+        this.auditLog.append(this.currentData.sheetId, entries);
+    }
+
+    /**
+     * @param {number} sheetId - Sheet ID of the row
+     * @param {number} sheetRow - 1-indexed row in the sheet
+     * @returns {number|string} Match number as shown in the app, or '' if the row is not loaded
+     */
+    getMatchNumberForSheetRow(sheetId, sheetRow) {
+        const index = this.allRows.findIndex(r => r.sheetId === sheetId && r.originalRowIndex + 1 === sheetRow);
+        return index >= 0 ? index + 1 : '';
+    }
+
+    getUndoAction() {
+        return { label: 'Undo', onClick: () => this.undo() };
+    }
+
+    async undo() {
+        await this.applyHistoryEntry('undo');
+    }
+
+    async redo() {
+        await this.applyHistoryEntry('redo');
+    }
+
+    /**
+     * Revert the latest action (or re-apply the latest undone one). The write is checked against
+     * the value the action left in each cell, so cells someone else has changed since are left alone.
+     * @param {string} direction - 'undo' or 'redo'
+     */
+    async applyHistoryEntry(direction) {
+        const isUndo = direction === 'undo';
+        const entry = isUndo ? this.undoHistory.popUndo() : this.undoHistory.popRedo();
+        if (!entry) {
+            this.uiController.showStatus(isUndo ? 'Nothing to undo' : 'Nothing to redo', 'info');
+            return;
+        }
+
+        const spreadsheetId = this.currentData.sheetId;
+        if (!navigator.onLine && this.sheetsAPI.requiresNetwork(spreadsheetId)) {
+            // Keep the entry: undo has to see the live cell to know nobody touched it since
+            if (isUndo) {
+                this.undoHistory.pushUndo(entry);
+            } else {
+                this.undoHistory.pushRedo(entry);
+            }
+            this.uiController.showStatus(`You are offline - ${direction} needs a connection`, 'error');
+            return;
+        }
+
+        const guruSheetIds = this.currentData.sheets.find(s => s.title === 'Merged Gurus')?.guruSheetIds;
+        const toUpdate = (change, expectedValue) => {
+            const value = isUndo ? change.before : change.after;
+            return {
+                sheetId: change.sheetId,
+                row: change.row,
+                col: change.col,
+                value,
+                expectedValue,
+                // An empty string clears the cell
+                valueType: change.field === 'analysis' && value !== '' ? 'number' : 'string',
+                isMergedGuruUpdate: true,
+                guruSheetIds
+            };
+        };
+
+        try {
+            this.uiController.showStatus(`${isUndo ? 'Undoing' : 'Redoing'} ${entry.label}...`, 'loading');
+
+            const result = await this.sheetsAPI.checkedUpdateSheetData(spreadsheetId, {
+                updates: entry.changes.map(change => toUpdate(change, isUndo ? change.after : change.before))
+            });
+
+            // Each action changes at most one cell per row, so skipped cells are matched by row
+            const conflicts = [];
+            const retries = [];
+            (result.skipped || []).forEach(skip => {
+                const change = entry.changes.find(c => c.row === skip.row);
+                if (!change) return;
+                if (change.field === 'analysis' &&
+                    this.normalizeAnalysisForComparison(skip.currentValue) === this.normalizeAnalysisForComparison(skip.expectedValue)) {
+                    // Same result, only formatted differently in the sheet (e.g. "1" vs "1.0")
+                    retries.push(toUpdate(change, skip.currentValue));
+                } else {
+                    conflicts.push(change);
+                }
+            });
+            if (retries.length > 0) {
+                const retryResult = await this.sheetsAPI.checkedUpdateSheetData(spreadsheetId, { updates: retries });
+                (retryResult.skipped || []).forEach(skip => {
+                    const change = entry.changes.find(c => c.row === skip.row);
+                    if (change) conflicts.push(change);
+                });
+            }
+
+            const applied = entry.changes.filter(change => !conflicts.includes(change));
+            applied.forEach(change => {
+                const row = this.allRows.find(r => r.sheetId === change.sheetId && r.originalRowIndex + 1 === change.row);
+                if (row) {
+                    this.setRowGuruValue(row, change.color, change.field, isUndo ? change.before : change.after);
+                }
+            });
+            this.numDiscrepancies = this.countMyDiscrepancies();
+            this.logChanges(applied.map(change => isUndo
+                ? { ...change, before: change.after, after: change.before }
+                : change));
+
+            if (applied.length > 0) {
+                const remaining = { ...entry, changes: applied };
+                if (isUndo) {
+                    this.undoHistory.pushRedo(remaining);
+                } else {
+                    this.undoHistory.pushUndo(remaining);
+                }
+            }
+
+            const done = isUndo ? 'Undid' : 'Redid';
+            if (conflicts.length === 0) {
+                this.uiController.showStatus(`${done} ${entry.label}`, 'success', isUndo
+                    ? { action: { label: 'Redo', onClick: () => this.redo() } }
+                    : { action: this.getUndoAction() });
+            } else if (applied.length === 0) {
+                this.uiController.showStatus(`Could not ${direction} ${entry.label}: someone else has changed it since`, 'error');
+            } else {
+                this.uiController.showStatus(`${done} ${applied.length} of ${entry.changes.length} changes; ${conflicts.length} were changed by someone else since`, 'info');
+            }
+            console.log(`↩️ ${done} ${entry.label}:`, { applied: applied.length, conflicts: conflicts.length });
+
+            // Show the match the action was about
+            if (entry.changes.length === 1) {
+                const rowIndex = this.allRows.findIndex(r => r.sheetId === entry.changes[0].sheetId && r.originalRowIndex + 1 === entry.changes[0].row);
+                if (rowIndex >= 0) {
+                    this.currentRowIndex = rowIndex;
+                }
+            }
+            await this.showCurrentRow();
+
+            this.reloadAllDataInBackground();
+        } catch (error) {
+            // Keep the entry so the guru can try again
+            if (isUndo) {
+                this.undoHistory.pushUndo(entry);
+            } else {
+                this.undoHistory.pushRedo(entry);
+            }
+            console.error(`Error during ${direction}:`, error);
+            this.uiController.showStatus(`Error during ${direction}: ${error.message}`, 'error');
+        }
+    }
+
     async claimRow() {
         if (this.currentRowIndex >= this.allRows.length) return;
 
@@ -1403,7 +1877,9 @@ export class GuruAnalysisInterface {
                 }]
             };
 
-            const result = await this.sheetsAPI.checkedUpdateSheetData(this.currentData.sheetId, updates);
+            const result = await this.submitCellUpdates(updates, {
+                cells: [{ row: currentRow.originalRowIndex + 1, color: this.currentGuruColor, field: 'signature', value: this.guruSignature }]
+            });
 
             if (result && result.skippedCells > 0) {
                 // Someone else claimed the match first
@@ -1414,19 +1890,16 @@ export class GuruAnalysisInterface {
             }
 
             // Update local data with the new signature
-            switch (this.currentGuruColor) {
-                case 'red':
-                    currentRow.redSignature = this.guruSignature;
-                    break;
-                case 'blue':
-                    currentRow.blueSignature = this.guruSignature;
-                    break;
-                case 'green':
-                    currentRow.greenSignature = this.guruSignature;
-                    break;
-            }
+            this.setRowGuruValue(currentRow, this.currentGuruColor, 'signature', this.guruSignature);
 
-            this.uiController.showStatus('Match claimed successfully!', 'success');
+            if (result === null) {
+                this.uiController.showStatus('Offline - claim will be sent when you are back online', 'info');
+            } else {
+                this.recordChanges(`claim of match ${this.currentRowIndex + 1}`, [
+                    this.describeCellChange(currentRow, 'signature', '', this.guruSignature)
+                ]);
+                this.uiController.showStatus('Match claimed successfully!', 'success', { action: this.getUndoAction() });
+            }
 
             // Refresh the display to show scoring buttons now that the match is claimed
             await this.showCurrentRow();
@@ -1497,19 +1970,12 @@ export class GuruAnalysisInterface {
             await this.sheetsAPI.clearCell(this.currentData.sheetId, updateObj);
             
             // Update local data to clear the signature
-            switch (this.currentGuruColor) {
-                case 'red':
-                    currentRow.redSignature = '';
-                    break;
-                case 'blue':
-                    currentRow.blueSignature = '';
-                    break;
-                case 'green':
-                    currentRow.greenSignature = '';
-                    break;
-            }
+            this.setRowGuruValue(currentRow, this.currentGuruColor, 'signature', '');
             
-            this.uiController.showStatus('Match unclaimed successfully!', 'success');
+            this.recordChanges(`unclaim of match ${this.currentRowIndex + 1}`, [
+                this.describeCellChange(currentRow, 'signature', currentRowSignature, '')
+            ]);
+            this.uiController.showStatus('Match unclaimed successfully!', 'success', { action: this.getUndoAction() });
             
             // Refresh the display to show claim button now that the match is unclaimed
             await this.showCurrentRow();
@@ -1575,20 +2041,9 @@ export class GuruAnalysisInterface {
 
             await this.sheetsAPI.clearCell(this.currentData.sheetId, updateObj);
 
-            // Update local data to clear the analysis for the current guru
-            switch (this.currentGuruColor) {
-                case 'red': currentRow.redAnalysis = ''; break;
-                case 'blue': currentRow.blueAnalysis = ''; break;
-                case 'green': currentRow.greenAnalysis = ''; break;
-            }
-
-            // Recalculate outcome
+            // Update local data to clear the analysis for the current guru and recalculate the outcome
             const oldOutcome = currentRow.outcomeValue;
-            currentRow.outcomeValue = this.calculateOutcomeFromAnalyses(
-                currentRow.redAnalysis,
-                currentRow.blueAnalysis,
-                currentRow.greenAnalysis
-            );
+            this.setRowGuruValue(currentRow, this.currentGuruColor, 'analysis', '');
 
             // Update the number of discrepancies
             if (oldOutcome === 'discrepancy' && currentRow.outcomeValue !== 'discrepancy'){
@@ -1600,7 +2055,10 @@ export class GuruAnalysisInterface {
             // Reload data in the background to get fresh updates without moving to next row
             this.reloadAllDataInBackground();
 
-            this.uiController.showStatus('Your analysis was cleared.', 'success');
+            this.recordChanges(`clearing of match ${this.currentRowIndex + 1}`, [
+                this.describeCellChange(currentRow, 'analysis', currentAnalysis, '')
+            ]);
+            this.uiController.showStatus('Your analysis was cleared.', 'success', { action: this.getUndoAction() });
 
             // Hide clear button after clearing
             if (clearButton) clearButton.style.display = 'none';
@@ -1663,6 +2121,7 @@ export class GuruAnalysisInterface {
             // Rebuild data with fresh information
             this.currentData = freshSheetData;
             
+            const previousRows = this.allRows;
             this.allRows = [];
             
             // Process all sheets and collect rows that need analysis
@@ -1674,6 +2133,13 @@ export class GuruAnalysisInterface {
                 });
             }
             
+            await this.refreshPendingWrites(false);
+
+            this.changeNotifier.notify(
+                freshSheetData.sheetId,
+                findMatchChanges(previousRows, this.allRows, this.guruSignature, this.guruColors)
+            );
+
             // Find the current row in the fresh data
             let newRowIndex = 0;
             for (let i = 0; i < this.allRows.length; i++) {
@@ -1692,6 +2158,7 @@ export class GuruAnalysisInterface {
             
             // Silently update the current row display with fresh data
             await this.showCurrentRow();
+            this.refreshStandingsView?.();
             
             console.log('🔄 Background data refresh completed successfully');
             
@@ -1701,51 +2168,702 @@ export class GuruAnalysisInterface {
         }
     }
 
-    buildDiscrepancyDisplay(currentRow) {
-        // Collect other guru analyses (exclude the current guru's analysis)
-        const otherAnalyses = [];
-        
-        // Show analyses from other gurus based on current guru color
-        if (this.currentGuruColor !== 'red' && currentRow.redAnalysis) {
-            otherAnalyses.push({ name: 'Red', value: currentRow.redAnalysis });
-        }
-        if (this.currentGuruColor !== 'blue' && currentRow.blueAnalysis) {
-            otherAnalyses.push({ name: 'Blue', value: currentRow.blueAnalysis });
+    /**
+     * Send cell updates to the sheet, queueing them in the offline outbox when
+     * the network is unavailable.
+     * @param {Object} updates - { updates: [...] } as accepted by GoogleSheetsAPI
+     * @param {Object} options - checked: use checkedUpdateSheetData, cells: local changes to re-apply while queued
+     * @returns {Promise<Object|null>} The API result, or null if the write was queued
+     */
+    async submitCellUpdates(updates, { checked = true, cells = [] } = {}) {
+        const spreadsheetId = this.currentData.sheetId;
+        const canQueue = this.sheetsAPI.requiresNetwork(spreadsheetId);
+
+        if (!navigator.onLine && canQueue) {
+            await this.offlineQueue.enqueue(spreadsheetId, updates, cells);
+            return null;
         }
-        if (this.currentGuruColor !== 'green' && currentRow.greenAnalysis) {
-            otherAnalyses.push({ name: 'Green', value: currentRow.greenAnalysis });
+
+        try {
+            return checked
+                ? await this.sheetsAPI.checkedUpdateSheetData(spreadsheetId, updates)
+                : await this.sheetsAPI.updateSheetData(spreadsheetId, updates);
+        } catch (error) {
+            if (canQueue && isNetworkError(error)) {
+                console.warn('Network unavailable, queueing write:', error);
+                await this.offlineQueue.enqueue(spreadsheetId, updates, cells);
+                return null;
+            }
+            throw error;
         }
-        
-        // Build the display HTML with proper structure
-        let html = '<div class="discrepancy-content">';
-        html += '<div class="discrepancy-header">Discrepancy</div>';
-        html += '</div>';
-        
-        if (otherAnalyses.length > 0) {
-            html += '<div class="other-analyses">';
-            otherAnalyses.forEach(analysis => {
-                const displayValue = this.formatAnalysisValue(analysis.value);
-                const cssClass = this.getAnalysisClass(analysis.value);
-                html += `<div class="other-analysis ${cssClass}">
-                    <div class="guru-name">${analysis.name}</div>
-                    <div class="analysis-value">${displayValue}</div>
-                </div>`;
-            });
-            html += '</div>';
+    }
+
+    /**
+     * Set a guru analysis or signature on a local row, keeping the outcome in sync
+     * @param {Object} row - Row from allRows
+     * @param {string} color - Guru color
+     * @param {string} field - 'analysis' or 'signature'
+     * @param {string} value - New cell value
+     */
+    setRowGuruValue(row, color, field, value) {
+        if (field === 'analysis') {
+            row[`${color}Analysis`] = value;
+            row.outcomeValue = this.calculateOutcomeFromAnalyses(this.getGuruAnalysisValues(row));
+        } else {
+            row[`${color}Signature`] = value;
         }
-        
-        return html;
     }
 
-    async buildAnalysisDisplayWithOthers(currentRow, outcomeValue = '') {
-        // Get current guru's analysis
-        const currentGuruAnalysis = this.getCurrentColorAnalysis(currentRow);
+    /**
+     * Re-read the offline outbox for the current pod and overlay pending values on the local rows,
+     * so queued writes stay visible across reloads
+     * @param {boolean} render - Whether to refresh the pending badge on screen
+     */
+    async refreshPendingWrites(render = true) {
+        if (!this.currentData?.sheetId) {
+            return;
+        }
+
+        const entries = await this.offlineQueue.getPending(this.currentData.sheetId);
+        this.pendingRows = new Set();
+
+        entries.forEach(entry => {
+            (entry.cells || []).forEach(cell => {
+                this.pendingRows.add(cell.row);
+                const row = this.allRows.find(r => r.originalRowIndex + 1 === cell.row);
+                if (row) {
+                    this.setRowGuruValue(row, cell.color, cell.field, cell.value);
+                }
+            });
+        });
+
+        if (render) {
+            this.updatePendingBadge();
+        }
+    }
+
+    isRowPendingSync(row) {
+        return !!row && this.pendingRows.has(row.originalRowIndex + 1);
+    }
+
+    updatePendingBadge() {
+        const currentRowInfo = document.getElementById('current-row-info');
+        if (!currentRowInfo) return;
+
+        currentRowInfo.querySelectorAll('.pending-sync-badge').forEach(badge => badge.remove());
+
+        if (this.isRowPendingSync(this.allRows[this.currentRowIndex])) {
+            const badge = document.createElement('span');
+            badge.className = 'pending-sync-badge';
+            badge.title = 'Saved offline, will sync when back online';
+            badge.textContent = '⏳ Pending sync';
+            currentRowInfo.appendChild(badge);
+        }
+    }
+
+    /**
+     * Report the outcome of an offline replay, listing the cells that were changed
+     * by someone else while we were offline
+     * @param {Object} result - { replayed, conflicts, applied } from OfflineWriteQueue.replay
+     */
+    handleReplayComplete({ replayed, conflicts, applied = [] }) {
+        this.logReplayedWrites(applied);
+
+        if (conflicts.length === 0) {
+            this.uiController.showStatus(`Synced ${replayed} offline change${replayed === 1 ? '' : 's'}`, 'success');
+        } else {
+            const container = document.createElement('div');
+            const intro = document.createElement('p');
+            intro.textContent = 'These cells were changed by someone else while you were offline, so your change was not applied:';
+            container.appendChild(intro);
+
+            const list = document.createElement('ul');
+            list.className = 'sync-conflict-list';
+            conflicts.forEach(conflict => {
+                const rowIndex = conflict.spreadsheetId === this.currentData?.sheetId
+                    ? this.allRows.findIndex(r => r.originalRowIndex + 1 === conflict.row)
+                    : -1;
+                const matchLabel = rowIndex >= 0 ? `Match ${rowIndex + 1}` : `Sheet row ${conflict.row}`;
+                const field = this.getMergedUpdateTarget(conflict.update)?.field === 'signature' ? 'claim' : 'result';
+                const item = document.createElement('li');
+                if (conflict.error) {
+                    item.textContent = `${matchLabel} (${field}): ${conflict.error}`;
+                } else if (conflict.guardValue !== undefined) {
+                    // The check that failed was on the claim (imports) or on the result (unclaims)
+                    const guardField = this.getMergedUpdateTarget({ ...conflict.update, col: conflict.update?.guard?.col })?.field;
+                    const reason = guardField === 'analysis'
+                        ? `scored ${this.getOutcomeDisplayName(conflict.guardValue) || conflict.guardValue} in the meantime`
+                        : conflict.guardValue ? `now claimed by ${conflict.guardValue}` : 'no longer claimed by you';
+                    item.textContent = `${matchLabel} (${field}): ${reason}`;
+                } else {
+                    item.textContent = `${matchLabel} (${field}): expected "${conflict.expectedValue || '(empty)'}", found "${conflict.currentValue || '(empty)'}"`;
+                }
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+
+            this.uiController.showModal('Offline changes conflicted', container);
+        }
+
+        if (this.currentData?.sheetId) {
+            this.reloadAllDataInBackground();
+        }
+    }
+
+    /**
+     * Colour and field a merged-sheet update writes to, from its column
+     * @param {Object} update - Update as queued by submitCellUpdates
+     * @returns {Object|null} { color, field: 'analysis'|'signature' }, or null for another column
+     */
+    getMergedUpdateTarget(update) {
+        if (!update) return null;
+        // The update's guruSheetIds list the pod's colours in column order
+        const columnMapping = this.sheetsAPI.getMergedGuruColumnMapping(Object.keys(update.guruSheetIds || {}));
+        const key = Object.keys(columnMapping).find(name => columnMapping[name] + 1 === update.col);
+        const match = key && key.match(/^(.+)(Analysis|Signature)$/);
+        return match ? { color: match[1], field: match[2].toLowerCase() } : null;
+    }
+
+    /**
+     * Log the queued writes that reached the sheet. Only writes to the open pod are logged,
+     * since match numbers come from its loaded rows.
+     * @param {Array<Object>} applied - Updates written by the replay, with their spreadsheetId
+     */
+    logReplayedWrites(applied) {
+        const changes = applied
+            .filter(update => update.spreadsheetId === this.currentData?.sheetId)
+            .map(update => {
+                const target = this.getMergedUpdateTarget(update);
+                if (!target) return null;
+                return {
+                    sheetId: update.sheetId,
+                    row: update.row,
+                    col: update.col,
+                    color: target.color,
+                    field: target.field,
+                    before: update.expectedValue || '',
+                    after: update.value || ''
+                };
+            })
+            .filter(Boolean);
+        this.logChanges(changes);
+    }
+
+    /**
+     * Show the changes recorded in the pod's "Stylus Log" sheet for the current match
+     */
+    async showMatchHistory() {
+        if (!this.auditLog || this.currentRowIndex < 0 || this.currentRowIndex >= this.allRows.length) return;
+
+        const matchNumber = this.currentRowIndex + 1;
+        const content = document.createElement('div');
+        content.className = 'match-history';
+        content.textContent = 'Loading history...';
+        this.uiController.showModal(`History of match ${matchNumber}`, content, { className: 'match-history-modal' });
+
+        try {
+            const history = await this.auditLog.getMatchHistory(this.currentData.sheetId, matchNumber);
+            content.textContent = '';
+
+            if (history === null) {
+                content.textContent = `This pod has no "${AUDIT_LOG_SHEET_TITLE}" sheet. Add an empty sheet with that name to record every change made through The Stylus.`;
+                return;
+            }
+            if (history.length === 0) {
+                content.textContent = 'No changes recorded for this match yet.';
+                return;
+            }
+
+            const table = document.createElement('table');
+            table.className = 'match-history-table';
+            table.innerHTML = '<thead><tr><th>When</th><th>Guru</th><th>Colour</th><th>Column</th><th>Old</th><th>New</th></tr></thead>';
+            const body = document.createElement('tbody');
+            history.forEach(entry => {
+                const date = new Date(entry.timestamp);
+                const formatValue = (value) => entry.column === 'Analysis'
+                    ? (this.getOutcomeDisplayName(value) || '(empty)')
+                    : (value || '(empty)');
+                const tr = document.createElement('tr');
+                [
+                    isNaN(date.getTime()) ? entry.timestamp : date.toLocaleString(),
+                    entry.signature,
+                    entry.color,
+                    entry.column,
+                    formatValue(entry.oldValue),
+                    formatValue(entry.newValue)
+                ].forEach(text => {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    tr.appendChild(td);
+                });
+                tr.title = `Session ${entry.sessionId}`;
+                body.appendChild(tr);
+            });
+            table.appendChild(body);
+            content.appendChild(table);
+        } catch (error) {
+            console.error('Error loading match history:', error);
+            content.textContent = `Could not load the history: ${error.message}`;
+        }
+    }
+
+    /**
+     * Reload the pod's match notes and update the notes of the match on screen
+     */
+    async refreshMatchNotes() {
+        if (!this.currentData) return;
+        try {
+            this.matchNotesByMatch = await this.matchNotes.load(this.currentData.sheetId) || new Map();
+            this.renderMatchNotesList();
+        } catch (error) {
+            console.warn('Could not load match notes:', error);
+        }
+    }
+
+    startMatchNotesPolling() {
+        this.stopMatchNotesPolling();
+        // Like the deck notes editor, poll so comments from other gurus appear while the notes are open
+        this.matchNotesPollTimer = setInterval(() => {
+            const panel = document.getElementById('match-notes');
+            if (panel && panel.open && panel.style.display !== 'none' && !document.hidden && navigator.onLine) {
+                this.refreshMatchNotes();
+            }
+        }, 10000);
+    }
+
+    stopMatchNotesPolling() {
+        if (this.matchNotesPollTimer) {
+            clearInterval(this.matchNotesPollTimer);
+            this.matchNotesPollTimer = null;
+        }
+    }
+
+    /**
+     * Show the notes of the current match under its results. Notes discuss results, so like the
+     * other gurus' results they stay hidden until the guru has scored the match themselves.
+     * @param {Object} currentRow - Row on screen
+     */
+    renderMatchNotes(currentRow) {
+        const panel = document.getElementById('match-notes');
+        if (!panel) return;
+
+        if (this.isMatchAvailableForAnalysis(currentRow)) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const matchNumber = (this.currentRowIndex + 1).toString();
+        if (panel.dataset.match !== matchNumber) {
+            // A new match: rebuild the panel, open straight away when there is something to discuss
+            const isDiscrepancy = (currentRow.outcomeValue || '').toString().toLowerCase() === 'discrepancy';
+            panel.dataset.match = matchNumber;
+            panel.open = isDiscrepancy || this.matchNotesByMatch.has(matchNumber);
+            panel.innerHTML = `
+                <summary class="match-notes-summary"></summary>
+                <ul class="match-notes-list"></ul>
+                <form class="match-notes-form">
+                    <textarea class="match-notes-input" rows="2" placeholder="Explain your result to the other gurus..."></textarea>
+                    <button type="submit" class="secondary-btn match-notes-add-btn">Add note</button>
+                </form>
+            `;
+            panel.querySelector('.match-notes-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.addMatchNote();
+            });
+        }
+        panel.style.display = '';
+        this.renderMatchNotesList();
+    }
+
+    renderMatchNotesList() {
+        const panel = document.getElementById('match-notes');
+        if (!panel || !panel.dataset.match || panel.style.display === 'none') return;
+
+        const notes = this.matchNotesByMatch.get(panel.dataset.match) || [];
+        panel.querySelector('.match-notes-summary').textContent = notes.length > 0 ? `💬 Notes (${notes.length})` : '💬 Add a note';
+
+        const list = panel.querySelector('.match-notes-list');
+        list.innerHTML = '';
+        notes.forEach(note => {
+            const date = new Date(note.timestamp);
+            const item = document.createElement('li');
+            item.className = 'match-notes-item';
+            item.innerHTML = `
+                <div class="match-notes-meta"><span class="match-notes-author"></span> <span class="match-notes-time"></span></div>
+                <div class="match-notes-comment"></div>
+            `;
+            item.querySelector('.match-notes-author').textContent = note.color ? `${note.signature} (${note.color})` : note.signature;
+            item.querySelector('.match-notes-time').textContent = isNaN(date.getTime()) ? note.timestamp : date.toLocaleString();
+            item.querySelector('.match-notes-comment').textContent = note.comment;
+            list.appendChild(item);
+        });
+    }
+
+    async addMatchNote() {
+        const panel = document.getElementById('match-notes');
+        const input = panel?.querySelector('.match-notes-input');
+        const comment = input?.value.trim();
+        if (!comment || !this.currentData) return;
+
+        const button = panel.querySelector('.match-notes-add-btn');
+        button.disabled = true;
+        try {
+            await this.matchNotes.add(this.currentData.sheetId, {
+                matchNumber: parseInt(panel.dataset.match, 10),
+                signature: this.guruSignature,
+                color: this.currentGuruColor,
+                comment
+            });
+            input.value = '';
+            await this.refreshMatchNotes();
+            this.uiController.showStatus('Note added', 'success');
+        } catch (error) {
+            console.error('Error adding match note:', error);
+            this.uiController.showStatus(`Could not add the note: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Show the guru's private note for the match on screen
+     * @param {boolean} force - Reload the text even when the match has not changed (e.g. after a sync)
+     */
+    renderPrivateNotes(force = false) {
+        const panel = document.getElementById('private-notes');
+        const input = document.getElementById('private-notes-input');
+        if (!panel || !input || !this.currentData || this.currentRowIndex < 0 || this.currentRowIndex >= this.allRows.length) return;
+
+        const key = `${this.currentData.sheetId}:${this.currentRowIndex + 1}`;
+        if (panel.dataset.match === key && !force) return;
+        // Don't replace what the guru is typing
+        if (panel.dataset.match === key && document.activeElement === input) return;
+
+        panel.dataset.match = key;
+        input.value = this.privateNotes.getNote(this.currentData.sheetId, this.currentRowIndex + 1);
+        panel.open = input.value !== '' || panel.open;
+        this.updatePrivateNotesSummary();
+    }
+
+    updatePrivateNotesSummary() {
+        const input = document.getElementById('private-notes-input');
+        const label = document.getElementById('private-notes-label');
+        if (input && label) {
+            label.textContent = input.value.trim() ? '🔒 My notes ✎' : '🔒 My notes';
+        }
+    }
+
+    /**
+     * Search every private note of the guru, across pods
+     */
+    showPrivateNotesSearch() {
+        const content = document.createElement('div');
+        content.className = 'private-notes-search';
+        content.innerHTML = `
+            <input type="search" class="match-table-search" placeholder="Search your notes, decks and pods...">
+            <ul class="private-notes-results"></ul>
+        `;
+        const input = content.querySelector('input');
+        const list = content.querySelector('.private-notes-results');
+
+        const render = () => {
+            const results = this.privateNotes.search(input.value);
+            list.innerHTML = '';
+            if (results.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'private-notes-empty';
+                empty.textContent = input.value.trim() ? 'No notes found' : 'You have no private notes yet';
+                list.appendChild(empty);
+                return;
+            }
+            results.forEach(result => {
+                const item = document.createElement('li');
+                item.className = 'private-notes-result';
+                item.dataset.pod = result.podId;
+                item.dataset.match = result.matchNumber;
+                item.innerHTML = `
+                    <div class="private-notes-result-title"></div>
+                    <div class="private-notes-result-text"></div>
+                `;
+                item.querySelector('.private-notes-result-title').textContent =
+                    `${result.podTitle} · Match ${result.matchNumber}${result.label ? ` · ${result.label}` : ''}`;
+                item.querySelector('.private-notes-result-text').textContent = result.text;
+                list.appendChild(item);
+            });
+        };
+        render();
+        input.addEventListener('input', render);
+
+        const { close } = this.uiController.showModal('Search my notes', content, { className: 'private-notes-search-modal' });
+        input.focus();
+
+        list.addEventListener('click', async (e) => {
+            const item = e.target.closest('.private-notes-result');
+            if (!item) return;
+            close();
+            const matchNumber = parseInt(item.dataset.match, 10);
+            if (item.dataset.pod === this.currentData?.sheetId) {
+                if (matchNumber >= 1 && matchNumber <= this.allRows.length) {
+                    this.currentRowIndex = matchNumber - 1;
+                    await this.showCurrentRow();
+                }
+            } else {
+                // Another pod: open it like a shared match link
+                const url = new URL(window.location);
+                url.search = '';
+                url.searchParams.set('pod', item.dataset.pod);
+                url.searchParams.set('match', matchNumber.toString());
+                window.location.href = url.toString();
+            }
+        });
+    }
+
+    /**
+     * List what other gurus changed on the guru's matches since the pod was opened
+     */
+    showNotifications() {
+        const content = document.createElement('div');
+        content.className = 'notifications';
+        content.innerHTML = `
+            <label class="notifications-browser">
+                <input type="checkbox"> Also show browser notifications while The Stylus is in the background
+            </label>
+            <ul class="notifications-list"></ul>
+        `;
+        const toggle = content.querySelector('input');
+        const list = content.querySelector('.notifications-list');
+
+        toggle.checked = this.changeNotifier.browserNotificationsEnabled();
+        toggle.addEventListener('change', async () => {
+            try {
+                toggle.checked = await this.changeNotifier.setBrowserNotifications(toggle.checked);
+            } catch (error) {
+                toggle.checked = false;
+                this.uiController.showStatus(error.message, 'error');
+            }
+        });
+
+        const { alerts, unread } = this.changeNotifier;
+        if (alerts.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'notifications-empty';
+            empty.textContent = 'No changes on your matches since you opened this pod';
+            list.appendChild(empty);
+        }
+        alerts.forEach((alert, index) => {
+            const item = document.createElement('li');
+            item.className = `notifications-item notification-${alert.kind}${index < unread ? ' unread' : ''}`;
+            item.dataset.index = index;
+            item.innerHTML = `
+                <div class="notifications-item-text"></div>
+                <div class="notifications-item-time"></div>
+            `;
+            item.querySelector('.notifications-item-text').textContent = alert.message;
+            item.querySelector('.notifications-item-time').textContent = new Date(alert.time).toLocaleTimeString();
+            list.appendChild(item);
+        });
+        this.changeNotifier.markRead();
+
+        const { close } = this.uiController.showModal('Changes on my matches', content, { className: 'notifications-modal' });
+
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.notifications-item');
+            if (!item) return;
+            close();
+            this.goToAlert(alerts[parseInt(item.dataset.index, 10)]);
+        });
+    }
+
+    /**
+     * Show the match an alert is about
+     * @param {Object} alert - Alert from the change notifier
+     */
+    async goToAlert(alert) {
+        if (alert.podId !== this.currentData?.sheetId) return;
+        if (alert.matchNumber >= 1 && alert.matchNumber <= this.allRows.length) {
+            this.currentRowIndex = alert.matchNumber - 1;
+            await this.showCurrentRow();
+        }
+    }
+
+    /**
+     * Import results scored elsewhere (on paper, in a guru's own spreadsheet) from a CSV file.
+     * The file is previewed first; only matches claimed by the guru in their colour change.
+     */
+    showAnalysisImport() {
+        if (!this.currentData || !this.currentGuruColor) return;
+        if (!this.guruSignature) {
+            this.uiController.showStatus('Please set your Guru Signature before importing results', 'error');
+            return;
+        }
+
+        const colorName = formatGuruColor(this.currentGuruColor);
+        const content = document.createElement('div');
+        content.className = 'analysis-import';
+        content.innerHTML = `
+            <p>Choose a CSV file with one match per row: the match ID (or the Player 1 and Player 2 decks) and the result for Player 1 as W, T or L. Only matches you claimed as ${colorName} are changed.</p>
+            <input type="file" class="analysis-import-file" accept=".csv,text/csv">
+            <p class="analysis-import-summary"></p>
+            <div class="analysis-import-preview"></div>
+            <div class="analysis-import-actions">
+                <button class="primary-btn analysis-import-apply" disabled>Import</button>
+            </div>
+        `;
+        const fileInput = content.querySelector('.analysis-import-file');
+        const summary = content.querySelector('.analysis-import-summary');
+        const preview = content.querySelector('.analysis-import-preview');
+        const applyBtn = content.querySelector('.analysis-import-apply');
+        let plan = [];
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            try {
+                plan = planAnalysisImport(parseAnalysisCSV(await file.text()), this.allRows, this.currentGuruColor, this.guruSignature);
+            } catch (error) {
+                console.error('Error reading import file:', error);
+                this.uiController.showStatus(`Could not read ${file.name}: ${error.message}`, 'error');
+                return;
+            }
+
+            const count = (status) => plan.filter(item => item.status === status).length;
+            const changes = count('change');
+            summary.textContent = plan.length === 0
+                ? `${file.name} has no results`
+                : `${changes} to change, ${count('unchanged')} already as in the file, ${count('error')} refused`;
+            applyBtn.disabled = changes === 0;
+            applyBtn.textContent = `Import ${changes} ${changes === 1 ? 'result' : 'results'}`;
+
+            const table = document.createElement('table');
+            table.className = 'analysis-import-table';
+            table.innerHTML = '<thead><tr><th>Line</th><th>Match</th><th>Now</th><th>Import</th><th></th></tr></thead><tbody></tbody>';
+            plan.forEach(item => {
+                const row = this.allRows[item.idx];
+                const tr = document.createElement('tr');
+                tr.className = `analysis-import-${item.status}`;
+                [
+                    item.line,
+                    row ? `${item.idx + 1}: ${row.player1} vs ${row.player2}` : '',
+                    row ? (this.getOutcomeDisplayName(item.before) || '(empty)') : '',
+                    item.status === 'error' ? '' : this.getOutcomeDisplayName(item.after),
+                    item.status === 'change' ? '✏️' : item.status === 'unchanged' ? '✓' : `⛔ ${item.text}`
+                ].forEach(value => {
+                    const td = document.createElement('td');
+                    td.textContent = value;
+                    tr.appendChild(td);
+                });
+                table.querySelector('tbody').appendChild(tr);
+            });
+            preview.innerHTML = '';
+            preview.appendChild(table);
+        });
+
+        const { close } = this.uiController.showModal(`Import ${colorName} results`, content, { className: 'analysis-import-modal' });
+
+        applyBtn.addEventListener('click', async () => {
+            close();
+            await this.applyAnalysisImport(plan.filter(item => item.status === 'change'));
+        });
+    }
+
+    /**
+     * Write imported results in one checked batch update, so a result someone else changed since
+     * the preview is left alone, then report what happened to each match
+     * @param {Array<Object>} changes - Planned changes from planAnalysisImport
+     */
+    async applyAnalysisImport(changes) {
+        if (changes.length === 0) return;
+
+        const color = this.currentGuruColor;
+        const outcomes = []; // { idx, ok, text }
+        const applied = [];
+        let queued = false;
+        try {
+            this.uiController.showStatus(`Importing ${changes.length} results...`, 'loading');
+
+            const planned = changes.map(({ idx, before, after }) => ({ row: this.allRows[idx], before, after }));
+            // The claims were checked in the preview, but may have been released or taken over since
+            const result = await this.submitCheckedCells(planned, 'analysis', { valueType: 'number', requireClaim: true });
+            queued = result.queued;
+
+            changes.forEach(({ idx, before, after }) => {
+                const row = this.allRows[idx];
+                // One cell per row, so skipped cells are matched by row
+                const skipped = result.skipped.find(s => s.row === row.originalRowIndex + 1);
+                if (skipped && skipped.guardValue !== undefined) {
+                    this.setRowGuruValue(row, color, 'signature', skipped.guardValue);
+                    outcomes.push({ idx, ok: false, text: skipped.guardValue ? `Now claimed by ${skipped.guardValue}, not you` : 'No longer claimed by you' });
+                } else if (skipped) {
+                    this.setRowGuruValue(row, color, 'analysis', skipped.currentValue);
+                    outcomes.push({ idx, ok: false, text: `Result changed to ${this.getOutcomeDisplayName(skipped.currentValue) || '(empty)'} by someone else` });
+                } else {
+                    this.setRowGuruValue(row, color, 'analysis', after);
+                    applied.push(this.describeCellChange(row, 'analysis', before, after));
+                    outcomes.push({ idx, ok: true, text: `${this.getOutcomeDisplayName(after)}${queued ? ' (will sync when back online)' : ''}` });
+                }
+            });
+        } catch (error) {
+            console.error('Error importing results:', error);
+            this.uiController.showStatus(`Error importing results: ${error.message}`, 'error');
+            return;
+        }
+
+        this.numDiscrepancies = this.countMyDiscrepancies();
+        if (!queued && applied.length > 0) {
+            this.recordChanges(`import of ${applied.length} results`, applied);
+        }
+
+        const imported = outcomes.filter(outcome => outcome.ok).length;
+        console.log(`📥 Imported ${imported} of ${changes.length} results`);
+        this.uiController.showStatus(`Imported ${imported} of ${changes.length} results`, imported > 0 ? 'success' : 'info',
+            imported > 0 && !queued ? { action: this.getUndoAction() } : {});
+
+        await this.showCurrentRow();
+        this.showBulkActionSummary(`Imported ${imported} of ${changes.length} results`, outcomes);
+    }
+
+    buildDiscrepancyDisplay(currentRow) {
+        // Collect other guru analyses (exclude the current guru's analysis)
+        const otherAnalyses = [];
+        
+        // Show analyses from other gurus based on current guru color
+        this.guruColors.forEach(color => {
+            if (color !== this.currentGuruColor && currentRow[`${color}Analysis`]) {
+                otherAnalyses.push({ name: formatGuruColor(color), value: currentRow[`${color}Analysis`] });
+            }
+        });
+        
+        // Build the display HTML with proper structure
+        let html = '<div class="discrepancy-content">';
+        html += '<div class="discrepancy-header">Discrepancy</div>';
+        html += '</div>';
+        
+        if (otherAnalyses.length > 0) {
+            html += '<div class="other-analyses">';
+            otherAnalyses.forEach(analysis => {
+                const displayValue = this.formatAnalysisValue(analysis.value);
+                const cssClass = this.getAnalysisClass(analysis.value);
+                html += `<div class="other-analysis ${cssClass}">
+                    <div class="guru-name">${analysis.name}</div>
+                    <div class="analysis-value">${displayValue}</div>
+                </div>`;
+            });
+            html += '</div>';
+        }
+        
+        return html;
+    }
+
+    async buildAnalysisDisplayWithOthers(currentRow, outcomeValue = '') {
+        // Get current guru's analysis
+        const currentGuruAnalysis = this.getCurrentColorAnalysis(currentRow);
         
         // Collect all guru analyses (including current guru)
         const allAnalyses = [];
         
         // Add current guru's analysis first
-        const currentGuruName = this.currentGuruColor.charAt(0).toUpperCase() + this.currentGuruColor.slice(1);
+        const currentGuruName = formatGuruColor(this.currentGuruColor);
         allAnalyses.push({ 
             name: currentGuruName, 
             value: currentGuruAnalysis, 
@@ -1755,24 +2873,13 @@ export class GuruAnalysisInterface {
         const showOtherGurus = !this.isMatchAvailableForAnalysis(currentRow);
         
         // Add other guru analyses with their signatures
-        if (this.currentGuruColor !== 'red') {
-            const signature = currentRow.redSignature && currentRow.redSignature.trim() !== '' 
-                ? currentRow.redSignature 
-                : null;
-            allAnalyses.push({ name: 'Red', signature: signature, value: currentRow.redAnalysis, isCurrent: false });
-        }
-        if (this.currentGuruColor !== 'blue') {
-            const signature = currentRow.blueSignature && currentRow.blueSignature.trim() !== '' 
-                ? currentRow.blueSignature 
-                : null;
-            allAnalyses.push({ name: 'Blue', signature: signature, value: currentRow.blueAnalysis, isCurrent: false });
-        }
-        if (this.currentGuruColor !== 'green') {
-            const signature = currentRow.greenSignature && currentRow.greenSignature.trim() !== '' 
-                ? currentRow.greenSignature 
+        this.guruColors.filter(color => color !== this.currentGuruColor).forEach(color => {
+            const rowSignature = currentRow[`${color}Signature`];
+            const signature = rowSignature && rowSignature.trim() !== '' 
+                ? rowSignature 
                 : null;
-            allAnalyses.push({ name: 'Green', signature: signature, value: currentRow.greenAnalysis, isCurrent: false });
-        }
+            allAnalyses.push({ name: formatGuruColor(color), signature: signature, value: currentRow[`${color}Analysis`], isCurrent: false });
+        });
         
         // Build the simple list HTML
         let html = '<div class="analysis-list">';
@@ -1821,6 +2928,8 @@ export class GuruAnalysisInterface {
                 console.warn('Failed to fetch thread link:', error);
             }
         }
+        // Threads posted through the webhook until the hub lists them
+        threadUrl = threadUrl || this.discordWebhook.getPostedThread(this.currentData.sheetId, this.currentRowIndex + 1)?.url;
         
         if (threadUrl) {
             // Show Discord thread link icon (blurple)
@@ -1871,29 +2980,8 @@ export class GuruAnalysisInterface {
      * Returns the column index for the current guru color and type ('analysis' or 'signature')
      */
     getCurrentGuruColIndex(type = 'analysis') {
-        switch (type) {
-            case 'analysis':
-                switch (this.currentGuruColor) {
-                    case 'red':
-                        return this.redAnalysisColIndex;
-                    case 'blue':
-                        return this.blueAnalysisColIndex;
-                    case 'green':
-                        return this.greenAnalysisColIndex;
-                }
-                break;
-            case 'signature':
-                switch (this.currentGuruColor) {
-                    case 'red':
-                        return this.redSignatureColIndex;
-                    case 'blue':
-                        return this.blueSignatureColIndex;
-                    case 'green':
-                        return this.greenSignatureColIndex;
-                }
-                break;
-        }
-        return -1;
+        const columns = this.guruColumns[this.currentGuruColor];
+        return columns?.[type] ?? -1;
     }
 
     /**
@@ -1901,17 +2989,7 @@ export class GuruAnalysisInterface {
      * if that row does not have the current guru's signature. 
      */
     getGuruColorInRow(row){
-        if (row.redSignature === this.guruSignature){
-            return 'red';
-        }
-        if (row.blueSignature === this.guruSignature){
-            return 'blue';
-        }
-        if (row.greenSignature === this.guruSignature){
-            return 'green';
-        }
-
-        return null
+        return this.guruColors.find(color => row[`${color}Signature`] === this.guruSignature) || null;
     }
     
     getOutcomeDisplayName(outcomeValue) {
@@ -2181,6 +3259,459 @@ export class GuruAnalysisInterface {
         }
     }
 
+    /**
+     * Show the live deck standings, computed from the consensus outcome of every match
+     * (calculateOutcomeFromAnalyses), and offer them as CSV. The view follows background reloads.
+     */
+    showStandings() {
+        const content = document.createElement('div');
+        content.className = 'standings';
+        content.innerHTML = `
+            <p class="standings-summary"></p>
+            <div class="standings-scroll">
+                <table class="standings-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Deck</th>
+                            <th title="Points as Player 1 + points as Player 2">Points</th>
+                            <th>As P1</th>
+                            <th>As P2</th>
+                            <th>W</th>
+                            <th>T</th>
+                            <th>L</th>
+                            <th title="Incomplete or discrepancy">Undecided</th>
+                            <th title="Best and worst place this deck can still finish">Projected</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div class="standings-actions">
+                <button class="secondary-btn standings-export-btn">Download CSV</button>
+            </div>
+        `;
+        const body = content.querySelector('tbody');
+        const formatPoints = (points) => Number.isInteger(points) ? points.toString() : points.toFixed(1);
+        let standings = [];
+
+        const render = () => {
+            standings = computeStandings(this.allRows);
+            const undecided = this.allRows.filter(row => isNaN(parseFloat(row.outcomeValue))).length;
+            content.querySelector('.standings-summary').textContent =
+                `${this.allRows.length - undecided} of ${this.allRows.length} matches decided`;
+
+            body.innerHTML = '';
+            standings.forEach(standing => {
+                const tr = document.createElement('tr');
+                const finish = standing.bestFinish === standing.worstFinish
+                    ? `${standing.bestFinish}`
+                    : `${standing.bestFinish}–${standing.worstFinish}`;
+                [
+                    standing.rank,
+                    standing.deck,
+                    formatPoints(standing.points),
+                    formatPoints(standing.p1Points),
+                    formatPoints(standing.p2Points),
+                    standing.wins,
+                    standing.ties,
+                    standing.losses,
+                    standing.undecided,
+                    finish
+                ].forEach((value, column) => {
+                    const td = document.createElement('td');
+                    td.textContent = value;
+                    if (column === 1) td.className = 'standings-deck';
+                    tr.appendChild(td);
+                });
+                body.appendChild(tr);
+            });
+        };
+        render();
+
+        content.querySelector('.standings-export-btn').addEventListener('click', () => {
+            const podName = this.currentData?.metadata?.podName || this.currentData?.title || 'pod';
+            downloadTextFile(`${podName} standings.csv`, toCSV(standingsToRows(standings)), 'text/csv');
+        });
+
+        this.refreshStandingsView = render;
+        this.uiController.showModal('Standings', content, {
+            className: 'standings-modal',
+            onClose: () => { this.refreshStandingsView = null; }
+        });
+    }
+
+    /**
+     * The pod's results and deck notes in a plain form for the exports
+     * @returns {Object} { title, exportedAt, guruColors, matches, deckNotes }
+     */
+    getExportData() {
+        const matches = this.allRows.map((row, idx) => ({
+            match: idx + 1,
+            id: row.matchId || '',
+            player1: row.player1,
+            player2: row.player2,
+            results: Object.fromEntries(this.guruColors.map(color => [color, {
+                analysis: row[`${color}Analysis`] || '',
+                result: this.getOutcomeDisplayName(row[`${color}Analysis`] || ''),
+                signature: row[`${color}Signature`] || ''
+            }])),
+            outcome: this.getOutcomeDisplayName(row.outcomeValue || ''),
+            outcomeValue: row.outcomeValue || '',
+            discrepancy: this.rowHasDiscrepancy(row),
+            inverseErrorSuspected: this.isInverseErrorSuspected(idx)
+        }));
+
+        const deckNotesMap = this.deckNotesMap || this.processDeckNotes(this.currentData);
+        const deckNotes = [...deckNotesMap.entries()].map(([deck, info]) => ({
+            deck,
+            goldfishClock: info.goldfishClock || '',
+            notes: info.notes || '',
+            additionalNotes: info.additionalNotes || ''
+        }));
+
+        return {
+            title: this.currentData?.metadata?.podName || this.currentData?.title || 'Untitled Pod',
+            exportedAt: new Date().toISOString(),
+            guruColors: [...this.guruColors],
+            matches,
+            deckNotes
+        };
+    }
+
+    /**
+     * Offer the pod's results as CSV, JSON or a Markdown summary for Discord
+     */
+    showExportMenu() {
+        if (!this.currentData || this.allRows.length === 0) {
+            this.uiController.showStatus('There are no matches to export', 'info');
+            return;
+        }
+
+        const content = document.createElement('div');
+        content.className = 'export-menu';
+        content.innerHTML = `
+            <button class="secondary-btn" data-export="csv">Results (CSV)</button>
+            <button class="secondary-btn" data-export="deck-notes">Deck notes (CSV)</button>
+            <button class="secondary-btn" data-export="json">Results and deck notes (JSON)</button>
+            <button class="secondary-btn" data-export="markdown">Summary for Discord (Markdown)</button>
+        `;
+        const { close } = this.uiController.showModal('Export pod', content, { className: 'export-modal' });
+
+        content.addEventListener('click', (e) => {
+            const format = e.target.closest('[data-export]')?.dataset.export;
+            if (!format) return;
+
+            const pod = this.getExportData();
+            const name = pod.title;
+            if (format === 'csv') {
+                downloadTextFile(`${name} results.csv`, toCSV(exportMatchesToRows(pod)), 'text/csv');
+            } else if (format === 'deck-notes') {
+                downloadTextFile(`${name} deck notes.csv`, toCSV(exportDeckNotesToRows(pod)), 'text/csv');
+            } else if (format === 'json') {
+                downloadTextFile(`${name}.json`, JSON.stringify(pod, null, 2), 'application/json');
+            } else if (format === 'markdown') {
+                downloadTextFile(`${name} summary.md`, exportToMarkdown(pod), 'text/markdown');
+            }
+            console.log(`📤 Exported ${pod.matches.length} matches as ${format}`);
+            close();
+        });
+    }
+
+    /**
+     * Classify a result for the deck matrix
+     * @param {string} value - Analysis or outcome value
+     * @returns {string} 'win', 'tie', 'loss', 'incomplete', 'discrepancy' or 'none' (not scored)
+     */
+    getMatrixResultClass(value) {
+        const str = (value || '').toString().trim().toLowerCase();
+        if (!str) return 'none';
+        if (str === 'incomplete' || str === 'discrepancy') return str;
+        const cssClass = this.getAnalysisClass(str);
+        return cssClass === 'other' ? 'none' : cssClass;
+    }
+
+    /**
+     * Show the pod as a round-robin grid: Player 1 decks down the side, Player 2 decks across
+     * the top, each cell coloured by the result of that match for my colour or for all gurus
+     */
+    showDeckMatrix() {
+        // Decks in the order they first appear, the same order on both axes so mirrors line up
+        const decks = [];
+        const cells = new Map(); // "p1\np2" -> index in allRows
+        this.allRows.forEach((row, index) => {
+            [row.player1, row.player2].forEach(deck => {
+                if (deck && !decks.includes(deck)) decks.push(deck);
+            });
+            const key = `${row.player1}\n${row.player2}`;
+            if (!cells.has(key)) cells.set(key, index);
+        });
+
+        const content = document.createElement('div');
+        content.className = 'deck-matrix';
+        content.innerHTML = `
+            <div class="deck-matrix-toolbar">
+                <div class="deck-matrix-modes">
+                    <button class="match-table-filter" data-mode="mine">My colour</button>
+                    <button class="match-table-filter" data-mode="consensus">All gurus</button>
+                </div>
+                <div class="deck-matrix-legend">
+                    <span class="deck-matrix-cell win">W</span> Win
+                    <span class="deck-matrix-cell tie">T</span> Tie
+                    <span class="deck-matrix-cell loss">L</span> Loss
+                    <span class="deck-matrix-cell incomplete">…</span> Incomplete
+                    <span class="deck-matrix-cell discrepancy">!</span> Discrepancy
+                </div>
+            </div>
+            <div class="deck-matrix-scroll"><table class="deck-matrix-table"></table></div>
+        `;
+        const table = content.querySelector('.deck-matrix-table');
+        const letters = { win: 'W', tie: 'T', loss: 'L', incomplete: '…', discrepancy: '!', none: '' };
+        let mode = 'consensus';
+
+        const render = () => {
+            content.querySelectorAll('[data-mode]').forEach(button => {
+                button.classList.toggle('active', button.dataset.mode === mode);
+            });
+
+            const head = `<thead><tr><th class="deck-matrix-corner">P1 \\ P2</th>${decks.map((deck, d) =>
+                `<th class="deck-matrix-col" data-deck="${d}">${d + 1}</th>`).join('')}</tr></thead>`;
+            const body = decks.map((p1, r) => {
+                const rowCells = decks.map((p2, d) => {
+                    const index = cells.get(`${p1}\n${p2}`);
+                    if (index === undefined) {
+                        return '<td class="deck-matrix-cell empty"></td>';
+                    }
+                    const row = this.allRows[index];
+                    const value = mode === 'mine' ? this.getCurrentColorAnalysis(row) : row.outcomeValue;
+                    const resultClass = this.getMatrixResultClass(value);
+                    const current = index === this.currentRowIndex ? ' current' : '';
+                    return `<td class="deck-matrix-cell ${resultClass}${current}" data-row="${index}" data-p1="${r}" data-p2="${d}">${letters[resultClass]}</td>`;
+                }).join('');
+                return `<tr><th class="deck-matrix-row" data-deck="${r}"><span class="deck-matrix-number">${r + 1}</span> <span class="deck-matrix-name"></span></th>${rowCells}</tr>`;
+            }).join('');
+            table.innerHTML = `${head}<tbody>${body}</tbody>`;
+            table.querySelectorAll('.deck-matrix-row').forEach(th => {
+                th.querySelector('.deck-matrix-name').textContent = decks[th.dataset.deck];
+            });
+        };
+        render();
+
+        // Card images of the deck(s) under the pointer, loaded through Scryfall's cache
+        const tooltip = document.createElement('div');
+        tooltip.className = 'deck-matrix-tooltip';
+        tooltip.style.display = 'none';
+        document.body.appendChild(tooltip);
+        let hoverToken = 0;
+
+        const showTooltip = async (target, deckIndexes, event) => {
+            const token = ++hoverToken;
+            tooltip.innerHTML = '';
+            const groups = deckIndexes.map(d => {
+                const group = document.createElement('div');
+                group.className = 'deck-matrix-tooltip-deck';
+                const name = document.createElement('div');
+                name.className = 'deck-matrix-tooltip-name';
+                name.textContent = `${d + 1}. ${decks[d]}`;
+                group.appendChild(name);
+                tooltip.appendChild(group);
+                return group;
+            });
+            if (target.dataset.row !== undefined) {
+                const index = parseInt(target.dataset.row, 10);
+                const row = this.allRows[index];
+                const result = document.createElement('div');
+                result.className = 'deck-matrix-tooltip-result';
+                result.textContent = `Match ${index + 1}: ${this.getOutcomeDisplayName(mode === 'mine' ? this.getCurrentColorAnalysis(row) || '' : row.outcomeValue) || 'Not scored'}`;
+                tooltip.insertBefore(result, tooltip.firstChild);
+            }
+            tooltip.style.left = `${Math.min(event.clientX + 16, window.innerWidth - 340)}px`;
+            tooltip.style.top = `${Math.min(event.clientY + 16, window.innerHeight - 260)}px`;
+            tooltip.style.display = 'block';
+
+            for (let i = 0; i < deckIndexes.length; i++) {
+                const images = await this.scryfallAPI.getDeckImages(decks[deckIndexes[i]]);
+                if (token !== hoverToken) return;
+                const strip = document.createElement('div');
+                strip.className = 'deck-matrix-tooltip-cards';
+                images.filter(card => card.image).forEach(card => {
+                    card.image.alt = card.cardName;
+                    strip.appendChild(card.image);
+                });
+                groups[i].appendChild(strip);
+            }
+        };
+
+        table.addEventListener('mouseover', (e) => {
+            const target = e.target.closest('td[data-row], th[data-deck]');
+            if (!target) {
+                hoverToken++;
+                tooltip.style.display = 'none';
+                return;
+            }
+            const deckIndexes = target.dataset.row !== undefined
+                ? [parseInt(target.dataset.p1, 10), parseInt(target.dataset.p2, 10)]
+                : [parseInt(target.dataset.deck, 10)];
+            showTooltip(target, deckIndexes, e);
+        });
+        table.addEventListener('mouseleave', () => {
+            hoverToken++;
+            tooltip.style.display = 'none';
+        });
+
+        const { close } = this.uiController.showModal('Deck matrix', content, {
+            className: 'deck-matrix-modal',
+            onClose: () => tooltip.remove()
+        });
+
+        content.addEventListener('click', async (e) => {
+            const modeButton = e.target.closest('[data-mode]');
+            if (modeButton) {
+                mode = modeButton.dataset.mode;
+                render();
+                return;
+            }
+            const cell = e.target.closest('td[data-row]');
+            if (cell) {
+                close();
+                this.currentRowIndex = parseInt(cell.dataset.row, 10);
+                await this.showCurrentRow();
+            }
+        });
+    }
+
+    /**
+     * Walk every match and its mirror (players swapped) to find inconsistent pairs
+     * @returns {{inverseErrors: Array<{index: number, mirrorIndex: number}>, missingMirrors: Array<number>}}
+     */
+    getMirrorConsistencyReport() {
+        const inverseErrors = [];
+        const missingMirrors = [];
+
+        this.allRows.forEach((row, index) => {
+            // A deck playing itself is its own mirror
+            if (row.player1 === row.player2) return;
+
+            const mirrorIndex = this.findMirrorMatchIndex(index);
+            if (mirrorIndex === -1) {
+                missingMirrors.push(index);
+            } else if (index < mirrorIndex && this.isInverseErrorSuspected(index)) {
+                // Each pair once, from its first match
+                inverseErrors.push({ index, mirrorIndex });
+            }
+        });
+
+        return { inverseErrors, missingMirrors };
+    }
+
+    /**
+     * Show the pod-wide mirror-match report: every suspected inverse error with both outcomes
+     * and the gurus behind them, and every match whose mirror row is missing
+     */
+    showMirrorReport() {
+        const { inverseErrors, missingMirrors } = this.getMirrorConsistencyReport();
+        console.log(`🪞 Mirror report: ${inverseErrors.length} inverse error(s), ${missingMirrors.length} missing mirror(s)`);
+
+        const content = document.createElement('div');
+        content.className = 'mirror-report';
+
+        const signaturesOf = (row) => this.guruColors
+            .map(color => {
+                const signature = (row[`${color}Signature`] || '').trim();
+                const analysis = this.getOutcomeDisplayName((row[`${color}Analysis`] || '').toString());
+                return signature ? `${signature}${analysis ? ` (${analysis})` : ''}` : '';
+            })
+            .filter(Boolean)
+            .join(', ') || 'Unclaimed';
+
+        const matchCell = (index) => {
+            const row = this.allRows[index];
+            const td = document.createElement('td');
+            td.innerHTML = `
+                <div class="mirror-report-match">
+                    <button class="mirror-report-goto" data-goto="${index}" title="Go to this match">#${index + 1}</button>
+                    <span class="mirror-report-outcome ${this.getAnalysisClass(row.outcomeValue)}"></span>
+                </div>
+                <div class="mirror-report-decks"></div>
+                <div class="mirror-report-gurus"></div>
+            `;
+            td.querySelector('.mirror-report-outcome').textContent = this.getOutcomeDisplayName(row.outcomeValue) || 'Not scored';
+            td.querySelector('.mirror-report-decks').textContent = `${row.player1 || '?'} vs ${row.player2 || '?'}`;
+            td.querySelector('.mirror-report-gurus').textContent = signaturesOf(row);
+            return td;
+        };
+
+        const threadButton = (index) => {
+            const button = document.createElement('button');
+            button.className = 'discord-icon-button';
+            button.dataset.thread = index;
+            button.title = `Create Guru Match Help post for match ${index + 1}`;
+            button.innerHTML = '<img src="images/Discord-Symbol-Black.svg" alt="Discord" />';
+            return button;
+        };
+
+        const inverseHeading = document.createElement('h4');
+        inverseHeading.textContent = `Suspected inverse errors (${inverseErrors.length})`;
+        content.appendChild(inverseHeading);
+        if (inverseErrors.length === 0) {
+            const none = document.createElement('p');
+            none.textContent = 'Every scored pair of mirror matches is consistent.';
+            content.appendChild(none);
+        } else {
+            const table = document.createElement('table');
+            table.className = 'mirror-report-table';
+            table.innerHTML = '<thead><tr><th>Match</th><th>Mirror</th><th></th></tr></thead>';
+            const body = document.createElement('tbody');
+            inverseErrors.forEach(({ index, mirrorIndex }) => {
+                const tr = document.createElement('tr');
+                tr.appendChild(matchCell(index));
+                tr.appendChild(matchCell(mirrorIndex));
+                const actions = document.createElement('td');
+                actions.className = 'mirror-report-actions';
+                actions.appendChild(threadButton(index));
+                tr.appendChild(actions);
+                body.appendChild(tr);
+            });
+            table.appendChild(body);
+            content.appendChild(table);
+        }
+
+        const missingHeading = document.createElement('h4');
+        missingHeading.textContent = `Missing mirror matches (${missingMirrors.length})`;
+        content.appendChild(missingHeading);
+        if (missingMirrors.length === 0) {
+            const none = document.createElement('p');
+            none.textContent = 'Every match has its mirror in the pod.';
+            content.appendChild(none);
+        } else {
+            const list = document.createElement('ul');
+            list.className = 'mirror-report-missing';
+            missingMirrors.forEach(index => {
+                const row = this.allRows[index];
+                const item = document.createElement('li');
+                item.innerHTML = `<button class="mirror-report-goto" data-goto="${index}" title="Go to this match">#${index + 1}</button> <span></span>`;
+                item.querySelector('span').textContent = `${row.player1 || '?'} vs ${row.player2 || '?'}: no ${row.player2 || '?'} vs ${row.player1 || '?'} row`;
+                list.appendChild(item);
+            });
+            content.appendChild(list);
+        }
+
+        const { close } = this.uiController.showModal('Mirror match report', content, { className: 'mirror-report-modal' });
+
+        content.addEventListener('click', async (e) => {
+            const gotoButton = e.target.closest('[data-goto]');
+            const thread = e.target.closest('[data-thread]');
+            if (gotoButton) {
+                close();
+                this.currentRowIndex = parseInt(gotoButton.dataset.goto, 10);
+                await this.showCurrentRow();
+            } else if (thread) {
+                close();
+                this.showCreateThreadModal(parseInt(thread.dataset.thread, 10));
+            }
+        });
+    }
+
     showCompletionMessage() {
         this.uiController.showStatus('All rows analysed! Great work!', 'success');
     }
@@ -2194,7 +3725,7 @@ export class GuruAnalysisInterface {
                 <ul>
                     <li>Player 1</li>
                     <li>Player 2</li>
-                    <li>Guru Analysis columns (Red, Blue, Green)</li>
+                    <li>Guru Analysis and Signature columns for each guru colour (e.g. Red, Blue, Green)</li>
                 </ul>
                 <p>Please check that your sheets have the correct column headers and data.</p>
             </div>
@@ -2229,7 +3760,8 @@ export class GuruAnalysisInterface {
         );
 
         if (!mergedGuruSheet || !mergedGuruSheet.values || mergedGuruSheet.values.length < 2) {
-            return { red: { claimed: 0, total: 0 }, blue: { claimed: 0, total: 0 }, green: { claimed: 0, total: 0 } };
+            const colors = mergedGuruSheet?.guruColors || GURU_COLORS;
+            return Object.fromEntries(colors.map(color => [color, { claimed: 0, total: 0 }]));
         }
 
         const headerRow = mergedGuruSheet.values[0];
@@ -2237,15 +3769,10 @@ export class GuruAnalysisInterface {
         // Find columns
         const player1ColIndex = this.findColumnIndex(headerRow, ['Player 1', 'Player1']);
         const player2ColIndex = this.findColumnIndex(headerRow, ['Player 2', 'Player2']);
-        const redSignatureColIndex = this.findColumnIndex(headerRow, ['Red Signature']);
-        const blueSignatureColIndex = this.findColumnIndex(headerRow, ['Blue Signature']);
-        const greenSignatureColIndex = this.findColumnIndex(headerRow, ['Green Signature']);
-
-        const stats = {
-            red: { claimed: 0, total: 0 },
-            blue: { claimed: 0, total: 0 },
-            green: { claimed: 0, total: 0 }
-        };
+        const { colors, columns } = this.findGuruColumns(headerRow);
+
+        // One entry per colour, in the pod's colour order
+        const stats = Object.fromEntries(colors.map(color => [color, { claimed: 0, total: 0 }]));
 
         // Count matches for each color
         for (let rowIndex = 1; rowIndex < mergedGuruSheet.values.length; rowIndex++) {
@@ -2255,26 +3782,34 @@ export class GuruAnalysisInterface {
             
             // Only count rows that have player data (actual matches)
             if (player1.trim() || player2.trim()) {
-                stats.red.total++;
-                stats.blue.total++;
-                stats.green.total++;
+                colors.forEach(color => {
+                    stats[color].total++;
 
-                // Check if each color is claimed
-                if (redSignatureColIndex !== -1 && row[redSignatureColIndex] && row[redSignatureColIndex].trim() !== '') {
-                    stats.red.claimed++;
-                }
-                if (blueSignatureColIndex !== -1 && row[blueSignatureColIndex] && row[blueSignatureColIndex].trim() !== '') {
-                    stats.blue.claimed++;
-                }
-                if (greenSignatureColIndex !== -1 && row[greenSignatureColIndex] && row[greenSignatureColIndex].trim() !== '') {
-                    stats.green.claimed++;
-                }
+                    // Check if the color is claimed
+                    const signature = row[columns[color].signature];
+                    if (signature && signature.trim() !== '') {
+                        stats[color].claimed++;
+                    }
+                });
             }
         }
 
         return stats;
     }
 
+    /**
+     * Inline background for colours without their own CSS class (anything but red, blue and green),
+     * using the colour's CSS name, e.g. "black"
+     * @param {string} color - Lowercase guru colour
+     * @returns {string} A style attribute, or '' if the CSS classes cover the colour
+     */
+    getGuruColorStyle(color) {
+        if (GURU_COLORS.includes(color) || !/^[a-z]+$/.test(color)) {
+            return '';
+        }
+        return ` style="background: ${color}"`;
+    }
+
     showGuruColorSelection(sheetData) {
         // Hide the existing guru analysis interface instead of overwriting it
         const analysisInterface = document.getElementById('guru-analysis-interface');
@@ -2295,32 +3830,16 @@ export class GuruAnalysisInterface {
                 <p>Your signature was not found in any existing analysis. Please select which guru color you want to use for analysis:</p>
                 
                 <div class="color-options">
-                    <div class="color-option" id="color-red">
-                        <div class="color-circle red"></div>
+                    ${Object.entries(stats).map(([color, colorStats]) => `
+                    <div class="color-option" id="color-${color}">
+                        <div class="color-circle ${color}"${this.getGuruColorStyle(color)}></div>
                         <div class="color-info">
-                            <h4>Red Guru</h4>
-                            <p>${stats.red.claimed} / ${stats.red.total} matches claimed</p>
+                            <h4>${formatGuruColor(color)} Guru</h4>
+                            <p>${colorStats.claimed} / ${colorStats.total} matches claimed</p>
                         </div>
-                        <button class="select-color-btn" data-color="red">Select Red</button>
-                    </div>
-                    
-                    <div class="color-option" id="color-blue">
-                        <div class="color-circle blue"></div>
-                        <div class="color-info">
-                            <h4>Blue Guru</h4>
-                            <p>${stats.blue.claimed} / ${stats.blue.total} matches claimed</p>
-                        </div>
-                        <button class="select-color-btn" data-color="blue">Select Blue</button>
-                    </div>
-                    
-                    <div class="color-option" id="color-green">
-                        <div class="color-circle green"></div>
-                        <div class="color-info">
-                            <h4>Green Guru</h4>
-                            <p>${stats.green.claimed} / ${stats.green.total} matches claimed</p>
-                        </div>
-                        <button class="select-color-btn" data-color="green">Select Green</button>
+                        <button class="select-color-btn" data-color="${color}">Select ${formatGuruColor(color)}</button>
                     </div>
+                    `).join('')}
                 </div>
                 
                 <p class="color-selection-note">You can start analysing matches by claiming unclaimed matches or work on matches already assigned to your chosen color.</p>
@@ -2496,32 +4015,293 @@ export class GuruAnalysisInterface {
     }
 
     // --- MATCH TABLE MODAL ---
+    /**
+     * Filter chips of the match table. Selected filters combine: "mine" and "discrepancy"
+     * shows my discrepancies.
+     */
+    getMatchTableFilters() {
+        return [
+            { key: 'mine', label: 'Mine', test: (row) => this.getCurrentColorSignature(row) === this.guruSignature },
+            { key: 'unclaimed', label: 'Unclaimed', test: (row) => !(this.getCurrentColorSignature(row) || '').trim() },
+            { key: 'unscored', label: 'Claimed, not scored', test: (row) => !!(this.getCurrentColorSignature(row) || '').trim() && !this.hasCurrentColorResult(row) },
+            { key: 'stale', label: 'Stale claims', test: (row, idx) => this.staleClaims.has(idx) },
+            { key: 'discrepancy', label: 'Discrepancies', test: (row) => this.rowHasDiscrepancy(row) },
+            { key: 'inverse', label: 'Inverse error suspected', test: (row, idx) => this.isInverseErrorSuspected(idx) },
+            { key: 'thread', label: 'Has Discord thread', test: (row, idx, threadMap) => this.hasDiscordThreadForRow(threadMap, row, idx) }
+        ];
+    }
+
+    getMatchTableColumns() {
+        const statusOrder = ['unclaimed', 'claimed', 'discrepancy_thread', 'discrepancy', 'inverse_error', 'solved', 'complete'];
+        return [
+            { key: 'number', label: '#', value: (item) => item.idx },
+            { key: 'player1', label: 'Player 1 Deck', value: (item) => (item.row.player1 || '').toLowerCase() },
+            { key: 'player2', label: 'Player 2 Deck', value: (item) => (item.row.player2 || '').toLowerCase() },
+            { key: 'status', label: 'Status', value: (item) => statusOrder.indexOf(item.status.key) },
+            { key: 'signature', label: 'Signature', value: (item) => (this.getCurrentColorSignature(item.row) || '').toLowerCase() }
+        ];
+    }
+
+    /**
+     * Open the match table with the filter, search and sort given in the URL (filter, q, sort),
+     * so a filtered view can be shared as a link
+     * @param {URLSearchParams} urlParams - Parameters of the page URL
+     */
+    async showMatchTableFromURL(urlParams) {
+        const filterKeys = this.getMatchTableFilters().map(filter => filter.key);
+        const filters = (urlParams.get('filter') || '').split(',').filter(key => filterKeys.includes(key));
+        const search = (urlParams.get('q') || '').trim();
+        const [sortKey, sortDirection] = (urlParams.get('sort') || '').split('-');
+        const sort = this.getMatchTableColumns().some(column => column.key === sortKey)
+            ? { key: sortKey, direction: sortDirection === 'desc' ? 'desc' : 'asc' }
+            : null;
+
+        if (filters.length === 0 && !search && !sort) return;
+
+        this.matchTableState = { filters, search, sort };
+        await this.showMatchTableModal();
+    }
+
+    isMatchTableOpen() {
+        return !!document.querySelector('.match-table-overlay');
+    }
+
     async showMatchTableModal() {
         // Remove any existing modal
         this.closeMatchTableModal();
 
-        // Create overlay
-        const overlay = document.createElement('div');
-        overlay.className = 'match-table-overlay';
+        // Create overlay
+        const overlay = document.createElement('div');
+        overlay.className = 'match-table-overlay';
+
+        // Modal container
+        const modal = document.createElement('div');
+        modal.className = 'match-table-modal';
+
+        // Search and filter chips
+        const toolbar = document.createElement('div');
+        toolbar.className = 'match-table-toolbar';
+        const searchInput = document.createElement('input');
+        searchInput.type = 'search';
+        searchInput.className = 'match-table-search';
+        searchInput.placeholder = 'Search decks, cards or signatures...';
+        searchInput.value = this.matchTableState.search;
+        toolbar.appendChild(searchInput);
+        const chips = document.createElement('div');
+        chips.className = 'match-table-filters';
+        toolbar.appendChild(chips);
+        const bulkBar = document.createElement('div');
+        bulkBar.className = 'match-table-bulk-bar';
+        toolbar.appendChild(bulkBar);
+        modal.appendChild(toolbar);
+
+        const table = document.createElement('table');
+        table.className = 'match-table';
+        modal.appendChild(table);
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+
+        const threadMap = await this.getMatchTableThreadMap();
+        await this.loadStaleClaims();
+        const items = this.allRows.map((row, idx) => ({
+            row,
+            idx,
+            status: this.getMatchStatus(row, idx, { hasThread: this.hasDiscordThreadForRow(threadMap, row, idx) })
+        }));
+
+        // Selected rows (indexes in allRows) for bulk actions, and the last checkbox clicked for shift ranges
+        const selection = new Set();
+        let lastSelectedIdx = null;
+
+        const render = () => {
+            this.renderMatchTableFilters(chips, items, threadMap);
+            this.renderMatchTable(table, items, threadMap, selection);
+            this.renderMatchTableBulkBar(bulkBar, selection);
+            this.updateURL();
+        };
+        render();
+
+        bulkBar.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-bulk]');
+            if (!button) return;
+            if (button.dataset.bulk === 'deselect') {
+                selection.clear();
+                render();
+                return;
+            }
+            if (button.dataset.bulk === 'release') {
+                await this.releaseStaleClaims([...selection].sort((a, b) => a - b));
+                return;
+            }
+            await this.runBulkAction(button.dataset.bulk, [...selection].sort((a, b) => a - b));
+        });
+
+        searchInput.addEventListener('input', () => {
+            this.matchTableState.search = searchInput.value.trim();
+            render();
+        });
+
+        chips.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-filter]');
+            if (!chip) return;
+            const key = chip.dataset.filter;
+            const filters = this.matchTableState.filters;
+            this.matchTableState.filters = filters.includes(key)
+                ? filters.filter(filter => filter !== key)
+                : [...filters, key];
+            render();
+        });
+
+        table.addEventListener('click', (e) => {
+            // Checkboxes: select rows, a deck group, or everything shown; shift-click selects a range
+            const checkbox = e.target.closest('input[type="checkbox"]');
+            if (checkbox) {
+                const visibleOrder = [...table.querySelectorAll('input.match-select')].map(input => parseInt(input.dataset.row, 10));
+                let targets;
+                if (checkbox.classList.contains('match-select-all')) {
+                    targets = visibleOrder;
+                } else if (checkbox.classList.contains('match-select-group')) {
+                    targets = checkbox.dataset.rows.split(',').map(Number);
+                } else {
+                    const idx = parseInt(checkbox.dataset.row, 10);
+                    targets = [idx];
+                    if (e.shiftKey && lastSelectedIdx !== null && visibleOrder.includes(lastSelectedIdx)) {
+                        const from = visibleOrder.indexOf(lastSelectedIdx);
+                        const to = visibleOrder.indexOf(idx);
+                        targets = visibleOrder.slice(Math.min(from, to), Math.max(from, to) + 1);
+                    }
+                    lastSelectedIdx = idx;
+                }
+                targets.forEach(idx => checkbox.checked ? selection.add(idx) : selection.delete(idx));
+                render();
+                return;
+            }
+            // A near miss on a checkbox should not jump to the match
+            if (e.target.closest('.match-select-cell')) return;
+
+            // Header click: sort by that column, again to reverse
+            const header = e.target.closest('th[data-sort]');
+            if (header) {
+                const key = header.dataset.sort;
+                const current = this.matchTableState.sort;
+                this.matchTableState.sort = current && current.key === key
+                    ? { key, direction: current.direction === 'asc' ? 'desc' : 'asc' }
+                    : { key, direction: 'asc' };
+                render();
+                return;
+            }
+
+            // Row click: jump to match
+            const tr = e.target.closest('tr[data-row]');
+            if (tr) {
+                const idx = parseInt(tr.getAttribute('data-row'), 10);
+                this.currentRowIndex = idx;
+                this.closeMatchTableModal();
+                this.showCurrentRow();
+            }
+        });
+
+        // Click outside modal closes if a row is selected
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay && this.currentRowIndex >= 0) {
+                this.closeMatchTableModal();
+                this.showCurrentRow();
+            }
+        });
+
+        // Auto-scroll to the current match row and set sticky offsets once layout is ready
+        requestAnimationFrame(() => {
+            const thead = table.querySelector('thead');
+            if (thead) {
+                const headHeight = thead.getBoundingClientRect().height;
+                if (headHeight) {
+                    table.style.setProperty('--match-table-head-offset', `${headHeight}px`);
+                }
+            }
+
+            const currentRow = table.querySelector('tr.current-row');
+            if (currentRow) {
+                currentRow.scrollIntoView({ block: 'center', behavior: 'auto' });
+            }
+        });
+    }
+
+    renderMatchTableFilters(container, items, threadMap) {
+        container.innerHTML = '';
+        this.getMatchTableFilters().forEach(filter => {
+            const count = items.filter(item => filter.test(item.row, item.idx, threadMap)).length;
+            const chip = document.createElement('button');
+            chip.className = 'match-table-filter';
+            chip.classList.toggle('active', this.matchTableState.filters.includes(filter.key));
+            chip.dataset.filter = filter.key;
+            chip.textContent = `${filter.label} (${count})`;
+            container.appendChild(chip);
+        });
+    }
+
+    /**
+     * Render the rows that pass the filters and the search. With the default order rows are
+     * grouped by Player 1 deck; a sorted table is flat and shows Player 1 as a column.
+     */
+    renderMatchTable(table, items, threadMap, selection = new Set()) {
+        const { filters, search, sort } = this.matchTableState;
+        const activeFilters = this.getMatchTableFilters().filter(filter => filters.includes(filter.key));
+        const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+
+        let visible = items.filter(item => {
+            if (!activeFilters.every(filter => filter.test(item.row, item.idx, threadMap))) return false;
+            if (terms.length === 0) return true;
+            const haystack = [
+                item.row.player1,
+                item.row.player2,
+                ...this.guruColors.map(color => item.row[`${color}Signature`])
+            ].join(' ').toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
 
-        // Modal container
-        const modal = document.createElement('div');
-        modal.className = 'match-table-modal';
+        const columns = this.getMatchTableColumns();
+        const grouped = !sort || (sort.key === 'number' && sort.direction === 'asc');
+        if (!grouped) {
+            const column = columns.find(c => c.key === sort.key);
+            const direction = sort.direction === 'desc' ? -1 : 1;
+            visible = [...visible].sort((a, b) => {
+                const va = column.value(a);
+                const vb = column.value(b);
+                if (va < vb) return -direction;
+                if (va > vb) return direction;
+                return a.idx - b.idx;
+            });
+        }
 
-        const table = document.createElement('table');
-        table.className = 'match-table';
+        const shownColumns = grouped ? columns.filter(column => column.key !== 'player1') : columns;
+        const tableColumnCount = shownColumns.length + 1; // + selection checkbox
+        const headerHtml = '<th class="match-select-cell"><input type="checkbox" class="match-select-all" title="Select all shown matches"></th>' +
+            shownColumns.map(column => {
+                const arrow = sort && sort.key === column.key ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+                return `<th data-sort="${column.key}" title="Sort by ${column.label}">${column.label}${arrow}</th>`;
+            }).join('');
+
+        // Rows of each deck group, for the group checkboxes
+        const groupRows = new Map();
+        if (grouped) {
+            visible.forEach(({ row, idx }, position) => {
+                const previous = visible[position - 1];
+                const groupStart = previous && previous.row.player1 === row.player1 ? groupRows.get(previous.idx) : idx;
+                groupRows.set(idx, groupStart);
+            });
+        }
+        const groupMembers = (startIdx) => visible.filter(item => groupRows.get(item.idx) === startIdx).map(item => item.idx);
 
-        const threadMap = await this.getMatchTableThreadMap();
-        const tableColumnCount = 4;
         let lastDeck = null;
-        const groupedRowsHtml = this.allRows.map((row, idx) => {
+        const rowsHtml = visible.map(({ row, idx, status }) => {
             const parts = [];
-            if (row.player1 !== lastDeck) {
+            if (grouped && row.player1 !== lastDeck) {
                 lastDeck = row.player1;
                 parts.push(`
                     <tr class="deck-group-header">
                         <th colspan="${tableColumnCount}" class="deck-group-header-name">
                             <span class="deck-group-header-p1">P1</span>
+                            <input type="checkbox" class="match-select-group" data-rows="${groupMembers(idx).join(',')}" title="Select the matches of this deck">
                             ${lastDeck || 'Unknown deck'}
                         </th>
                     </tr>
@@ -2529,14 +4309,14 @@ export class GuruAnalysisInterface {
             }
 
             const sig = this.getCurrentColorSignature(row) || '';
-            const hasThread = this.hasDiscordThreadForRow(threadMap, row, idx);
-            const statusDescriptor = this.getMatchStatus(row, idx, { hasThread });
-            const statusMarkup = this.renderMatchStatus(statusDescriptor);
+            const statusMarkup = this.renderMatchStatus(status);
             const highlight = idx === this.currentRowIndex ? 'current-row' : '';
             const isCurrentGuruRow = sig === this.guruSignature ? 'current-guru-row' : '';
             parts.push(`
                 <tr data-row="${idx}" class="${highlight} ${isCurrentGuruRow}">
-                    <td>${idx + 1}</td>
+                    <td class="match-select-cell"><input type="checkbox" class="match-select" data-row="${idx}" ${selection.has(idx) ? 'checked' : ''}></td>
+                    <td>${idx + 1}${this.isRowPendingSync(row) ? ' <span class="pending-sync-badge" title="Saved offline, will sync when back online">⏳</span>' : ''}${this.renderStaleClaimBadge(idx)}</td>
+                    ${grouped ? '' : `<td>${row.player1}</td>`}
                     <td>${row.player2}</td>
                     <td class="match-status-cell">${statusMarkup}</td>
                     <td>${sig}</td>
@@ -2545,62 +4325,349 @@ export class GuruAnalysisInterface {
             return parts.join('');
         }).join('');
 
+        table.classList.toggle('match-table-flat', !grouped);
         table.innerHTML = `
             <thead>
-                <tr>
-                    <th>#</th>
-                    <th>Player 2 Deck</th>
-                    <th>Status</th>
-                    <th>Signature</th>
-                </tr>
+                <tr>${headerHtml}</tr>
             </thead>
             <tbody>
-                ${groupedRowsHtml}
+                ${rowsHtml || `<tr class="match-table-empty"><td colspan="${tableColumnCount}">No matches found</td></tr>`}
             </tbody>
         `;
-        modal.appendChild(table);
-        overlay.appendChild(modal);
-        document.body.appendChild(overlay);
 
-        // Row click: jump to match
-        table.addEventListener('click', (e) => {
-            const tr = e.target.closest('tr[data-row]');
-            if (tr) {
-                const idx = parseInt(tr.getAttribute('data-row'), 10);
-                this.currentRowIndex = idx;
-                this.showCurrentRow();
-                this.closeMatchTableModal();
-            }
+        // Group and "all" checkboxes reflect their rows: checked, partly (indeterminate) or not
+        const setState = (checkbox, indexes) => {
+            const selected = indexes.filter(idx => selection.has(idx)).length;
+            checkbox.checked = indexes.length > 0 && selected === indexes.length;
+            checkbox.indeterminate = selected > 0 && selected < indexes.length;
+        };
+        table.querySelectorAll('input.match-select-group').forEach(checkbox => {
+            setState(checkbox, checkbox.dataset.rows.split(',').map(Number));
         });
+        setState(table.querySelector('input.match-select-all'), visible.map(item => item.idx));
+    }
 
-        // Click outside modal closes if a row is selected
-        overlay.addEventListener('mousedown', (e) => {
-            if (e.target === overlay && this.currentRowIndex >= 0) {
-                this.showCurrentRow();
-                this.closeMatchTableModal();
+    renderMatchTableBulkBar(bar, selection) {
+        bar.style.display = selection.size > 0 ? '' : 'none';
+        bar.innerHTML = `
+            <span class="match-table-bulk-count">${selection.size} selected</span>
+            <button class="primary-btn" data-bulk="claim">Claim</button>
+            <button class="secondary-btn" data-bulk="unclaim">Unclaim mine</button>
+            <button class="secondary-btn" data-bulk="clear">Clear my results</button>
+            ${isHeadGuru(this.currentData.metadata, this.guruSignature) && [...selection].some(idx => this.staleClaims.has(idx)) ? '<button class="secondary-btn" data-bulk="release" title="For head gurus: clear claims that have waited too long for a result">Release stale claims</button>' : ''}
+            <button class="secondary-btn" data-bulk="deselect">Clear selection</button>
+        `;
+    }
+
+    /**
+     * Find the claims of the pod that have waited too long for a result. Claim times come from
+     * the pod's Stylus Log, so a pod without one has no stale claims.
+     */
+    async loadStaleClaims() {
+        this.staleClaims = new Map();
+        if (!this.auditLog || !this.currentData) return;
+
+        try {
+            const claimTimes = await this.auditLog.getClaimTimes(this.currentData.sheetId);
+            if (!claimTimes) return;
+            const days = getStaleClaimDays(this.currentData.metadata);
+            findStaleClaims(this.allRows, this.guruColors, claimTimes, days).forEach(claim => {
+                if (!this.staleClaims.has(claim.idx)) {
+                    this.staleClaims.set(claim.idx, []);
+                }
+                this.staleClaims.get(claim.idx).push(claim);
+            });
+        } catch (error) {
+            console.warn('Failed to load claim times for stale claims:', error);
+        }
+    }
+
+    renderStaleClaimBadge(idx) {
+        const claims = this.staleClaims.get(idx);
+        if (!claims) return '';
+        const title = claims.map(claim => {
+            const days = Math.floor((Date.now() - claim.claimedAt) / (24 * 60 * 60 * 1000));
+            return `${formatGuruColor(claim.color)} claimed by ${claim.signature} ${days} days ago, no result yet`;
+        }).join('\n').replace(/"/g, '&quot;');
+        return ` <span class="stale-claim-badge" title="${title}">⌛</span>`;
+    }
+
+    /**
+     * Release the stale claims of the selected matches, in every colour. Each signature is cleared
+     * with a checked update, so a claim renewed, taken over or released since the table was
+     * opened is left alone.
+     * @param {Array<number>} rowIndexes - Indexes in allRows
+     */
+    async releaseStaleClaims(rowIndexes) {
+        if (!isHeadGuru(this.currentData.metadata, this.guruSignature)) {
+            this.uiController.showStatus('Only the head gurus listed in the pod\'s metadata sheet can release claims', 'error');
+            return;
+        }
+        const claims = rowIndexes.flatMap(idx => this.staleClaims.get(idx) || []);
+        if (claims.length === 0) return;
+        const days = getStaleClaimDays(this.currentData.metadata);
+        if (!(await this.uiController.showConfirmDialog(`Release ${claims.length} claims that have had no result for over ${days} days? The gurus who made them will have to claim these matches again.`))) {
+            return;
+        }
+
+        const guruSheetIds = this.currentData.sheets.find(s => s.title === 'Merged Gurus')?.guruSheetIds;
+        const outcomes = []; // { idx, ok, text }
+        const changes = [];
+        let queued = false;
+        try {
+            this.uiController.showStatus(`Releasing ${claims.length} stale claims...`, 'loading');
+
+            // One checked update per colour, as skipped cells are matched by row
+            for (const color of this.guruColors) {
+                const colorClaims = claims.filter(claim => claim.color === color);
+                if (colorClaims.length === 0) continue;
+
+                const col = this.guruColumns[color].signature + 1;
+                const updates = {
+                    updates: colorClaims.map(claim => ({
+                        sheetId: this.allRows[claim.idx].sheetId,
+                        row: this.allRows[claim.idx].originalRowIndex + 1, // +1 because sheets are 1-indexed
+                        col,
+                        value: '',
+                        expectedValue: claim.signature,
+                        valueType: 'string',
+                        isMergedGuruUpdate: true,
+                        guruSheetIds
+                    }))
+                };
+                const cells = colorClaims.map(claim => ({ row: this.allRows[claim.idx].originalRowIndex + 1, color, field: 'signature', value: '' }));
+                const result = await this.submitCellUpdates(updates, { cells });
+                queued = queued || result === null;
+
+                colorClaims.forEach(claim => {
+                    const row = this.allRows[claim.idx];
+                    const skipped = result?.skipped?.find(s => s.row === row.originalRowIndex + 1);
+                    if (skipped) {
+                        this.setRowGuruValue(row, color, 'signature', skipped.currentValue);
+                        outcomes.push({
+                            idx: claim.idx,
+                            ok: false,
+                            text: skipped.currentValue
+                                ? `${formatGuruColor(color)} is now claimed by ${skipped.currentValue}`
+                                : `${formatGuruColor(color)} was already released`
+                        });
+                    } else {
+                        this.setRowGuruValue(row, color, 'signature', '');
+                        changes.push(this.describeCellChange(row, 'signature', claim.signature, '', color));
+                        outcomes.push({
+                            idx: claim.idx,
+                            ok: true,
+                            text: `Released the ${formatGuruColor(color)} claim of ${claim.signature}${result === null ? ' (will sync when back online)' : ''}`
+                        });
+                    }
+                });
             }
-        });
+        } catch (error) {
+            console.error('Error releasing stale claims:', error);
+            this.uiController.showStatus(`Error releasing stale claims: ${error.message}`, 'error');
+            return;
+        }
 
-        // Auto-scroll to the current match row and set sticky offsets once layout is ready
-        requestAnimationFrame(() => {
-            const thead = table.querySelector('thead');
-            if (thead) {
-                const headHeight = thead.getBoundingClientRect().height;
-                if (headHeight) {
-                    table.style.setProperty('--match-table-head-offset', `${headHeight}px`);
+        // Logged but not undoable: undo matches cells by row, and a release can clear several colours of a row
+        if (!queued) {
+            this.logChanges(changes);
+        }
+
+        const released = outcomes.filter(outcome => outcome.ok).length;
+        console.log(`⌛ Released ${released} of ${claims.length} stale claims`);
+        this.uiController.showStatus(`Released ${released} of ${claims.length} stale claims`, released > 0 ? 'success' : 'info');
+
+        await this.showMatchTableModal();
+        this.showCurrentRow();
+        this.showBulkActionSummary(`Released ${released} of ${claims.length} stale claims`, outcomes);
+    }
+
+    /**
+     * Write one cell of the current colour per row as a checked batch (queued while offline).
+     * For results, a cell only formatted differently in the sheet (e.g. "1" vs "1.0") is not a
+     * conflict, so it is written again against the value found there.
+     * @param {Array<Object>} planned - [{ row, before, after }] with before the value the change was made against
+     * @param {string} field - 'analysis' or 'signature'
+     * @param {Object} options - valueType of the written values; requireClaim to only write rows
+     * still claimed by the guru, checked on the signature cell in the same batch; requireUnscored
+     * to only write rows the guru has not scored, checked on the result cell (one or the other)
+     * @returns {Promise<Object>} { queued, skipped } where skipped lists the cells not written, matched by row
+     * (with guardValue set to the signature or result found when the check failed)
+     */
+    async submitCheckedCells(planned, field, { valueType = 'string', requireClaim = false, requireUnscored = false } = {}) {
+        const colIndex = this.getCurrentGuruColIndex(field);
+        let guard;
+        if (requireClaim) {
+            guard = { col: this.getCurrentGuruColIndex('signature') + 1, expectedValue: this.guruSignature };
+        } else if (requireUnscored) {
+            guard = { col: this.getCurrentGuruColIndex('analysis') + 1, expectedValue: '' };
+        }
+        const guruSheetIds = this.currentData.sheets.find(s => s.title === 'Merged Gurus')?.guruSheetIds;
+        const updates = {
+            updates: planned.map(({ row, before, after }) => ({
+                sheetId: row.sheetId,
+                row: row.originalRowIndex + 1, // +1 because sheets are 1-indexed
+                col: colIndex + 1,
+                value: after,
+                expectedValue: before,
+                valueType,
+                isMergedGuruUpdate: true,
+                guruSheetIds,
+                guard
+            }))
+        };
+        const cells = planned.map(({ row, after }) => ({ row: row.originalRowIndex + 1, color: this.currentGuruColor, field, value: after }));
+        const result = await this.submitCellUpdates(updates, { cells });
+        if (result === null) {
+            return { queued: true, skipped: [] };
+        }
+
+        const skipped = result.skipped || [];
+        const retries = field === 'analysis' ? skipped.filter(skip => skip.guardValue === undefined &&
+            this.normalizeAnalysisForComparison(skip.currentValue) === this.normalizeAnalysisForComparison(skip.expectedValue)) : [];
+        if (retries.length === 0) {
+            return { queued: false, skipped };
+        }
+
+        const retryResult = await this.submitCellUpdates({
+            updates: retries.map(skip => ({
+                ...updates.updates.find(update => update.row === skip.row),
+                expectedValue: skip.currentValue
+            }))
+        }, { cells: cells.filter(cell => retries.some(skip => skip.row === cell.row)) });
+        return {
+            queued: false,
+            skipped: skipped.filter(skip => !retries.includes(skip)).concat(retryResult?.skipped || [])
+        };
+    }
+
+    /**
+     * Claim, unclaim or clear the results of several matches in one checked batch update, then
+     * report for each match whether it worked or was already taken
+     * @param {string} action - 'claim', 'unclaim' (my unscored matches) or 'clear' (my results)
+     * @param {Array<number>} rowIndexes - Indexes in allRows
+     */
+    async runBulkAction(action, rowIndexes) {
+        if (rowIndexes.length === 0) return;
+        if (action === 'clear' && !(await this.uiController.showConfirmDialog(`Clear your results for ${rowIndexes.length} selected matches?`))) {
+            return;
+        }
+
+        const field = action === 'clear' ? 'analysis' : 'signature';
+        const verbs = { claim: 'Claimed', unclaim: 'Unclaimed', clear: 'Cleared' };
+        const outcomes = []; // { idx, ok, text }
+        const planned = []; // { idx, row, before, after }
+
+        rowIndexes.forEach(idx => {
+            const row = this.allRows[idx];
+            if (!row) return;
+            const signature = this.getCurrentColorSignature(row) || '';
+            const analysis = this.getCurrentColorAnalysis(row) || '';
+
+            if (action === 'claim') {
+                if (signature.trim() === this.guruSignature) {
+                    outcomes.push({ idx, ok: false, text: 'Already yours' });
+                } else if (signature.trim()) {
+                    outcomes.push({ idx, ok: false, text: `Already claimed by ${signature}` });
+                } else {
+                    planned.push({ idx, row, before: '', after: this.guruSignature });
+                }
+            } else if (signature.trim() !== this.guruSignature) {
+                outcomes.push({ idx, ok: false, text: signature.trim() ? `Claimed by ${signature}` : 'Not claimed' });
+            } else if (action === 'unclaim') {
+                if (analysis.trim()) {
+                    outcomes.push({ idx, ok: false, text: 'Already scored, clear the result first' });
+                } else {
+                    planned.push({ idx, row, before: signature, after: '' });
                 }
+            } else if (!analysis.trim()) {
+                outcomes.push({ idx, ok: false, text: 'No result to clear' });
+            } else {
+                planned.push({ idx, row, before: analysis, after: '' });
             }
+        });
 
-            const currentRow = table.querySelector('tr.current-row');
-            if (currentRow) {
-                currentRow.scrollIntoView({ block: 'center', behavior: 'auto' });
+        const changes = [];
+        let queued = false;
+        if (planned.length > 0) {
+            try {
+                this.uiController.showStatus(`${verbs[action].replace(/ed$/, 'ing')} ${planned.length} matches...`, 'loading');
+
+                // An unclaim must not leave a result scored in the meantime (e.g. on another device) without its claim
+                const result = await this.submitCheckedCells(planned, field, { requireUnscored: action === 'unclaim' });
+                queued = result.queued;
+
+                planned.forEach(({ idx, row, before, after }) => {
+                    // One cell per row, so skipped cells are matched by row
+                    const skipped = result.skipped.find(s => s.row === row.originalRowIndex + 1);
+                    if (skipped) {
+                        this.setRowGuruValue(row, this.currentGuruColor, field, skipped.currentValue);
+                        let text;
+                        if (skipped.guardValue !== undefined) {
+                            this.setRowGuruValue(row, this.currentGuruColor, 'analysis', skipped.guardValue);
+                        }
+                        if (action === 'claim') {
+                            text = skipped.currentValue === this.guruSignature ? 'Already yours' : `Already claimed by ${skipped.currentValue}`;
+                        } else if (action === 'unclaim') {
+                            if (skipped.currentValue === before) {
+                                text = 'Scored in the meantime, clear the result first';
+                            } else {
+                                text = skipped.currentValue ? `Now claimed by ${skipped.currentValue}` : 'Already unclaimed';
+                            }
+                        } else {
+                            text = `Result changed to ${this.getOutcomeDisplayName(skipped.currentValue) || '(empty)'} by someone else`;
+                        }
+                        outcomes.push({ idx, ok: false, text });
+                    } else {
+                        this.setRowGuruValue(row, this.currentGuruColor, field, after);
+                        changes.push(this.describeCellChange(row, field, before, after));
+                        outcomes.push({ idx, ok: true, text: queued ? `${verbs[action]} (will sync when back online)` : verbs[action] });
+                    }
+                });
+            } catch (error) {
+                console.error(`Error during bulk ${action}:`, error);
+                this.uiController.showStatus(`Error during bulk ${action}: ${error.message}`, 'error');
+                return;
             }
+        }
+
+        this.numDiscrepancies = this.countMyDiscrepancies();
+        const labels = { claim: 'claim', unclaim: 'unclaim', clear: 'clearing' };
+        if (!queued) {
+            this.recordChanges(`bulk ${labels[action]} of ${changes.length} matches`, changes);
+        }
+
+        const succeeded = outcomes.filter(outcome => outcome.ok).length;
+        console.log(`📦 Bulk ${action}: ${succeeded} of ${rowIndexes.length} matches`);
+        this.uiController.showStatus(`${verbs[action]} ${succeeded} of ${rowIndexes.length} matches`, succeeded > 0 ? 'success' : 'info',
+            succeeded > 0 && !queued ? { action: this.getUndoAction() } : {});
+
+        // Refresh the table and the current match, then show what happened to each match
+        await this.showMatchTableModal();
+        this.showCurrentRow();
+        this.showBulkActionSummary(`${verbs[action]} ${succeeded} of ${rowIndexes.length} matches`, outcomes);
+    }
+
+    showBulkActionSummary(title, outcomes) {
+        const list = document.createElement('ul');
+        list.className = 'bulk-result-list';
+        outcomes.sort((a, b) => a.idx - b.idx).forEach(({ idx, ok, text }) => {
+            const row = this.allRows[idx];
+            const item = document.createElement('li');
+            item.className = ok ? 'bulk-result-ok' : 'bulk-result-skipped';
+            item.textContent = `${ok ? '✅' : '⛔'} Match ${idx + 1} (${row?.player1 || '?'} vs ${row?.player2 || '?'}): ${text}`;
+            list.appendChild(item);
         });
+        this.uiController.showModal(title, list, { className: 'bulk-result-modal' });
     }
 
     closeMatchTableModal() {
         const existing = document.querySelector('.match-table-overlay');
-        if (existing) existing.remove();
+        if (existing) {
+            existing.remove();
+            // Drop the table's filter from the URL
+            this.updateURL();
+        }
     }
 
     getMatchStatus(row, rowIndex, options = {}) {
@@ -2712,6 +4779,9 @@ export class GuruAnalysisInterface {
     }
 
     hasDiscordThreadForRow(threadMap, row, fallbackIndex) {
+        if (this.discordWebhook.getPostedThread(this.currentData?.sheetId, fallbackIndex + 1)) {
+            return true;
+        }
         if (!threadMap || typeof threadMap.has !== 'function') {
             return false;
         }
@@ -2746,14 +4816,14 @@ export class GuruAnalysisInterface {
         if (!row) {
             return [];
         }
-        return [row.redAnalysis || '', row.blueAnalysis || '', row.greenAnalysis || ''];
+        return this.guruColors.map(color => row[`${color}Analysis`] || '');
     }
 
     allGurusHaveMatchingResults(row) {
         const normalizedAnalyses = this.getGuruAnalysisValues(row)
             .map(value => this.normalizeAnalysisForComparison(value))
             .filter(Boolean);
-        return normalizedAnalyses.length === 3 && new Set(normalizedAnalyses).size === 1;
+        return normalizedAnalyses.length === this.guruColors.length && new Set(normalizedAnalyses).size === 1;
     }
 
     normalizeAnalysisForComparison(value) {
@@ -2843,15 +4913,21 @@ export class GuruAnalysisInterface {
     }
 
     /**
-     * Shows modal with Discord thread text for the current match
-     * @param {number} rowIndex - Index of the row to create thread text for
+     * Thread templates in use: the guru's own, then those in the pod's metadata sheet, then the defaults
+     * @param {Object} personal - The guru's own templates
+     * @returns {Object} { templates, sources }, see resolveThreadTemplates
      */
-    showCreateThreadModal(rowIndex) {
-        if (rowIndex < 0 || rowIndex >= this.allRows.length) {
-            console.warn('Invalid row index for thread creation');
-            return;
-        }
-        
+    getThreadTemplates(personal = this.threadTemplates) {
+        return resolveThreadTemplates(this.currentData?.metadata, personal);
+    }
+
+    /**
+     * Build the Discord post of a match: the thread title, the post text and the /writeup command
+     * @param {number} rowIndex - Index of the row in allRows
+     * @param {Object} templates - Templates to fill in, those in use by default
+     * @returns {Object} { title, text, writeupCommand, channelUrl }
+     */
+    buildThreadPost(rowIndex, templates = this.getThreadTemplates().templates) {
         const currentRow = this.allRows[rowIndex];
         const podName = this.currentData.metadata?.podName || 'Pod';
         const matchNumber = rowIndex + 1;
@@ -2876,11 +4952,8 @@ export class GuruAnalysisInterface {
             }
             
             // Get all analyses
-            const allAnalyses = [
-                currentRow.redAnalysis,
-                currentRow.blueAnalysis,
-                currentRow.greenAnalysis
-            ].filter(a => a && a.trim() !== ''); // Remove empty analyses
+            const allAnalyses = this.getGuruAnalysisValues(currentRow)
+                .filter(a => a && a.trim() !== ''); // Remove empty analyses
             
             // Get current guru analysis value
             const currentValue = parseFloat(currentAnalysis);
@@ -2906,11 +4979,47 @@ export class GuruAnalysisInterface {
             const otherLetters = differentAnalyses.map(analysisToLetter).join('/');
             const currentLetter = analysisToLetter(currentAnalysis);
             
-            return `\n\n${otherLetters} -> ${currentLetter}`;
+            return `${otherLetters} -> ${currentLetter}`;
+        };
+
+        // Each card followed by its Scryfall link, embeds suppressed
+        const withLinks = (deckString) => this.scryfallAPI.parseDeckString(deckString || '')
+            .map(card => `${card} [↗](<${this.scryfallAPI.getCardUrl(card)}>)`)
+            .join(' | ');
+
+        const values = {
+            podName,
+            matchNumber,
+            player1: currentRow.player1 || '',
+            player2: currentRow.player2 || '',
+            p1Cards,
+            p2Cards,
+            p1Links: withLinks(currentRow.player1),
+            p2Links: withLinks(currentRow.player2),
+            correction: buildCorrectionString(),
+            matchLink
+        };
+
+        return {
+            title: renderThreadTemplate(templates.title, values).trim(),
+            text: renderThreadTemplate(templates.text, values),
+            writeupCommand: renderThreadTemplate(templates.writeupCommand, values).trim(),
+            channelUrl: templates.channelUrl.trim()
         };
+    }
+
+    /**
+     * Shows modal with Discord thread text for the current match
+     * @param {number} rowIndex - Index of the row to create thread text for
+     */
+    showCreateThreadModal(rowIndex) {
+        if (rowIndex < 0 || rowIndex >= this.allRows.length) {
+            console.warn('Invalid row index for thread creation');
+            return;
+        }
         
-        const correctionString = buildCorrectionString();
-        const threadText = `P1 - ${p1Cards}\nP2 - ${p2Cards}\n[See match on The Stylus](${matchLink}) :Stylus:${correctionString}\n`;
+        const post = this.buildThreadPost(rowIndex);
+        const { title: titleText, text: threadText, writeupCommand, channelUrl } = post;
         
         // Calculate number of rows needed for textarea (count newlines + 1)
         const textareaRows = (threadText.match(/\n/g) || []).length + 1;
@@ -2922,27 +5031,38 @@ export class GuruAnalysisInterface {
         // Create modal
         const modal = document.createElement('div');
         modal.className = 'thread-modal';
-        const titleText = `${podName} ${matchNumber}`;
-        const writeupCommand = `/writeup matchid:${podName} ${matchNumber}`;
         modal.innerHTML = `
             <div class="thread-modal-header">
-                <h3>${titleText}</h3>
+                <h3></h3>
                 <button class="copy-btn-icon copy-title-btn" title="Copy title to Clipboard">📋</button>
+                <button class="copy-btn-icon edit-templates-btn" title="Edit the templates of these posts">✏️</button>
                 <button class="close-thread-modal" style="background: none; border: none; font-size: 24px; cursor: pointer; color: #666;">&times;</button>
             </div>
             <div class="thread-modal-content">
                 <p style="margin-bottom: 10px; color: #666; display: flex; align-items: center; justify-content: space-between;">
-                    <span>Copy this text to create a <a href="https://discord.com/channels/1051702336113889330/1145460704724398181" target="_blank" style="display: inline-flex; align-items: center; gap: 4px;"><img src="images/Discord-Symbol-Blurple.svg" alt="Discord" style="width: 16px; height: 16px; vertical-align: middle;" />Guru Match Help post</a> for this match:</span>
+                    <span>Copy this text to create a <a class="thread-channel-link" target="_blank" style="display: inline-flex; align-items: center; gap: 4px;"><img src="images/Discord-Symbol-Blurple.svg" alt="Discord" style="width: 16px; height: 16px; vertical-align: middle;" />Guru Match Help post</a> for this match:</span>
                     <button class="copy-btn-icon copy-thread-btn" title="Copy to Clipboard">📋</button>
                 </p>
-                <textarea readonly class="thread-text-area" rows="${textareaRows}" style="width: 100%; font-family: monospace; padding: 12px; border: 1px solid #ddd; border-radius: 4px; resize: none;">${threadText}</textarea>
+                <textarea readonly class="thread-text-area" rows="${textareaRows}" style="width: 100%; font-family: monospace; padding: 12px; border: 1px solid #ddd; border-radius: 4px; resize: none;"></textarea>
                 <p style="margin-top: 16px; margin-bottom: 10px; color: #666; display: flex; align-items: center; justify-content: space-between;">
                     <span>Then run this command in the thread:</span>
                     <button class="copy-btn-icon copy-writeup-btn" title="Copy command to Clipboard">📋</button>
                 </p>
-                <div style="font-family: monospace; padding: 12px; border: 1px solid #ddd; border-radius: 4px; background-color: #f5f5f5;">${writeupCommand}</div>
+                <div style="font-family: monospace; padding: 12px; border: 1px solid #ddd; border-radius: 4px; background-color: #f5f5f5;" class="thread-writeup-command"></div>
+                <div class="thread-webhook"></div>
             </div>
         `;
+        // Templates can come from a pod's metadata sheet, so nothing they produce is read as HTML,
+        // and the channel link is only ever a Discord link (see resolveThreadTemplates)
+        modal.querySelector('h3').textContent = titleText;
+        modal.querySelector('.thread-text-area').value = threadText;
+        modal.querySelector('.thread-writeup-command').textContent = writeupCommand;
+        modal.querySelector('.thread-channel-link').href = channelUrl;
+        modal.querySelector('.edit-templates-btn').addEventListener('click', () => {
+            this.closeCreateThreadModal();
+            this.showThreadTemplateEditor(rowIndex);
+        });
+        this.renderThreadWebhook(modal.querySelector('.thread-webhook'), rowIndex, post);
         
         overlay.appendChild(modal);
         document.body.appendChild(overlay);
@@ -2990,6 +5110,354 @@ export class GuruAnalysisInterface {
         document.addEventListener('keydown', escapeHandler);
     }
 
+    /**
+     * Key the guru's webhook URLs are stored under: the pod's hub, or the pod itself without one
+     */
+    getDiscordWebhookKey() {
+        return this.hub?.hubSheetId || this.currentData?.sheetId;
+    }
+
+    /**
+     * Webhook the threads of this pod are posted through: the guru's own for the hub, then the
+     * one in the pod's metadata sheet ("Discord Webhook URL")
+     * @returns {string} Webhook URL, or '' if none is set
+     */
+    getDiscordWebhookUrl() {
+        return (this.discordWebhooks[this.getDiscordWebhookKey()] || this.currentData?.metadata?.discordWebhookUrl || '').toString().trim();
+    }
+
+    /**
+     * Show the webhook part of the thread modal: post the thread, or the link of the thread
+     * already posted from this device
+     * @param {HTMLElement} container - Element to render into
+     * @param {number} rowIndex - Index of the row in allRows
+     * @param {Object} post - Result of buildThreadPost
+     */
+    renderThreadWebhook(container, rowIndex, post) {
+        const webhookUrl = this.getDiscordWebhookUrl();
+        const posted = this.discordWebhook.getPostedThread(this.currentData.sheetId, rowIndex + 1);
+
+        container.innerHTML = `
+            <p class="thread-webhook-posted" ${posted ? '' : 'hidden'}>Posted on <span></span>: <a target="_blank" rel="noopener noreferrer">open the thread</a>, then run the command above in it.</p>
+            <div class="thread-webhook-actions">
+                <button class="secondary-btn" data-webhook="settings">${webhookUrl ? 'Webhook settings' : 'Set up a webhook to post from here'}</button>
+                ${webhookUrl ? `<button class="primary-btn" data-webhook="post">${posted ? 'Post again' : 'Post to Discord'}</button>` : ''}
+            </div>
+        `;
+        if (posted) {
+            container.querySelector('.thread-webhook-posted span').textContent = new Date(posted.postedAt).toLocaleString();
+            container.querySelector('.thread-webhook-posted a').href = posted.url;
+        }
+
+        container.querySelector('[data-webhook="settings"]').addEventListener('click', () => {
+            this.closeCreateThreadModal();
+            this.showDiscordWebhookSettings(rowIndex);
+        });
+        container.querySelector('[data-webhook="post"]')?.addEventListener('click', async (e) => {
+            const button = e.currentTarget;
+            if (posted && !(await this.uiController.showConfirmDialog(`A thread for match ${rowIndex + 1} was already posted from this device. Post another one?`))) {
+                return;
+            }
+
+            button.disabled = true;
+            button.textContent = 'Posting…';
+            try {
+                const thread = await this.discordWebhook.postThread(webhookUrl, post);
+                this.discordWebhook.recordPost(this.currentData.sheetId, rowIndex + 1, thread.url);
+                this.uiController.showStatus(`Posted the thread of match ${rowIndex + 1} to Discord`, 'success', {
+                    action: { label: 'Open', onClick: () => window.open(thread.url, '_blank', 'noopener') }
+                });
+                this.renderThreadWebhook(container, rowIndex, post);
+                if (rowIndex === this.currentRowIndex) {
+                    this.showCurrentRow();
+                }
+            } catch (error) {
+                console.error('Error posting thread to Discord:', error);
+                this.uiController.showStatus(error.message, 'error');
+                button.disabled = false;
+                button.textContent = posted ? 'Post again' : 'Post to Discord';
+            }
+        });
+    }
+
+    /**
+     * Set the webhook the threads of this hub are posted through, and check it without posting
+     * @param {number} rowIndex - Row whose thread modal to return to
+     */
+    showDiscordWebhookSettings(rowIndex) {
+        const key = this.getDiscordWebhookKey();
+        const podUrl = (this.currentData?.metadata?.discordWebhookUrl || '').toString().trim();
+        const scope = this.hub ? 'this hub' : 'this pod';
+
+        const content = document.createElement('div');
+        content.className = 'discord-webhook-settings';
+        content.innerHTML = `
+            <p>Threads are posted through a webhook of the Guru Match Help forum channel (Discord channel settings › Integrations › Webhooks). The URL is kept in your preferences for ${scope}${podUrl ? "; leave it empty to use the pod's webhook from its metadata sheet" : ''}.</p>
+            <input type="url" class="discord-webhook-url" placeholder="https://discord.com/api/webhooks/…" autocomplete="off">
+            <p class="discord-webhook-result"></p>
+            <div class="discord-webhook-actions">
+                <button class="secondary-btn" data-webhook="test">Test</button>
+                <button class="primary-btn" data-webhook="save">Save</button>
+            </div>
+        `;
+        const input = content.querySelector('.discord-webhook-url');
+        const result = content.querySelector('.discord-webhook-result');
+        input.value = this.discordWebhooks[key] || '';
+
+        const { close } = this.uiController.showModal('Discord webhook', content, { className: 'discord-webhook-modal' });
+
+        content.addEventListener('click', async (e) => {
+            const action = e.target.closest('[data-webhook]')?.dataset.webhook;
+            const url = input.value.trim() || podUrl;
+
+            if (action === 'test') {
+                result.textContent = 'Checking…';
+                try {
+                    const info = await this.discordWebhook.getInfo(url);
+                    result.textContent = `✓ Connected to the webhook "${info.name}"`;
+                } catch (error) {
+                    result.textContent = `✗ ${error.message}`;
+                }
+            } else if (action === 'save') {
+                if (input.value.trim() && !isValidWebhookUrl(input.value.trim())) {
+                    result.textContent = '✗ This is not a Discord webhook URL';
+                    return;
+                }
+                const webhooks = { ...this.discordWebhooks };
+                if (input.value.trim()) {
+                    webhooks[key] = input.value.trim();
+                } else {
+                    delete webhooks[key];
+                }
+                this.discordWebhooks = webhooks;
+                await this.userPreferences?.setDiscordWebhooks(webhooks);
+                close();
+                this.showCreateThreadModal(rowIndex);
+            }
+        });
+    }
+
+    /**
+     * Prepare the Discord posts of every discrepancy and suspected inverse error the guru has
+     * scored, one at a time: copy the title, text and /writeup command, then mark the post done
+     * and move on. Matches that already have a thread in the hub are left out.
+     */
+    async showThreadBatch() {
+        if (!this.currentData) return;
+
+        const threadMap = await this.getMatchTableThreadMap();
+        const items = [];
+        let withThread = 0;
+        this.allRows.forEach((row, idx) => {
+            if (!this.rowHasCurrentGuruSignature(row) || !this.hasCurrentColorResult(row)) return;
+            const reason = this.rowHasDiscrepancy(row) ? 'Discrepancy'
+                : this.isInverseErrorSuspected(idx) ? 'Inverse error suspected'
+                : null;
+            if (!reason) return;
+            if (this.hasDiscordThreadForRow(threadMap, row, idx)) {
+                withThread++;
+                return;
+            }
+            items.push({ idx, reason });
+        });
+
+        const skipped = withThread > 0 ? ` ${withThread} already ${withThread === 1 ? 'has a thread' : 'have threads'}.` : '';
+        if (items.length === 0) {
+            this.uiController.showStatus(`None of your matches needs a Discord thread.${skipped}`, 'info');
+            return;
+        }
+
+        const doneKey = (idx) => `${this.currentData.sheetId}:${idx + 1}`;
+        // Start at the first post not done yet
+        let position = Math.max(0, items.findIndex(item => !this.threadBatchDone.has(doneKey(item.idx))));
+
+        const content = document.createElement('div');
+        content.className = 'thread-batch';
+        const { close } = this.uiController.showModal('Discord threads for my matches', content, { className: 'thread-batch-modal' });
+
+        const render = () => {
+            const { idx, reason } = items[position];
+            const row = this.allRows[idx];
+            const post = this.buildThreadPost(idx);
+            const done = items.filter(item => this.threadBatchDone.has(doneKey(item.idx))).length;
+            const isDone = this.threadBatchDone.has(doneKey(idx));
+
+            content.innerHTML = `
+                <p class="thread-batch-progress"></p>
+                <div class="thread-batch-field">
+                    <span class="thread-batch-label">Title</span>
+                    <code class="thread-batch-title"></code>
+                    <button class="copy-btn-icon" data-copy="title" title="Copy title to Clipboard">📋</button>
+                </div>
+                <div class="thread-batch-field">
+                    <span class="thread-batch-label">Post</span>
+                    <button class="copy-btn-icon" data-copy="text" title="Copy to Clipboard">📋</button>
+                </div>
+                <textarea readonly class="thread-text-area thread-batch-text"></textarea>
+                <div class="thread-batch-field">
+                    <span class="thread-batch-label">Command</span>
+                    <code class="thread-batch-command"></code>
+                    <button class="copy-btn-icon" data-copy="writeupCommand" title="Copy command to Clipboard">📋</button>
+                </div>
+                <div class="thread-batch-actions">
+                    <button class="secondary-btn" data-step="-1" ${position === 0 ? 'disabled' : ''}>‹ Previous</button>
+                    <button class="secondary-btn" data-step="1" ${position === items.length - 1 ? 'disabled' : ''}>Skip ›</button>
+                    <button class="primary-btn" data-done ${isDone ? 'disabled' : ''}>${isDone ? 'Done' : 'Mark done'}</button>
+                </div>
+            `;
+            content.querySelector('.thread-batch-progress').textContent =
+                `${position + 1} of ${items.length} · ${done} done · Match ${idx + 1}: ${row.player1} vs ${row.player2} · ${reason}.${skipped}`;
+            content.querySelector('.thread-batch-title').textContent = post.title;
+            content.querySelector('.thread-batch-command').textContent = post.writeupCommand;
+            const textarea = content.querySelector('.thread-batch-text');
+            textarea.value = post.text;
+            textarea.rows = (post.text.match(/\n/g) || []).length + 1;
+
+            content.querySelectorAll('[data-copy]').forEach(button => {
+                button.addEventListener('click', () => {
+                    navigator.clipboard.writeText(post[button.dataset.copy]).then(() => {
+                        button.textContent = '✓';
+                        setTimeout(() => { button.textContent = '📋'; }, 2000);
+                    }).catch(err => {
+                        console.error('Failed to copy:', err);
+                        button.textContent = '✗';
+                    });
+                });
+            });
+        };
+        render();
+
+        content.addEventListener('click', (e) => {
+            const step = e.target.closest('[data-step]');
+            if (step) {
+                position += parseInt(step.dataset.step, 10);
+                render();
+                return;
+            }
+            if (!e.target.closest('[data-done]')) return;
+
+            this.threadBatchDone.add(doneKey(items[position].idx));
+            const next = items.findIndex((item, i) => i > position && !this.threadBatchDone.has(doneKey(item.idx)));
+            const remaining = items.findIndex(item => !this.threadBatchDone.has(doneKey(item.idx)));
+            if (remaining === -1) {
+                close();
+                this.uiController.showStatus(`All ${items.length} Discord posts done`, 'success');
+                return;
+            }
+            position = next !== -1 ? next : remaining;
+            render();
+        });
+    }
+
+    /**
+     * Edit the guru's own thread templates, with a live preview of the post of a match. Parts left
+     * as the pod's template (from its metadata sheet) or the default are not saved, so they follow
+     * changes to those.
+     * @param {number} rowIndex - Index of the row the preview is built for
+     */
+    showThreadTemplateEditor(rowIndex) {
+        if (!this.currentData || rowIndex < 0 || rowIndex >= this.allRows.length) return;
+
+        const parts = [
+            { part: 'title', label: 'Thread title' },
+            { part: 'text', label: 'Post text' },
+            { part: 'writeupCommand', label: 'Command' },
+            { part: 'channelUrl', label: 'Discord channel link' }
+        ];
+        const sourceNames = { personal: 'your template', pod: "the pod's template", default: 'the default template' };
+
+        const content = document.createElement('div');
+        content.className = 'thread-template-editor';
+        content.innerHTML = `
+            <p>Placeholders are filled in for each match. Pods can set their own templates in their metadata sheet ("Thread Title Template", "Thread Text Template", "Writeup Command Template", "Thread Channel URL"); yours are used instead.</p>
+            <ul class="thread-template-placeholders"></ul>
+            <div class="thread-template-fields"></div>
+            <div class="thread-template-preview">
+                <strong>Preview: Match ${rowIndex + 1}</strong>
+                <code class="thread-template-preview-title"></code>
+                <textarea readonly class="thread-text-area thread-template-preview-text"></textarea>
+                <code class="thread-template-preview-command"></code>
+            </div>
+            <div class="thread-template-actions">
+                <button class="secondary-btn thread-template-reset">Use pod or default templates</button>
+                <button class="primary-btn thread-template-save">Save</button>
+            </div>
+        `;
+
+        const placeholderList = content.querySelector('.thread-template-placeholders');
+        Object.entries(THREAD_TEMPLATE_PLACEHOLDERS).forEach(([name, description]) => {
+            const li = document.createElement('li');
+            li.innerHTML = '<code></code> <span></span>';
+            li.querySelector('code').textContent = `{${name}}`;
+            li.querySelector('span').textContent = description;
+            placeholderList.appendChild(li);
+        });
+
+        // Start from the templates in use; a part only becomes the guru's own once it is changed
+        const inherited = this.getThreadTemplates({}).templates;
+        const { templates, sources } = this.getThreadTemplates();
+        const fields = content.querySelector('.thread-template-fields');
+        const inputs = {};
+        parts.forEach(({ part, label }) => {
+            const field = document.createElement('label');
+            field.className = 'thread-template-field';
+            field.innerHTML = `<span class="thread-template-label"></span><small class="thread-template-source"></small>`;
+            field.querySelector('.thread-template-label').textContent = label;
+            field.querySelector('.thread-template-source').textContent = `Now ${sourceNames[sources[part]]}`;
+            const input = document.createElement(part === 'text' ? 'textarea' : 'input');
+            input.value = templates[part];
+            if (part === 'text') input.rows = (templates.text.match(/\n/g) || []).length + 1;
+            field.appendChild(input);
+            fields.appendChild(field);
+            inputs[part] = input;
+        });
+
+        const getDraft = () => {
+            const draft = {};
+            parts.forEach(({ part }) => {
+                if (inputs[part].value.trim() && inputs[part].value !== inherited[part]) {
+                    draft[part] = inputs[part].value;
+                }
+            });
+            return draft;
+        };
+
+        const renderPreview = () => {
+            const post = this.buildThreadPost(rowIndex, this.getThreadTemplates(getDraft()).templates);
+            content.querySelector('.thread-template-preview-title').textContent = post.title;
+            const preview = content.querySelector('.thread-template-preview-text');
+            preview.value = post.text;
+            preview.rows = (post.text.match(/\n/g) || []).length + 1;
+            content.querySelector('.thread-template-preview-command').textContent = post.writeupCommand;
+        };
+        fields.addEventListener('input', renderPreview);
+        renderPreview();
+
+        const { close } = this.uiController.showModal('Discord thread templates', content, { className: 'thread-template-modal' });
+
+        const save = async (personal) => {
+            this.threadTemplates = personal;
+            try {
+                await this.userPreferences?.setThreadTemplates(personal);
+            } catch (error) {
+                console.error('Error saving thread templates:', error);
+                this.uiController.showStatus('Could not save your thread templates', 'error');
+                return;
+            }
+            close();
+            this.showCreateThreadModal(rowIndex);
+        };
+        content.querySelector('.thread-template-save').addEventListener('click', () => {
+            const draft = getDraft();
+            if (draft.channelUrl && !isValidChannelUrl(draft.channelUrl)) {
+                this.uiController.showStatus('The channel link must be a https://discord.com/channels/… link', 'error');
+                return;
+            }
+            save(draft);
+        });
+        content.querySelector('.thread-template-reset').addEventListener('click', () => save({}));
+    }
+
     /**
      * Closes the create thread modal
      */
@@ -0,0 +1,214 @@
+/**
+ * Guru Stats
+ * Keeps, per guru signature, how many matches they claimed and scored in each pod they loaded,
+ * and how often their result agreed with the other colours. The history is kept in the
+ * appData preferences file through UserPreferences and shown on the home screen.
+ */
+import { CONFIG } from '../config.js';
+import { getElement } from '../utils/domUtils.js';
+import { normalizeResult } from '../utils/podUtils.js';
+import { GURU_COLORS } from './podBackend.js';
+
+/**
+ * Count one guru's work in a pod
+ * @param {Array<Object>} rows - Match rows with an Analysis and Signature per colour (redAnalysis, ...)
+ * @param {string} signature - Guru signature
+ * @param {Array<string>} colors - Guru colours of the pod
+ * @returns {{claimed: number, scored: number, compared: number, agreed: number, discrepancies: number}}
+ *   compared: scored matches every other colour has scored too; agreed: of those, same result
+ */
+export function computePodStats(rows, signature, colors = GURU_COLORS) {
+    const stats = { claimed: 0, scored: 0, compared: 0, agreed: 0, discrepancies: 0 };
+
+    rows.forEach(row => {
+        colors.forEach(color => {
+            if ((row[`${color}Signature`] || '').trim() !== signature) return;
+            stats.claimed++;
+
+            const mine = normalizeResult(row[`${color}Analysis`]);
+            if (!mine) return;
+            stats.scored++;
+
+            const others = colors
+                .filter(other => other !== color)
+                .map(other => normalizeResult(row[`${other}Analysis`]))
+                .filter(Boolean);
+            if (others.length < colors.length - 1) return;
+
+            stats.compared++;
+            if (others.every(other => other === mine)) {
+                stats.agreed++;
+            } else {
+                stats.discrepancies++;
+            }
+        });
+    });
+
+    return stats;
+}
+
+export class GuruStatsManager {
+    constructor() {
+        // signature -> { podId -> { title, claimed, scored, compared, agreed, discrepancies, updatedAt } }
+        this.stats = {};
+        this.userPreferences = null;
+        this.signature = '';
+        this.maxPodsShown = 5;
+        // Until the guru signs in, e.g. when working on a pod file
+        this.loadStats();
+    }
+
+    /**
+     * Set the user preferences service (called from main.js after auth)
+     */
+    async setUserPreferences(userPreferences) {
+        this.userPreferences = userPreferences;
+        await this.loadStats();
+        this.renderStats();
+    }
+
+    /**
+     * Load the stats saved on this device and, once signed in, merge them with those in appData,
+     * keeping the newer entry of each pod so stats recorded before signing in are not lost
+     */
+    async loadStats() {
+        try {
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.GURU_STATS);
+            const local = stored ? JSON.parse(stored) : {};
+            if (!this.userPreferences || !this.userPreferences.isInitialized) {
+                this.stats = local;
+                return;
+            }
+
+            const remote = await this.userPreferences.getGuruStats() || {};
+            let changedLocally = false;
+            this.stats = { ...remote };
+            Object.entries(local).forEach(([signature, pods]) => {
+                Object.entries(pods).forEach(([podId, pod]) => {
+                    const theirs = remote[signature]?.[podId];
+                    if (!theirs || (pod.updatedAt || 0) > (theirs.updatedAt || 0)) {
+                        this.stats[signature] = { ...(this.stats[signature] || {}), [podId]: pod };
+                        changedLocally = true;
+                    }
+                });
+            });
+            if (changedLocally) {
+                this.saveStats();
+            } else {
+                localStorage.setItem(CONFIG.STORAGE_KEYS.GURU_STATS, JSON.stringify(this.stats));
+            }
+        } catch (error) {
+            console.error('Error loading guru stats:', error);
+            this.stats = {};
+        }
+    }
+
+    /**
+     * Save to localStorage straight away and to appData in the background
+     */
+    saveStats() {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.GURU_STATS, JSON.stringify(this.stats));
+        if (this.userPreferences && this.userPreferences.isInitialized) {
+            this.userPreferences.setGuruStats(this.stats)
+                .catch(error => console.warn('Failed to sync guru stats to Google appData:', error));
+        }
+    }
+
+    /**
+     * Show the stats of this signature on the home screen
+     * @param {string} signature - Guru signature
+     */
+    setSignature(signature) {
+        this.signature = signature || '';
+        this.renderStats();
+    }
+
+    /**
+     * Update the guru's stats for a pod from its current rows
+     * @param {string} podId - Spreadsheet ID
+     * @param {string} title - Pod title
+     * @param {Array<Object>} rows - All match rows of the pod
+     * @param {string} signature - Guru signature
+     * @param {Array<string>} colors - Guru colours of the pod
+     */
+    recordPod(podId, title, rows, signature, colors = GURU_COLORS) {
+        if (!podId || !signature || !rows) return;
+
+        const podStats = computePodStats(rows, signature, colors);
+        const previous = this.stats[signature]?.[podId];
+        if (previous && ['claimed', 'scored', 'compared', 'agreed', 'discrepancies'].every(key => previous[key] === podStats[key])) {
+            return;
+        }
+
+        this.stats[signature] = {
+            ...(this.stats[signature] || {}),
+            [podId]: { title, ...podStats, updatedAt: Date.now() }
+        };
+        console.log(`📊 Updated stats of ${signature} for ${title}:`, podStats);
+        this.saveStats();
+        this.signature = signature;
+        this.renderStats();
+    }
+
+    /**
+     * @param {string} signature - Guru signature
+     * @returns {Object} Totals over every pod of the signature, plus the agreement rate (null before any comparison)
+     */
+    getTotals(signature) {
+        const pods = Object.values(this.stats[signature] || {});
+        const totals = { pods: pods.length, claimed: 0, scored: 0, compared: 0, agreed: 0, discrepancies: 0 };
+        pods.forEach(pod => {
+            ['claimed', 'scored', 'compared', 'agreed', 'discrepancies'].forEach(key => {
+                totals[key] += pod[key] || 0;
+            });
+        });
+        totals.agreementRate = totals.compared > 0 ? totals.agreed / totals.compared : null;
+        return totals;
+    }
+
+    renderStats() {
+        const section = getElement('guru-stats-section');
+        if (!section) return;
+
+        const pods = Object.entries(this.stats[this.signature] || {})
+            .sort(([, a], [, b]) => b.updatedAt - a.updatedAt);
+        if (!this.signature || pods.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+
+        const formatRate = (agreed, compared) => compared > 0 ? `${Math.round(agreed / compared * 100)}%` : '–';
+        const totals = this.getTotals(this.signature);
+
+        section.style.display = 'block';
+        section.innerHTML = `
+            <summary>
+                Your stats: <strong>${totals.scored}</strong> scored of ${totals.claimed} claimed in ${totals.pods} pod${totals.pods === 1 ? '' : 's'},
+                <strong>${formatRate(totals.agreed, totals.compared)}</strong> agreement
+            </summary>
+            <table class="guru-stats-table">
+                <thead>
+                    <tr>
+                        <th>Pod</th>
+                        <th>Claimed</th>
+                        <th>Scored</th>
+                        <th title="Matches where every other colour has the same result as you, out of those all colours have scored">Agreement</th>
+                        <th>Discrepancies</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        `;
+
+        const body = section.querySelector('tbody');
+        pods.slice(0, this.maxPodsShown).forEach(([, pod]) => {
+            const tr = document.createElement('tr');
+            [pod.title, pod.claimed, pod.scored, formatRate(pod.agreed, pod.compared), pod.discrepancies].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            body.appendChild(tr);
+        });
+    }
+}
@@ -9,9 +9,11 @@ export class HubManager {
     /**
      * @param {string} hubLink - The Google Sheets URL or ID of the Guru Hub spreadsheet
      * @param {string} podName - The full pod name (e.g., "Novice I")
+     * @param {PodBackend} backend - Data backend used to read the hub sheets
      */
-    constructor(hubLink, podName=null) {
+    constructor(hubLink, podName=null, backend) {
         this.hubLink = hubLink;
+        this.backend = backend;
         if (podName) {
             this.podCode = podNameToCode(podName);
         } else {
@@ -45,22 +47,8 @@ export class HubManager {
         try {
             console.log(`📥 Loading threads from hub for pod: ${this.podCode}`);
 
-            // Get the spreadsheet data with hyperlinks
-            // We need to use spreadsheets.get to access hyperlink formulas
-            const response = await gapi.client.sheets.spreadsheets.get({
-                spreadsheetId: this.hubSheetId,
-                ranges: ["'All Threads'!A:D"],
-                fields: 'sheets.data.rowData.values(formattedValue,hyperlink)'
-            });
-
-            const sheets = response.result.sheets || [];
-            if (sheets.length === 0 || !sheets[0].data || !sheets[0].data[0].rowData) {
-                console.warn('⚠️ All Threads sheet is empty');
-                this.threadsCache = new Map();
-                return this.threadsCache;
-            }
-
-            const rowData = sheets[0].data[0].rowData || [];
+            // Get the cells with hyperlinks, since the thread column holds links
+            const rowData = await this.backend.getSheetCells(this.hubSheetId, "'All Threads'!A:D");
             
             if (rowData.length === 0) {
                 console.warn('⚠️ All Threads sheet is empty');
@@ -169,21 +157,8 @@ export class HubManager {
         try {
             console.log(`📥 Loading pods from hub Totals sheet`);
 
-            // Get the spreadsheet data with hyperlinks
-            const response = await gapi.client.sheets.spreadsheets.get({
-                spreadsheetId: this.hubSheetId,
-                ranges: ["'Totals'"],
-                fields: 'sheets.data.rowData.values(formattedValue,hyperlink)'
-            });
-
-            const sheets = response.result.sheets || [];
-            if (sheets.length === 0 || !sheets[0].data || !sheets[0].data[0].rowData) {
-                console.warn('⚠️ Totals sheet is empty');
-                this.podsCache = [];
-                return this.podsCache;
-            }
-
-            const rowData = sheets[0].data[0].rowData || [];
+            // Get the cells with hyperlinks, since the sheet link column holds links
+            const rowData = await this.backend.getSheetCells(this.hubSheetId, "'Totals'");
             
             if (rowData.length < 3) {
                 console.warn('⚠️ Totals sheet has insufficient rows');
@@ -307,12 +282,7 @@ export class HubManager {
         try {
             console.log(`📥 Loading hub title for sheet ID: ${this.hubSheetId}`);
 
-            const response = await gapi.client.sheets.spreadsheets.get({
-                spreadsheetId: this.hubSheetId,
-                fields: 'properties.title'
-            });
-
-            const title = response.result.properties?.title || 'Untitled Hub';
+            const title = await this.backend.getSpreadsheetTitle(this.hubSheetId) || 'Untitled Hub';
             console.log(`✅ Hub title: ${title}`);
             return title;
 
@@ -324,9 +294,9 @@ export class HubManager {
 
     /**
      * Gets the full URL of the hub spreadsheet
-     * @returns {string} The Google Sheets URL for this hub
+     * @returns {string} The Google Sheets URL for this hub (or its ID for a hub stored on this device)
      */
     getHubUrl() {
-        return `https://docs.google.com/spreadsheets/d/${this.hubSheetId}`;
+        return this.backend.getSpreadsheetUrl(this.hubSheetId);
     }
 }
@@ -0,0 +1,223 @@
+/**
+ * Keyboard Shortcuts
+ * Maps keys to actions of the analysis screen and shows a help overlay where the guru can
+ * remap them. Custom bindings are saved through UserPreferences, so they follow the guru
+ * between devices when signed in.
+ */
+
+const KEY_LABELS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓'
+};
+
+/**
+ * Turn a keydown event into a binding such as "W", "ArrowLeft", "?" or "Ctrl+Shift+Z".
+ * Cmd counts as Ctrl so the same bindings work on macOS.
+ * @param {KeyboardEvent} e - Keydown event
+ * @returns {string|null} The binding, or null for a lone modifier key
+ */
+export function eventToBinding(e) {
+    let key = e.key === ' ' ? 'Space' : e.key;
+    if (!key || ['Control', 'Shift', 'Alt', 'Meta'].includes(key)) {
+        return null;
+    }
+
+    const printable = key.length === 1;
+    if (printable) {
+        key = key.toUpperCase();
+    }
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    // Shift is already part of printable characters ("?", "W") unless another modifier is held
+    if (e.shiftKey && (!printable || parts.length > 0)) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * @param {string} binding - Binding from eventToBinding
+ * @returns {string} Binding for display, with arrows as symbols
+ */
+export function formatBinding(binding) {
+    if (!binding) return '—';
+    return binding.split('+').map(part => KEY_LABELS[part] || part).join(' + ');
+}
+
+export class KeyboardShortcuts {
+    /**
+     * @param {UIController} uiController - Used for the help overlay and status messages
+     * @param {Array<Object>} actions - [{ id, label, defaultKey, run }]
+     * @param {Function} isActive - Returns whether shortcuts should respond right now
+     */
+    constructor(uiController, actions, isActive = () => true) {
+        this.uiController = uiController;
+        this.actions = actions;
+        this.isActive = isActive;
+        this.userPreferences = null;
+        this.bindings = this.getDefaultBindings();
+        this.isRecording = false;
+        this.stopRecording = null;
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    getDefaultBindings() {
+        const bindings = {};
+        this.actions.forEach(action => {
+            bindings[action.id] = action.defaultKey;
+        });
+        return bindings;
+    }
+
+    /**
+     * Use the guru's saved bindings
+     * @param {UserPreferences} userPreferences - Preferences manager
+     */
+    async setUserPreferences(userPreferences) {
+        this.userPreferences = userPreferences;
+        try {
+            const custom = await userPreferences.getKeyBindings();
+            this.bindings = this.getDefaultBindings();
+            Object.entries(custom || {}).forEach(([actionId, binding]) => {
+                if (actionId in this.bindings) {
+                    this.bindings[actionId] = binding;
+                }
+            });
+            console.log('⌨️ Loaded keyboard shortcuts');
+        } catch (error) {
+            console.warn('Could not load keyboard shortcuts, using defaults:', error);
+        }
+    }
+
+    /**
+     * Save the bindings that differ from the defaults
+     */
+    async saveBindings() {
+        if (!this.userPreferences) return;
+
+        const defaults = this.getDefaultBindings();
+        const custom = {};
+        Object.entries(this.bindings).forEach(([actionId, binding]) => {
+            if (binding !== defaults[actionId]) {
+                custom[actionId] = binding;
+            }
+        });
+
+        try {
+            await this.userPreferences.setKeyBindings(custom);
+        } catch (error) {
+            console.error('Error saving keyboard shortcuts:', error);
+            this.uiController.showStatus('Could not save your keyboard shortcuts', 'error');
+        }
+    }
+
+    handleKeydown(e) {
+        if (this.isRecording || e.defaultPrevented) return;
+
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+        const binding = eventToBinding(e);
+        if (!binding) return;
+
+        const action = this.actions.find(a => this.bindings[a.id] === binding);
+        if (!action || !this.isActive()) return;
+
+        e.preventDefault();
+        action.run();
+    }
+
+    /**
+     * Show every shortcut; clicking a key lets the guru press a new one for that action
+     */
+    showHelp() {
+        const content = document.createElement('div');
+        content.className = 'shortcut-help';
+
+        const intro = document.createElement('p');
+        intro.textContent = 'Click a key to change it, then press the new key (Escape cancels).';
+        content.appendChild(intro);
+
+        const table = document.createElement('table');
+        table.className = 'shortcut-table';
+        content.appendChild(table);
+
+        const render = () => {
+            table.innerHTML = '';
+            this.actions.forEach(action => {
+                const tr = document.createElement('tr');
+                const labelCell = document.createElement('td');
+                labelCell.textContent = action.label;
+                const keyCell = document.createElement('td');
+                const keyButton = document.createElement('button');
+                keyButton.className = 'shortcut-key';
+                keyButton.textContent = formatBinding(this.bindings[action.id]);
+                keyButton.addEventListener('click', () => this.recordBinding(action, keyButton, render));
+                keyCell.appendChild(keyButton);
+                tr.appendChild(labelCell);
+                tr.appendChild(keyCell);
+                table.appendChild(tr);
+            });
+        };
+        render();
+
+        const actions = document.createElement('div');
+        actions.className = 'shortcut-help-actions';
+        const resetButton = document.createElement('button');
+        resetButton.className = 'secondary-btn';
+        resetButton.textContent = 'Reset to defaults';
+        resetButton.addEventListener('click', async () => {
+            this.bindings = this.getDefaultBindings();
+            render();
+            await this.saveBindings();
+        });
+        actions.appendChild(resetButton);
+        content.appendChild(actions);
+
+        this.uiController.showModal('Keyboard shortcuts', content, {
+            className: 'shortcut-help-modal',
+            onClose: () => this.stopRecording?.()
+        });
+    }
+
+    /**
+     * Wait for the next key press and bind it to the action. A key already used by another
+     * action is swapped, so no two actions share a key.
+     */
+    recordBinding(action, keyButton, render) {
+        if (this.isRecording) return;
+        this.isRecording = true;
+        keyButton.classList.add('recording');
+        keyButton.textContent = 'Press a key...';
+
+        // Capture phase, so Escape does not also close the overlay
+        const onKeydown = async (e) => {
+            const binding = eventToBinding(e);
+            if (!binding) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.stopRecording();
+
+            if (binding !== 'Escape') {
+                const previous = this.bindings[action.id];
+                const other = this.actions.find(a => a.id !== action.id && this.bindings[a.id] === binding);
+                if (other) {
+                    this.bindings[other.id] = previous;
+                }
+                this.bindings[action.id] = binding;
+                await this.saveBindings();
+            }
+            render();
+        };
+        this.stopRecording = () => {
+            window.removeEventListener('keydown', onKeydown, true);
+            this.isRecording = false;
+            this.stopRecording = null;
+        };
+        window.addEventListener('keydown', onKeydown, true);
+    }
+}
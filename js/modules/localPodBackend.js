@@ -0,0 +1,531 @@
+/**
+ * Local Pod Backend
+ * Keeps pods (and hubs) imported from JSON or CSV files in IndexedDB, so they can be opened,
+ * scored and saved without a Google account or a network connection.
+ *
+ * A local spreadsheet mirrors the parts of a Google spreadsheet the app uses:
+ * { spreadsheetId, title, sheets: [{ sheetId, title, hidden, values: [[...]], links: [[...]] }] }
+ * where `links` optionally holds the hyperlink of each cell (used by the hub's All Threads and Totals sheets).
+ */
+import { PodBackend, parseA1Range, GURU_COLORS, formatGuruColor } from './podBackend.js';
+import { parseCSV } from '../utils/csvUtils.js';
+
+export const LOCAL_ID_PREFIX = 'local-';
+
+/**
+ * Whether a spreadsheet ID refers to a pod stored in the browser
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @returns {boolean}
+ */
+export function isLocalSpreadsheetId(spreadsheetId) {
+    return typeof spreadsheetId === 'string' && spreadsheetId.startsWith(LOCAL_ID_PREFIX);
+}
+
+export class LocalPodBackend extends PodBackend {
+    constructor() {
+        super();
+        this.dbName = 'the-stylus-local-pods';
+        this.storeName = 'spreadsheets';
+        this.dbPromise = null;
+        this.cache = new Map(); // spreadsheetId -> spreadsheet
+    }
+
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'spreadsheetId' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async runTransaction(mode, operation) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async loadSpreadsheet(spreadsheetId) {
+        if (!this.cache.has(spreadsheetId)) {
+            const spreadsheet = await this.runTransaction('readonly', store => store.get(spreadsheetId));
+            if (!spreadsheet) {
+                throw new Error(`Local pod ${spreadsheetId} not found on this device`);
+            }
+            this.cache.set(spreadsheetId, spreadsheet);
+        }
+        return this.cache.get(spreadsheetId);
+    }
+
+    async saveSpreadsheet(spreadsheet) {
+        spreadsheet.updatedAt = Date.now();
+        this.cache.set(spreadsheet.spreadsheetId, spreadsheet);
+        await this.runTransaction('readwrite', store => store.put(spreadsheet));
+    }
+
+    /**
+     * List the spreadsheets stored on this device
+     * @returns {Promise<Array<Object>>} [{ spreadsheetId, title, updatedAt }]
+     */
+    async listSpreadsheets() {
+        const spreadsheets = await this.runTransaction('readonly', store => store.getAll());
+        return spreadsheets.map(({ spreadsheetId, title, updatedAt }) => ({ spreadsheetId, title, updatedAt }));
+    }
+
+    async deleteSpreadsheet(spreadsheetId) {
+        this.cache.delete(spreadsheetId);
+        await this.runTransaction('readwrite', store => store.delete(spreadsheetId));
+    }
+
+    findSheet(spreadsheet, { sheetId = null, title = null }) {
+        const sheet = spreadsheet.sheets.find(s =>
+            (sheetId !== null && s.sheetId === sheetId) ||
+            (title !== null && s.title.toLowerCase() === title.toLowerCase())
+        );
+        if (!sheet) {
+            throw new Error(`Target sheet ${title || `with ID ${sheetId}`} not found`);
+        }
+        return sheet;
+    }
+
+    /**
+     * Read a range the way the Sheets values API does: trailing empty cells and rows are omitted
+     */
+    readRange(spreadsheet, range) {
+        const { sheetTitle, startRow, endRow, startCol, endCol } = parseA1Range(range);
+        const sheet = this.findSheet(spreadsheet, { title: sheetTitle });
+        const lastRow = endRow === null ? sheet.values.length - 1 : Math.min(endRow, sheet.values.length - 1);
+
+        const cells = [];
+        for (let r = startRow; r <= lastRow; r++) {
+            const row = sheet.values[r] || [];
+            const lastCol = endCol === null ? row.length - 1 : endCol;
+            const cellRow = [];
+            for (let c = startCol; c <= lastCol; c++) {
+                cellRow.push({
+                    value: row[c] ?? '',
+                    link: sheet.links?.[r]?.[c] || null
+                });
+            }
+            while (cellRow.length > 0 && cellRow[cellRow.length - 1].value === '') {
+                cellRow.pop();
+            }
+            cells.push(cellRow);
+        }
+        while (cells.length > 0 && cells[cells.length - 1].length === 0) {
+            cells.pop();
+        }
+        return cells;
+    }
+
+    readValues(spreadsheet, range) {
+        return this.readRange(spreadsheet, range).map(row => row.map(cell => cell.value));
+    }
+
+    writeCell(sheet, row, col, value) {
+        while (sheet.values.length < row) {
+            sheet.values.push([]);
+        }
+        const rowValues = sheet.values[row - 1];
+        while (rowValues.length < col) {
+            rowValues.push('');
+        }
+        rowValues[col - 1] = value;
+    }
+
+    readCell(sheet, row, col) {
+        const value = sheet.values[row - 1]?.[col - 1];
+        return value === undefined || value === null ? '' : value.toString();
+    }
+
+    /**
+     * Convert an update value to the string the sheet would display
+     */
+    formatUpdateValue(update) {
+        const numValue = parseFloat(update.value);
+        switch (update.valueType) {
+            case 'number':
+                return numValue.toString();
+            case 'boolean':
+                return (update.value === 'true' || update.value === true) ? 'TRUE' : 'FALSE';
+            case 'string':
+            case 'formula':
+                return update.value.toString();
+            default:
+                return !isNaN(numValue) && isFinite(numValue) ? numValue.toString() : update.value.toString();
+        }
+    }
+
+    /**
+     * Convert a Sheets API userEnteredValue to its displayed string
+     */
+    formatUserEnteredValue(userEnteredValue = {}) {
+        if ('numberValue' in userEnteredValue) return userEnteredValue.numberValue.toString();
+        if ('boolValue' in userEnteredValue) return userEnteredValue.boolValue ? 'TRUE' : 'FALSE';
+        if ('stringValue' in userEnteredValue) return userEnteredValue.stringValue;
+        if ('formulaValue' in userEnteredValue) return userEnteredValue.formulaValue;
+        return '';
+    }
+
+    async getSheetMetadata(sheetId) {
+        const spreadsheet = await this.loadSpreadsheet(sheetId);
+        return {
+            title: spreadsheet.title,
+            sheetId: sheetId,
+            sheets: spreadsheet.sheets.map(sheet => ({
+                title: sheet.title,
+                sheetId: sheet.sheetId,
+                gridProperties: {
+                    rowCount: sheet.values.length,
+                    columnCount: Math.max(0, ...sheet.values.map(row => row.length))
+                },
+                hidden: !!sheet.hidden
+            }))
+        };
+    }
+
+    async getCustomMetadata(spreadsheetId, metadataSheet) {
+        try {
+            const spreadsheet = await this.loadSpreadsheet(spreadsheetId);
+            return this.parseCustomMetadata(this.readValues(spreadsheet, `'${metadataSheet.title}'!A:C`));
+        } catch (error) {
+            console.error('Local pod error (getCustomMetadata):', error);
+            return {};
+        }
+    }
+
+    async getDeckNotes(spreadsheetId, deckNotesSheet, range = 'A:D') {
+        const spreadsheet = await this.loadSpreadsheet(spreadsheetId);
+        const fullRange = `'${deckNotesSheet.title}'!${range}`;
+        return {
+            title: deckNotesSheet.title,
+            sheetId: deckNotesSheet.sheetId,
+            values: this.readValues(spreadsheet, fullRange),
+            range: fullRange,
+            majorDimension: 'ROWS',
+            columnMapping: this.getColumnMapping(deckNotesSheet.title)
+        };
+    }
+
+    async batchGetValues(spreadsheetId, ranges) {
+        const spreadsheet = await this.loadSpreadsheet(spreadsheetId);
+        return ranges.map(range => this.readValues(spreadsheet, range));
+    }
+
+    async updateSheetData(sheetId, updates) {
+        const spreadsheet = await this.loadSpreadsheet(sheetId);
+
+        updates.updates.forEach(update => {
+            const { targetSheetId, targetCol } = this.resolveTargetForMergedUpdate(update);
+            const sheet = this.findSheet(spreadsheet, { sheetId: targetSheetId });
+            this.writeCell(sheet, update.row, targetCol, this.formatUpdateValue(update));
+        });
+
+        await this.saveSpreadsheet(spreadsheet);
+        console.log(`💾 Saved ${updates.updates.length} cell(s) to local pod ${sheetId}`);
+
+        return {
+            success: true,
+            updatedCells: updates.updates.length,
+            response: null
+        };
+    }
+
+    async checkedUpdateSheetData(sheetId, updates) {
+        const spreadsheet = await this.loadSpreadsheet(sheetId);
+        let updatedCells = 0;
+        const skipped = [];
+
+        updates.updates.forEach(update => {
+            const { targetSheetId, targetCol } = this.resolveTargetForMergedUpdate(update);
+            const sheet = this.findSheet(spreadsheet, { sheetId: targetSheetId });
+            const currentValue = this.readCell(sheet, update.row, targetCol);
+            const expectedValue = update.expectedValue || '';
+            let guardValue;
+            if (update.guard) {
+                const guardTarget = this.resolveTargetForMergedUpdate({ ...update, col: update.guard.col });
+                const value = this.readCell(this.findSheet(spreadsheet, { sheetId: guardTarget.targetSheetId }), update.row, guardTarget.targetCol);
+                guardValue = value === (update.guard.expectedValue || '') ? undefined : value;
+            }
+
+            if (currentValue === expectedValue && guardValue === undefined) {
+                this.writeCell(sheet, update.row, targetCol, this.formatUpdateValue(update));
+                updatedCells++;
+            } else {
+                skipped.push({ row: update.row, col: targetCol, expectedValue, currentValue, guardValue });
+            }
+        });
+
+        if (updatedCells > 0) {
+            await this.saveSpreadsheet(spreadsheet);
+        }
+
+        return {
+            success: true,
+            updatedCells,
+            skippedCells: skipped.length,
+            skipped,
+            response: null
+        };
+    }
+
+    async clearCell(spreadsheetId, update) {
+        if (!update || typeof update !== 'object') {
+            throw new Error('clearCell requires an update object');
+        }
+        if (!update.row) {
+            throw new Error('Update object must include row');
+        }
+
+        const spreadsheet = await this.loadSpreadsheet(spreadsheetId);
+        const { targetSheetId, targetCol } = this.resolveTargetForMergedUpdate(update);
+        const sheet = this.findSheet(spreadsheet, { sheetId: targetSheetId });
+        this.writeCell(sheet, update.row, targetCol, '');
+        await this.saveSpreadsheet(spreadsheet);
+
+        return {
+            success: true,
+            range: `'${sheet.title}'!${String.fromCharCode(65 + targetCol - 1)}${update.row}`,
+            response: null
+        };
+    }
+
+    /**
+     * Apply the subset of Sheets batchUpdate requests the app uses:
+     * addSheet, updateSheetProperties, updateCells and appendCells
+     */
+    async batchUpdate(sheetId, requests) {
+        const spreadsheet = await this.loadSpreadsheet(sheetId);
+        const replies = requests.map(request => {
+            if (request.addSheet) {
+                const properties = request.addSheet.properties || {};
+                const newSheet = {
+                    sheetId: Math.max(0, ...spreadsheet.sheets.map(s => s.sheetId)) + 1,
+                    title: properties.title || `Sheet${spreadsheet.sheets.length + 1}`,
+                    hidden: !!properties.hidden,
+                    values: []
+                };
+                spreadsheet.sheets.push(newSheet);
+                return { addSheet: { properties: { sheetId: newSheet.sheetId, title: newSheet.title, hidden: newSheet.hidden } } };
+            }
+            if (request.updateSheetProperties) {
+                const { properties, fields } = request.updateSheetProperties;
+                const sheet = this.findSheet(spreadsheet, { sheetId: properties.sheetId });
+                fields.split(',').map(field => field.trim()).forEach(field => {
+                    if (field in properties) {
+                        sheet[field] = properties[field];
+                    }
+                });
+                return {};
+            }
+            if (request.updateCells) {
+                const { start, rows } = request.updateCells;
+                const sheet = this.findSheet(spreadsheet, { sheetId: start.sheetId });
+                rows.forEach((row, r) => {
+                    (row.values || []).forEach((cell, c) => {
+                        this.writeCell(sheet, start.rowIndex + r + 1, start.columnIndex + c + 1, this.formatUserEnteredValue(cell.userEnteredValue));
+                    });
+                });
+                return {};
+            }
+            if (request.appendCells) {
+                const { sheetId: targetSheetId, rows } = request.appendCells;
+                const sheet = this.findSheet(spreadsheet, { sheetId: targetSheetId });
+                rows.forEach(row => {
+                    sheet.values.push((row.values || []).map(cell => this.formatUserEnteredValue(cell.userEnteredValue)));
+                });
+                return {};
+            }
+            throw new Error(`Unsupported request for a local pod: ${Object.keys(request).join(', ')}`);
+        });
+
+        await this.saveSpreadsheet(spreadsheet);
+        return {
+            success: true,
+            response: { replies }
+        };
+    }
+
+    async getSheetCells(spreadsheetId, range) {
+        const spreadsheet = await this.loadSpreadsheet(spreadsheetId);
+        return this.readRange(spreadsheet, range).map(row => ({
+            values: row.map(cell => ({
+                formattedValue: cell.value,
+                // Bare URLs act as links, like Sheets does for URL cells
+                hyperlink: cell.link || (/^https?:\/\//.test(cell.value) ? cell.value : undefined)
+            }))
+        }));
+    }
+
+    async getSpreadsheetTitle(spreadsheetId) {
+        const spreadsheet = await this.loadSpreadsheet(spreadsheetId);
+        return spreadsheet.title;
+    }
+
+    /**
+     * Local spreadsheets have no web address: the ID itself is what the pod input accepts
+     */
+    getSpreadsheetUrl(spreadsheetId) {
+        return spreadsheetId;
+    }
+
+    requiresNetwork(spreadsheetId) {
+        return false;
+    }
+
+    /**
+     * Import a pod or hub from a JSON or CSV file into this device's storage
+     * @param {File} file - File chosen by the user
+     * @param {Function} confirmReplace - Called with the titles of the spreadsheets on this device that
+     * have the same ID as one in the file (e.g. a pod exported from here); resolves true to replace
+     * them, false to import the file as copies
+     * @returns {Promise<Array<string>>} IDs of the imported spreadsheets, the first one being the main one
+     */
+    async importFile(file, confirmReplace = async () => false) {
+        const text = await file.text();
+        const baseName = file.name.replace(/\.[^.]+$/, '');
+
+        let spreadsheets;
+        if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+            spreadsheets = [this.spreadsheetFromCSV(baseName, text)];
+        } else {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`${file.name} is not valid JSON`);
+            }
+            // A file may hold a single spreadsheet or a bundle (e.g. a hub and its pods)
+            spreadsheets = (Array.isArray(data.spreadsheets) ? data.spreadsheets : [data])
+                .map(entry => this.normalizeSpreadsheet(entry, baseName));
+        }
+
+        const storedIds = new Set((await this.listSpreadsheets()).map(stored => stored.spreadsheetId));
+        const clashing = spreadsheets.filter(spreadsheet => storedIds.has(spreadsheet.spreadsheetId));
+        if (clashing.length > 0 && !(await confirmReplace(clashing.map(spreadsheet => spreadsheet.title)))) {
+            const renamed = new Map(clashing.map(spreadsheet => [spreadsheet.spreadsheetId, this.createSpreadsheetId(spreadsheet.title)]));
+            spreadsheets.forEach(spreadsheet => this.renameSpreadsheetIds(spreadsheet, renamed));
+        }
+
+        for (const spreadsheet of spreadsheets) {
+            await this.saveSpreadsheet(spreadsheet);
+            console.log(`📂 Imported local spreadsheet "${spreadsheet.title}" as ${spreadsheet.spreadsheetId}`);
+        }
+        return spreadsheets.map(spreadsheet => spreadsheet.spreadsheetId);
+    }
+
+    createSpreadsheetId(title) {
+        const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pod';
+        // The random part keeps IDs made in the same millisecond (e.g. the pods of a hub) apart
+        return `${LOCAL_ID_PREFIX}${slug}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Give a spreadsheet of an imported file a new ID, and update the links to it from the other
+     * spreadsheets of the file (a hub links its pods by ID)
+     * @param {Object} spreadsheet - Normalised spreadsheet
+     * @param {Map<string, string>} renamed - Old ID -> new ID
+     */
+    renameSpreadsheetIds(spreadsheet, renamed) {
+        spreadsheet.spreadsheetId = renamed.get(spreadsheet.spreadsheetId) || spreadsheet.spreadsheetId;
+        const escape = (id) => id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(${[...renamed.keys()].map(escape).join('|')})(?![\\w-])`, 'g');
+        const rename = (cell) => (typeof cell === 'string' ? cell.replace(pattern, id => renamed.get(id)) : cell);
+        spreadsheet.sheets.forEach(sheet => {
+            sheet.values = sheet.values.map(row => row.map(rename));
+            if (sheet.links) {
+                sheet.links = sheet.links.map(row => (row || []).map(rename));
+            }
+        });
+    }
+
+    normalizeSpreadsheet(data, fallbackTitle) {
+        if (!data || !Array.isArray(data.sheets)) {
+            throw new Error('Pod file must contain a "sheets" array');
+        }
+
+        const title = data.title || fallbackTitle;
+        let spreadsheetId = data.spreadsheetId ? data.spreadsheetId.toString() : this.createSpreadsheetId(title);
+        if (!isLocalSpreadsheetId(spreadsheetId)) {
+            spreadsheetId = `${LOCAL_ID_PREFIX}${spreadsheetId}`;
+        }
+
+        return {
+            spreadsheetId,
+            title,
+            sheets: data.sheets.map((sheet, index) => ({
+                sheetId: Number.isInteger(sheet.sheetId) ? sheet.sheetId : index + 1,
+                title: sheet.title,
+                hidden: !!sheet.hidden,
+                values: (sheet.values || []).map(row => row.map(cell => cell === null || cell === undefined ? '' : cell.toString())),
+                links: sheet.links || undefined
+            }))
+        };
+    }
+
+    /**
+     * Build a pod from a CSV in the merged layout:
+     * ID, Player 1, Player 2, Red Analysis, Red Signature, Blue Analysis, Blue Signature, Green Analysis, Green Signature
+     * Pods with other colours name them in the header ("Black Analysis", "Black Signature"), one guru sheet per colour
+     */
+    spreadsheetFromCSV(title, text) {
+        const rows = parseCSV(text);
+        if (rows.length < 2) {
+            throw new Error('CSV file has no matches');
+        }
+
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        const findColumn = (name, fallback) => {
+            const index = header.indexOf(name);
+            return index === -1 ? fallback : index;
+        };
+        const baseColumns = [findColumn('id', 0), findColumn('player 1', 1), findColumn('player 2', 2)];
+        const headerColors = header
+            .map(cell => cell.match(/^(.+) analysis$/)?.[1])
+            .filter(Boolean);
+        const colors = headerColors.length > 0 ? headerColors : GURU_COLORS;
+        const mapping = this.getMergedGuruColumnMapping(colors);
+
+        const sheets = colors.map((color, index) => {
+            const analysisCol = findColumn(`${color} analysis`, mapping[`${color}Analysis`]);
+            const signatureCol = findColumn(`${color} signature`, mapping[`${color}Signature`]);
+            const values = [['ID', 'Player 1', 'Player 2', 'Outcome', 'Analysis', 'Signature']];
+            rows.slice(1).forEach(row => {
+                values.push([
+                    ...baseColumns.map(col => row[col] || ''),
+                    '',
+                    row[analysisCol] || '',
+                    row[signatureCol] || ''
+                ]);
+            });
+            return { sheetId: index + 1, title: `${formatGuruColor(color)} Gurus`, hidden: false, values };
+        });
+
+        return {
+            spreadsheetId: this.createSpreadsheetId(title),
+            title,
+            sheets
+        };
+    }
+
+    /**
+     * Serialise a local spreadsheet to the JSON format accepted by importFile
+     * @param {string} spreadsheetId - Local spreadsheet ID
+     * @returns {Promise<string>} JSON text
+     */
+    async exportSpreadsheet(spreadsheetId) {
+        const { updatedAt, ...spreadsheet } = await this.loadSpreadsheet(spreadsheetId);
+        return JSON.stringify(spreadsheet, null, 2);
+    }
+}
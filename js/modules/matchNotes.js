@@ -0,0 +1,88 @@
+/**
+ * Match Notes
+ * Shared comments on matches, kept in the pod's "Match Notes" sheet so the reasoning behind a
+ * result stays with the pod instead of only in Discord. The sheet is created the first time a
+ * guru leaves a note.
+ */
+
+export const MATCH_NOTES_SHEET_TITLE = 'Match Notes';
+
+const MATCH_NOTES_HEADER = ['Match', 'Timestamp', 'Signature', 'Colour', 'Comment'];
+
+export class MatchNotes {
+    /**
+     * @param {PodBackend} sheetsAPI - Backend the pod lives in
+     */
+    constructor(sheetsAPI) {
+        this.sheetsAPI = sheetsAPI;
+    }
+
+    /**
+     * @param {string} spreadsheetId - Pod spreadsheet ID
+     * @returns {Promise<Object|null>} The notes sheet's metadata, or null if the pod has none yet
+     */
+    async findNotesSheet(spreadsheetId) {
+        const metadata = await this.sheetsAPI.getSheetMetadata(spreadsheetId);
+        return metadata.sheets.find(sheet => sheet.title.toLowerCase() === MATCH_NOTES_SHEET_TITLE.toLowerCase()) || null;
+    }
+
+    /**
+     * Read every note of the pod
+     * @param {string} spreadsheetId - Pod spreadsheet ID
+     * @returns {Promise<Map<string, Array<Object>>|null>} Match number -> notes, oldest first, or null if the pod has no notes sheet
+     */
+    async load(spreadsheetId) {
+        const sheet = await this.findNotesSheet(spreadsheetId);
+        if (!sheet) {
+            return null;
+        }
+
+        const [values] = await this.sheetsAPI.batchGetValues(spreadsheetId, [`'${sheet.title}'!A:E`]);
+        const notes = new Map();
+        (values || []).forEach(row => {
+            const matchNumber = (row[0] || '').toString().trim();
+            if (!matchNumber || matchNumber === MATCH_NOTES_HEADER[0] || !row[4]) return;
+            if (!notes.has(matchNumber)) {
+                notes.set(matchNumber, []);
+            }
+            notes.get(matchNumber).push({
+                timestamp: row[1] || '',
+                signature: row[2] || '',
+                color: row[3] || '',
+                comment: row[4]
+            });
+        });
+        return notes;
+    }
+
+    /**
+     * Add a note, creating the notes sheet with its header row if the pod has none yet
+     * @param {string} spreadsheetId - Pod spreadsheet ID
+     * @param {Object} note - { matchNumber, signature, color, comment }
+     */
+    async add(spreadsheetId, { matchNumber, signature, color, comment }) {
+        const rows = [];
+        let sheet = await this.findNotesSheet(spreadsheetId);
+        if (!sheet) {
+            const result = await this.sheetsAPI.batchUpdate(spreadsheetId, [{
+                addSheet: { properties: { title: MATCH_NOTES_SHEET_TITLE } }
+            }]);
+            sheet = result.response.replies[0].addSheet.properties;
+            rows.push(MATCH_NOTES_HEADER);
+            console.log(`📝 Created the ${MATCH_NOTES_SHEET_TITLE} sheet`);
+        }
+
+        rows.push([matchNumber, new Date().toISOString(), signature, color, comment]);
+        await this.sheetsAPI.batchUpdate(spreadsheetId, [{
+            appendCells: {
+                sheetId: sheet.sheetId,
+                rows: rows.map(row => ({
+                    values: row.map(value => ({
+                        userEnteredValue: typeof value === 'number' ? { numberValue: value } : { stringValue: value.toString() }
+                    }))
+                })),
+                fields: 'userEnteredValue'
+            }
+        }]);
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * Offline Write Queue
+ * Persists pending cell writes in IndexedDB so they survive page reloads, and
+ * replays them in order through the checked-update path when connectivity returns
+ */
+import { getRequestErrorStatus } from './requestScheduler.js';
+
+/**
+ * Best-effort detection of errors caused by a missing network connection.
+ * Requests that never reached the server have no HTTP status, so we rely on
+ * the browser's online flag and on the wording of the error.
+ * @param {Error} error - Error thrown by a Sheets API call
+ * @returns {boolean} True if the error looks like a connectivity problem
+ */
+export function isNetworkError(error) {
+    if (!navigator.onLine) {
+        return true;
+    }
+    // Answered by the server (a status of 0 means the request never got there)
+    if (getRequestErrorStatus(error)) {
+        return false;
+    }
+    const message = (error && error.message) || '';
+    return /network|failed to fetch|offline/i.test(message);
+}
+
+/**
+ * Whether a write can never succeed however often it is retried: the request itself is
+ * invalid (400) or the spreadsheet or sheet is gone (404). Auth, rate-limit and server
+ * errors are temporary, so queued writes that hit them are kept.
+ * @param {Error} error - Error thrown by a Sheets API call, with the HTTP status kept
+ * @returns {boolean} True if the write should be dropped
+ */
+export function isPermanentWriteError(error) {
+    const status = getRequestErrorStatus(error);
+    return status === 400 || status === 404;
+}
+
+export class OfflineWriteQueue {
+    constructor(sheetsAPI) {
+        this.sheetsAPI = sheetsAPI;
+        this.dbName = 'the-stylus-outbox';
+        this.storeName = 'pendingWrites';
+        this.dbPromise = null;
+        this.isReplaying = false;
+        this.callbacks = {
+            onQueueChanged: [],
+            onReplayComplete: []
+        };
+
+        window.addEventListener('online', () => {
+            console.log('🌐 Back online, replaying queued writes');
+            this.replay();
+        });
+    }
+
+    /**
+     * Open (and create if needed) the outbox database
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('spreadsheetId', 'spreadsheetId', { unique: false });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the outbox store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     */
+    async runTransaction(mode, operation) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Store a batch of cell updates to be sent later.
+     * Every update must carry the expectedValue it was made against, since
+     * replay goes through checkedUpdateSheetData.
+     * @param {string} spreadsheetId - Pod spreadsheet ID
+     * @param {Object} updates - { updates: [...] } as accepted by GoogleSheetsAPI
+     * @param {Array<Object>} cells - Local changes ({ row, color, field, value }) used to re-apply the write on top of fresh data
+     */
+    async enqueue(spreadsheetId, updates, cells = []) {
+        const entry = {
+            spreadsheetId,
+            updates: updates.updates.map(update => ({
+                ...update,
+                expectedValue: update.expectedValue || ''
+            })),
+            cells,
+            createdAt: Date.now()
+        };
+        const id = await this.runTransaction('readwrite', store => store.add(entry));
+        console.log(`📮 Queued ${entry.updates.length} offline write(s) for ${spreadsheetId}`);
+        this.notifyCallbacks('onQueueChanged', { spreadsheetId });
+        return id;
+    }
+
+    /**
+     * Get the pending entries, oldest first
+     * @param {string|null} spreadsheetId - Only return entries for this pod when provided
+     * @returns {Promise<Array<Object>>}
+     */
+    async getPending(spreadsheetId = null) {
+        try {
+            const entries = await this.runTransaction('readonly', store => store.getAll());
+            return entries
+                .filter(entry => !spreadsheetId || entry.spreadsheetId === spreadsheetId)
+                .sort((a, b) => a.id - b.id);
+        } catch (error) {
+            console.warn('Could not read offline outbox:', error);
+            return [];
+        }
+    }
+
+    async remove(id) {
+        await this.runTransaction('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Replay all pending entries in the order they were queued.
+     * Stops at the first temporary failure (offline, signed out, rate limited, server error) and
+     * keeps that entry, so later writes never overtake earlier ones.
+     * @returns {Promise<Object>} { replayed, conflicts, applied } where conflicts lists the cells that changed
+     * while offline (with the queued update) and applied the updates that were written
+     */
+    async replay() {
+        if (this.isReplaying || !navigator.onLine) {
+            return { replayed: 0, conflicts: [], applied: [] };
+        }
+
+        this.isReplaying = true;
+        let replayed = 0;
+        const conflicts = [];
+        const applied = [];
+
+        try {
+            const entries = await this.getPending();
+            for (const entry of entries) {
+                try {
+                    const result = await this.sheetsAPI.checkedUpdateSheetData(entry.spreadsheetId, { updates: entry.updates });
+                    const skippedCells = result?.skipped || [];
+                    // Queued batches hold one cell per row, so skipped cells are matched by row
+                    skippedCells.forEach(skipped => {
+                        const update = entry.updates.find(queued => queued.row === skipped.row);
+                        conflicts.push({ spreadsheetId: entry.spreadsheetId, ...skipped, update });
+                    });
+                    entry.updates
+                        .filter(update => !skippedCells.some(skipped => skipped.row === update.row))
+                        .forEach(update => applied.push({ spreadsheetId: entry.spreadsheetId, ...update }));
+                } catch (error) {
+                    if (!isPermanentWriteError(error)) {
+                        console.warn(isNetworkError(error) ? 'Replay interrupted, still offline:' : 'Replay interrupted, will retry later:', error);
+                        break;
+                    }
+                    // The write can never succeed (e.g. sheet removed): drop it and report it
+                    console.error('Dropping queued write that failed to replay:', error);
+                    entry.updates.forEach(update => {
+                        const { targetCol } = this.sheetsAPI.resolveTargetForMergedUpdate(update);
+                        conflicts.push({
+                            spreadsheetId: entry.spreadsheetId,
+                            row: update.row,
+                            col: targetCol,
+                            expectedValue: update.expectedValue,
+                            currentValue: null,
+                            error: error.message,
+                            update
+                        });
+                    });
+                }
+                await this.remove(entry.id);
+                replayed++;
+            }
+        } finally {
+            this.isReplaying = false;
+        }
+
+        if (replayed > 0) {
+            console.log(`📬 Replayed ${replayed} queued write(s), ${conflicts.length} conflict(s)`);
+            this.notifyCallbacks('onQueueChanged', {});
+            this.notifyCallbacks('onReplayComplete', { replayed, conflicts, applied });
+        }
+        return { replayed, conflicts, applied };
+    }
+
+    // Event system for the analysis interface to react to queue changes
+    onQueueChanged(callback) {
+        this.callbacks.onQueueChanged.push(callback);
+    }
+
+    onReplayComplete(callback) {
+        this.callbacks.onReplayComplete.push(callback);
+    }
+
+    notifyCallbacks(event, payload) {
+        this.callbacks[event].forEach(callback => {
+            try {
+                callback(payload);
+            } catch (error) {
+                console.error('Error in offline queue callback:', error);
+            }
+        });
+    }
+}
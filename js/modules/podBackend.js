@@ -0,0 +1,495 @@
+/**
+ * Pod Backend
+ * Base class for the data providers used by the app. The analysis interface, the deck notes
+ * editor and the hub manager only talk to this interface, so a pod can live in Google Sheets
+ * (GoogleSheetsAPI) or in the browser (LocalPodBackend).
+ *
+ * Providers implement:
+ *  - getSheetMetadata(spreadsheetId)
+ *  - getCustomMetadata(spreadsheetId, metadataSheet)
+ *  - getDeckNotes(spreadsheetId, deckNotesSheet, range)
+ *  - batchGetValues(spreadsheetId, ranges): values of several A1 ranges in one request
+ *  - updateSheetData(spreadsheetId, updates)
+ *  - checkedUpdateSheetData(spreadsheetId, updates): writes only the cells still holding their
+ *    expectedValue (and whose optional guard cell { col, expectedValue } in the same row still
+ *    holds its value), returning the others as skipped
+ *  - clearCell(spreadsheetId, update)
+ *  - batchUpdate(spreadsheetId, requests)
+ *  - getSheetCells(spreadsheetId, range): rows of { values: [{ formattedValue, hyperlink }] }, used for hub sheets
+ *  - getSpreadsheetTitle(spreadsheetId)
+ *  - getSpreadsheetUrl(spreadsheetId)
+ *  - requiresNetwork(spreadsheetId)
+ *
+ * The shared logic (assembling the pod data, the merged guru layout and its column routing)
+ * lives here so every provider returns the same shapes.
+ */
+
+export const GURU_COLORS = ['red', 'blue', 'green'];
+
+const GURU_SHEET_PATTERN = /^\s*(.+?)\s+gurus\s*$/i;
+
+/**
+ * Colour of a "<Colour> Gurus" sheet, e.g. "Red Gurus" -> "red"
+ * @param {string} title - Sheet title
+ * @returns {string|null} Lowercase colour, or null if the sheet is not a guru sheet
+ */
+export function getGuruColorFromTitle(title) {
+    const match = (title || '').match(GURU_SHEET_PATTERN);
+    if (!match || match[1].toLowerCase() === 'merged') {
+        return null;
+    }
+    return match[1].toLowerCase();
+}
+
+/**
+ * Display name of a guru colour, e.g. "red" -> "Red"
+ * @param {string} color - Lowercase colour
+ * @returns {string} Capitalised colour
+ */
+export function formatGuruColor(color) {
+    return color ? color.charAt(0).toUpperCase() + color.slice(1) : '';
+}
+
+export class PodBackend {
+    /**
+     * Throw if the provider cannot be used right now (e.g. not signed in)
+     */
+    assertReady() {}
+
+    /**
+     * Load everything the app needs for a pod: deck notes, merged guru sheets and custom metadata
+     * @param {string} sheetId - Spreadsheet ID
+     * @returns {Promise<Object>} { sheetId, title, sheets, metadata }
+     */
+    async getSheetData(sheetId) {
+        try {
+            this.assertReady();
+
+            // Get metadata first to find all sheets
+            const metadata = await this.getSheetMetadata(sheetId);
+
+            // Check for optional metadata sheet and start loading it in parallel
+            const metadataSheet = metadata.sheets.find(sheet =>
+                sheet.title.toLowerCase() === 'metadata'
+            );
+            const customMetadataPromise = metadataSheet
+                ? this.getCustomMetadata(sheetId, metadataSheet)
+                : Promise.resolve({});
+
+            // Only process the sheets needed for the application: Deck Notes and every "<Colour> Gurus" sheet
+            const deckNotesSheet = metadata.sheets.find(sheet =>
+                sheet.title.toLowerCase().includes('deck notes')
+            );
+            const guruSheets = metadata.sheets.filter(sheet => getGuruColorFromTitle(sheet.title));
+
+            console.log(`Processing sheets: ${[deckNotesSheet, ...guruSheets].filter(Boolean).map(s => s.title).join(', ')}`);
+
+            // Process both in parallel
+            const sheetPromises = [];
+
+            if (deckNotesSheet) {
+                sheetPromises.push(this.getDeckNotes(sheetId, deckNotesSheet));
+            }
+
+            if (guruSheets.length > 0) {
+                // The metadata sheet may declare which colours the pod uses and in what order
+                sheetPromises.push(customMetadataPromise.then(customMetadata =>
+                    this.mergeGuruSheets(sheetId, guruSheets, this.getDeclaredGuruColors(customMetadata))
+                ));
+            }
+
+            // Wait for all sheet processing to complete
+            const allSheetsData = await Promise.all(sheetPromises);
+
+            if (guruSheets.length > 0) {
+                const mergedGuruSheet = allSheetsData.find(sheet => sheet.title === 'Merged Gurus');
+                if (mergedGuruSheet) {
+                    console.log("Merged Guru Sheets:", mergedGuruSheet);
+                }
+            }
+
+            // Wait for custom metadata to finish loading
+            const customMetadata = await customMetadataPromise;
+            if (metadataSheet && Object.keys(customMetadata).length > 0) {
+                console.log('📋 Found metadata sheet:', customMetadata);
+            }
+
+            return {
+                sheetId,
+                title: metadata.title,
+                sheets: allSheetsData,
+                metadata: customMetadata
+            };
+        } catch (error) {
+            console.error('API Error:', error);
+            throw new Error(error.message || 'Failed to fetch sheet data');
+        }
+    }
+
+    /**
+     * Parse the rows of a "metadata" sheet.
+     * The sheet should have rows with structure: [Variable Name, Checkmark, Value]
+     * Returns an object with variable names (camelCased) as keys and their values.
+     */
+    parseCustomMetadata(values) {
+        const metadata = {};
+
+        // Parse each row (skip header if present)
+        for (let i = 0; i < values.length; i++) {
+            const row = values[i];
+            if (row && row.length >= 3) {
+                const variableName = row[0]?.trim();
+                // row[1] is the checkmark - we ignore it
+                const value = row[2]?.trim();
+
+                // Only add if we have both a variable name and value
+                if (variableName && value) {
+                    // Convert to camelCase for consistency (e.g., "Pod Name" -> "podName")
+                    const key = variableName
+                        .split(' ')
+                        .map((word, index) =>
+                            index === 0
+                                ? word.toLowerCase()
+                                : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
+                        )
+                        .join('');
+
+                    metadata[key] = value;
+                }
+            }
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Colours declared in the metadata sheet with a "Guru Colours" (or "Guru Colors") row,
+     * e.g. "Red, Blue, Green, Black"
+     * @param {Object} customMetadata - Result of parseCustomMetadata
+     * @returns {Array<string>|null} Lowercase colours in the declared order, or null if none are declared
+     */
+    getDeclaredGuruColors(customMetadata) {
+        const declared = customMetadata?.guruColours || customMetadata?.guruColors;
+        if (!declared) {
+            return null;
+        }
+        const colors = declared.split(',').map(color => color.trim().toLowerCase()).filter(Boolean);
+        return colors.length > 0 ? [...new Set(colors)] : null;
+    }
+
+    /**
+     * Sort guru sheets into the pod's colour order: the declared colours if there are any,
+     * otherwise Red, Blue, Green followed by any other colours in sheet order
+     * @param {Array<Object>} guruSheets - Guru sheets from getSheetMetadata
+     * @param {Array<string>|null} declaredColors - Result of getDeclaredGuruColors
+     */
+    sortGuruSheets(guruSheets, declaredColors = null) {
+        const order = declaredColors || GURU_COLORS;
+        const rank = sheet => {
+            const index = order.indexOf(this.getGuruSheetColor(sheet));
+            return index === -1 ? order.length : index;
+        };
+        return [...guruSheets].sort((a, b) => rank(a) - rank(b));
+    }
+
+    getGuruSheetColor(sheet) {
+        return getGuruColorFromTitle(sheet.title);
+    }
+
+    /**
+     * Read every guru sheet in full and merge them into the "Merged Gurus" sheet.
+     * Ranges are sized from each sheet's gridProperties so large pods are not truncated,
+     * and all sheets are fetched in a single batch request.
+     * @param {string} sheetId - Spreadsheet ID
+     * @param {Array<Object>} guruSheets - Guru sheets from getSheetMetadata
+     * @param {Array<string>|null} declaredColors - Colours declared in the metadata sheet, if any
+     */
+    async mergeGuruSheets(sheetId, guruSheets, declaredColors = null) {
+        const warnings = [];
+        let sortedSheets = this.sortGuruSheets(guruSheets, declaredColors);
+
+        if (declaredColors) {
+            const missing = declaredColors.filter(color => !sortedSheets.some(sheet => this.getGuruSheetColor(sheet) === color));
+            if (missing.length > 0) {
+                throw new Error(`The metadata sheet lists guru colours without a sheet: ${missing.map(color => `${formatGuruColor(color)} Gurus`).join(', ')}`);
+            }
+            sortedSheets.filter(sheet => !declaredColors.includes(this.getGuruSheetColor(sheet))).forEach(sheet => {
+                warnings.push(`${sheet.title} is ignored because its colour is not listed under Guru Colours in the metadata sheet`);
+            });
+            sortedSheets = sortedSheets.filter(sheet => declaredColors.includes(this.getGuruSheetColor(sheet)));
+        }
+
+        // The first colour's sheet provides the base columns (A:C)
+        const baseSheet = sortedSheets[0];
+        if (!baseSheet) {
+            throw new Error('No guru sheets found');
+        }
+
+        // Columns A:F hold ID, players, outcome, analysis and signature
+        const ranges = sortedSheets.map(sheet => {
+            const rowCount = sheet.gridProperties?.rowCount;
+            return rowCount ? `'${sheet.title}'!A1:F${rowCount}` : `'${sheet.title}'!A:F`;
+        });
+        const sheetValues = await this.batchGetValues(sheetId, ranges);
+
+        const valuesByColor = {};
+        const guruData = {};
+        sortedSheets.forEach((sheet, index) => {
+            const color = this.getGuruSheetColor(sheet);
+            valuesByColor[color] = sheetValues[index];
+            guruData[color] = {
+                sheetId: sheet.sheetId,
+                // Only columns E and F (analysis and signature)
+                values: sheetValues[index].map(row => (row || []).slice(4, 6))
+            };
+        });
+
+        const baseValues = valuesByColor[this.getGuruSheetColor(baseSheet)].map(row => (row || []).slice(0, 3));
+        const mergedSheet = this.buildMergedGuruSheet(sortedSheets, baseValues, guruData);
+
+        mergedSheet.warnings = [...warnings, ...this.findGuruSheetInconsistencies(sortedSheets, valuesByColor)];
+        mergedSheet.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+
+        return mergedSheet;
+    }
+
+    /**
+     * Compare the guru sheets against the first one, which the merged layout is based on
+     * @param {Array<Object>} sortedSheets - Guru sheets sorted by sortGuruSheets
+     * @param {Object} valuesByColor - { [color]: values of columns A:F }
+     * @returns {Array<string>} Human readable descriptions of the differences
+     */
+    findGuruSheetInconsistencies(sortedSheets, valuesByColor) {
+        const warnings = [];
+        const [baseSheet] = sortedSheets;
+        const baseValues = valuesByColor[this.getGuruSheetColor(baseSheet)];
+        const countMatches = values => values.slice(1).filter(row => row && row.slice(0, 3).some(cell => cell)).length;
+
+        sortedSheets.slice(1).forEach(sheet => {
+            const color = this.getGuruSheetColor(sheet);
+
+            const values = valuesByColor[color];
+            const baseCount = countMatches(baseValues);
+            const count = countMatches(values);
+            if (baseCount !== count) {
+                warnings.push(`${baseSheet.title} has ${baseCount} matches but ${sheet.title} has ${count}`);
+            }
+
+            const mismatchedRows = [];
+            const rowCount = Math.max(baseValues.length, values.length);
+            for (let i = 1; i < rowCount; i++) {
+                const basePlayers = (baseValues[i] || []).slice(1, 3).map(cell => (cell || '').trim());
+                const players = (values[i] || []).slice(1, 3).map(cell => (cell || '').trim());
+                // Sheets that only carry analyses without the player columns are fine
+                if (players.every(cell => !cell)) continue;
+                if (basePlayers[0] !== players[0] || basePlayers[1] !== players[1]) {
+                    mismatchedRows.push(i + 1);
+                }
+            }
+            if (mismatchedRows.length > 0) {
+                const shown = mismatchedRows.slice(0, 5).join(', ');
+                const more = mismatchedRows.length > 5 ? ` and ${mismatchedRows.length - 5} more` : '';
+                warnings.push(`${sheet.title} lists different players than ${baseSheet.title} on row${mismatchedRows.length === 1 ? '' : 's'} ${shown}${more}`);
+            }
+        });
+
+        return warnings;
+    }
+
+    /**
+     * Build the "Merged Gurus" sheet from the base columns (A:C of the first guru sheet) and the
+     * analysis/signature columns (E:F) of every guru sheet, one pair per colour
+     * @param {Array<Object>} sortedSheets - Guru sheets sorted by sortGuruSheets
+     * @param {Array<Array>} baseValues - Values of A:C from the first guru sheet
+     * @param {Object} guruData - { [color]: { sheetId, values } } with the E:F values of each sheet
+     */
+    buildMergedGuruSheet(sortedSheets, baseValues, guruData) {
+        const baseSheet = sortedSheets[0];
+        const guruColors = sortedSheets.map(sheet => this.getGuruSheetColor(sheet));
+
+        // Prepare merged data structure
+        const mergedValues = [];
+
+        if (baseValues.length > 0) {
+            // Create header row: ID, Player 1, Player 2, then "<Colour> Analysis", "<Colour> Signature" for each colour
+            const headerRow = [
+                ...baseValues[0], // A:C from base (ID, Player 1, Player 2)
+                ...guruColors.flatMap(color => [`${formatGuruColor(color)} Analysis`, `${formatGuruColor(color)} Signature`])
+            ];
+            mergedValues.push(headerRow);
+
+            // Merge data rows
+            for (let i = 1; i < baseValues.length; i++) {
+                const baseRow = baseValues[i] || [];
+                const mergedRow = [...baseRow];
+
+                // Pad base row to 3 columns if needed
+                while (mergedRow.length < 3) {
+                    mergedRow.push('');
+                }
+
+                // Add analysis and signature from each guru sheet
+                for (const color of guruColors) {
+                    const colorData = guruData[color];
+                    if (colorData && colorData.values[i]) {
+                        mergedRow.push(colorData.values[i][0] || ''); // Analysis (column E)
+                        mergedRow.push(colorData.values[i][1] || ''); // Signature (column F)
+                    } else {
+                        mergedRow.push(''); // Empty analysis
+                        mergedRow.push(''); // Empty signature
+                    }
+                }
+
+                mergedValues.push(mergedRow);
+            }
+        }
+
+        const hidden = sortedSheets.some(sheet => sheet.hidden);
+        const lastColumn = String.fromCharCode('A'.charCodeAt(0) + 2 + guruColors.length * 2);
+
+        return {
+            title: 'Merged Gurus',
+            sheetId: baseSheet.sheetId, // Use the first guru sheet's ID as primary
+            values: mergedValues,
+            range: `'${baseSheet.title}'!A1:${lastColumn}${mergedValues.length}`,
+            majorDimension: 'ROWS',
+            columnMapping: this.getMergedGuruColumnMapping(guruColors),
+            hidden: hidden,
+            guruColors,
+            // In colour order, which resolveTargetForMergedUpdate relies on
+            guruSheetIds: Object.fromEntries(sortedSheets.map(sheet => [this.getGuruSheetColor(sheet), sheet.sheetId]))
+        };
+    }
+
+    /**
+     * Column indexes (0-based) of the merged layout: ID, Player 1, Player 2, then an analysis and
+     * a signature column per colour, e.g. redAnalysis: 3, redSignature: 4, blueAnalysis: 5, ...
+     * @param {Array<string>} guruColors - Colours of the pod in order
+     */
+    getMergedGuruColumnMapping(guruColors = GURU_COLORS) {
+        const mapping = {
+            id: 0,              // Column A
+            player1: 1,         // Column B
+            player2: 2          // Column C
+        };
+        guruColors.forEach((color, index) => {
+            mapping[`${color}Analysis`] = 3 + index * 2;
+            mapping[`${color}Signature`] = 4 + index * 2;
+        });
+        return mapping;
+    }
+
+    /**
+     * Resolve the target sheetId and column index for an update that may be against
+     * the merged gurus sheet. The update.col is expected to be 1-indexed for the
+     * merged sheet layout. Returns { targetSheetId, targetCol } where targetCol is
+     * a 1-indexed column number appropriate for the target sheet.
+     */
+    resolveTargetForMergedUpdate(update) {
+        let targetSheetId = update.sheetId;
+        let targetCol = update.col;
+
+        if (update.isMergedGuruUpdate) {
+            // guruSheetIds lists the colours in the order of the merged columns
+            const guruColors = Object.keys(update.guruSheetIds);
+            const colorIndex = Math.floor((update.col - 4) / 2);
+
+            if (update.col >= 4 && colorIndex < guruColors.length) {
+                targetSheetId = update.guruSheetIds[guruColors[colorIndex]];
+                targetCol = (update.col - 4) % 2 === 0 ? 5 : 6; // E or F
+            } else if (update.col <= 3) {
+                // Base columns (A:C) go to the first guru sheet
+                targetSheetId = update.guruSheetIds[guruColors[0]];
+                targetCol = update.col;
+            }
+        }
+
+        return { targetSheetId, targetCol };
+    }
+
+    getColumnMapping(sheetTitle) {
+        if (sheetTitle.toLowerCase().includes('deck notes')) {
+            return {
+                decklists: 0,      // Column A
+                clock: 1,          // Column B
+                notes: 2,          // Column C
+                additionalNotes: 3 // Column D
+            };
+        } else {
+            // Guru sheets (Red Gurus, Blue Gurus, Green Gurus, ...)
+            return {
+                id: 0,             // Column A
+                player1: 1,        // Column B
+                player2: 2,        // Column C
+                guruAnalysis: 4,   // Column E
+                guruSignature: 5   // Column F
+            };
+        }
+    }
+
+    /**
+     * Unhides every "<Colour> Gurus" sheet in the spreadsheet.
+     * Returns a promise that resolves when the operation is complete.
+    */
+    async unhideGuruSheets(sheetId) {
+        this.assertReady();
+        // Get all sheet metadata
+        const metadata = await this.getSheetMetadata(sheetId);
+        const guruSheets = metadata.sheets.filter(sheet => getGuruColorFromTitle(sheet.title));
+        if (guruSheets.length === 0) {
+            throw new Error('No Guru sheets found to unhide');
+        }
+        // Build requests to unhide each sheet
+        const requests = guruSheets.map(sheet => ({
+            updateSheetProperties: {
+                properties: {
+                    sheetId: sheet.sheetId,
+                    hidden: false
+                },
+                fields: 'hidden'
+            }
+        }));
+        // Send batch update
+        const response = await this.batchUpdate(sheetId, requests);
+        return response;
+    }
+
+    /**
+     * Whether reads and writes for this spreadsheet need a network connection.
+     * Writes to providers that do are queued in the offline outbox while offline.
+     */
+    requiresNetwork(spreadsheetId) {
+        return true;
+    }
+}
+
+/**
+ * Parse an A1 range such as "'All Threads'!A:D", "'Red Gurus'!E1:F1000" or "'Totals'"
+ * @param {string} range - A1 notation range
+ * @returns {Object} { sheetTitle, startRow, endRow, startCol, endCol } with 0-indexed bounds (end inclusive, null when open)
+ */
+export function parseA1Range(range) {
+    const match = range.match(/^(?:'((?:[^']|'')+)'|([^!]+))(?:!([A-Z]*)(\d*)(?::([A-Z]*)(\d*))?)?$/);
+    if (!match) {
+        throw new Error(`Invalid range: ${range}`);
+    }
+
+    const sheetTitle = (match[1] || match[2]).replace(/''/g, "'");
+    const columnToIndex = letters => letters
+        ? letters.split('').reduce((total, letter) => total * 26 + (letter.charCodeAt(0) - 64), 0) - 1
+        : null;
+    const rowToIndex = digits => digits ? parseInt(digits, 10) - 1 : null;
+
+    const startCol = columnToIndex(match[3]);
+    const startRow = rowToIndex(match[4]);
+    // A single cell ("E5") ends where it starts
+    const isSingleCell = match[3] && match[4] && match[5] === undefined;
+
+    return {
+        sheetTitle,
+        startRow: startRow ?? 0,
+        endRow: isSingleCell ? startRow : rowToIndex(match[6]),
+        startCol: startCol ?? 0,
+        endCol: isSingleCell ? startCol : columnToIndex(match[5])
+    };
+}
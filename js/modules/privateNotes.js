@@ -0,0 +1,132 @@
+/**
+ * Private Notes
+ * A guru's own scratchpad per match ("P2 wins if it goes second", lines tried), never written
+ * to the pod. Notes are keyed by pod sheet ID and match number, cached in localStorage so they
+ * work offline, and synced to the appData preferences file through UserPreferences.
+ */
+import { CONFIG } from '../config.js';
+
+export class PrivateNotes {
+    constructor() {
+        // podId -> { title, matches: { matchNumber -> { text, label, updatedAt } } }
+        this.notes = this.loadFromLocalStorage();
+        this.userPreferences = null;
+        this.syncTimer = null;
+        this.syncDelay = 2000; // Typing pauses shorter than this share one appData save
+    }
+
+    loadFromLocalStorage() {
+        try {
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.PRIVATE_NOTES);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading private notes from localStorage:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Use the guru's appData preferences, merging the notes there with those made on this device
+     * @param {UserPreferences} userPreferences - Preferences manager
+     */
+    async setUserPreferences(userPreferences) {
+        this.userPreferences = userPreferences;
+        if (!userPreferences || !userPreferences.isInitialized) return;
+
+        try {
+            const remote = await userPreferences.getPrivateNotes();
+            Object.entries(remote || {}).forEach(([podId, pod]) => {
+                const local = this.notes[podId] || { title: pod.title, matches: {} };
+                Object.entries(pod.matches || {}).forEach(([matchNumber, note]) => {
+                    const mine = local.matches[matchNumber];
+                    if (!mine || (note.updatedAt || 0) > (mine.updatedAt || 0)) {
+                        local.matches[matchNumber] = note;
+                    }
+                });
+                this.notes[podId] = local;
+            });
+            // Notes written offline or before signing in still have to reach appData
+            const changedLocally = Object.entries(this.notes).some(([podId, pod]) =>
+                Object.entries(pod.matches).some(([matchNumber, note]) =>
+                    (remote?.[podId]?.matches?.[matchNumber]?.updatedAt || 0) < note.updatedAt));
+
+            localStorage.setItem(CONFIG.STORAGE_KEYS.PRIVATE_NOTES, JSON.stringify(this.notes));
+            if (changedLocally) {
+                this.scheduleSync();
+            }
+            console.log('🔒 Loaded private notes');
+        } catch (error) {
+            console.warn('Could not load private notes from appData, using this device only:', error);
+        }
+    }
+
+    /**
+     * Forget the notes of the guru who signed out, so they are not merged into the appData of
+     * the next guru to sign in on this browser
+     */
+    clear() {
+        clearTimeout(this.syncTimer);
+        this.notes = {};
+        this.userPreferences = null;
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.PRIVATE_NOTES);
+    }
+
+    /**
+     * @param {string} podId - Pod sheet ID
+     * @param {number|string} matchNumber - Match number as shown in the app
+     * @returns {string} The note, or '' if there is none
+     */
+    getNote(podId, matchNumber) {
+        return this.notes[podId]?.matches[matchNumber]?.text || '';
+    }
+
+    /**
+     * Save a note on this device straight away and in appData shortly after
+     * @param {string} podId - Pod sheet ID
+     * @param {string} podTitle - Pod title, shown in search results
+     * @param {number|string} matchNumber - Match number as shown in the app
+     * @param {string} label - Match description, shown in search results (e.g. "Deck A vs Deck B")
+     * @param {string} text - Note text
+     */
+    setNote(podId, podTitle, matchNumber, label, text) {
+        const pod = this.notes[podId] || { title: podTitle, matches: {} };
+        pod.title = podTitle;
+        // An emptied note keeps its entry and time, so the deletion wins over older copies when syncing
+        pod.matches[matchNumber] = { text: text.trim() ? text : '', label, updatedAt: Date.now() };
+        this.notes[podId] = pod;
+
+        localStorage.setItem(CONFIG.STORAGE_KEYS.PRIVATE_NOTES, JSON.stringify(this.notes));
+        this.scheduleSync();
+    }
+
+    scheduleSync() {
+        if (!this.userPreferences || !this.userPreferences.isInitialized) return;
+
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => {
+            this.userPreferences.setPrivateNotes(this.notes)
+                .then(() => console.log('☁️ Synced private notes to Google appData'))
+                .catch(error => console.warn('Failed to sync private notes to Google appData:', error));
+        }, this.syncDelay);
+    }
+
+    /**
+     * Find notes containing every word of the query, newest first
+     * @param {string} query - Search text
+     * @returns {Array<Object>} [{ podId, podTitle, matchNumber, label, text, updatedAt }]
+     */
+    search(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const results = [];
+        Object.entries(this.notes).forEach(([podId, pod]) => {
+            Object.entries(pod.matches).forEach(([matchNumber, note]) => {
+                if (!note.text) return;
+                const haystack = `${note.text} ${note.label || ''} ${pod.title || ''}`.toLowerCase();
+                if (terms.every(term => haystack.includes(term))) {
+                    results.push({ podId, podTitle: pod.title, matchNumber: parseInt(matchNumber, 10), label: note.label, text: note.text, updatedAt: note.updatedAt });
+                }
+            });
+        });
+        return results.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+}
@@ -1,9 +1,15 @@
 import { CONFIG } from '../config.js';
 import { getElement } from '../utils/domUtils.js';
 import { HubManager } from './hubManager.js';
+import { AuditLog } from './auditLog.js';
+import { countHubStaleClaims } from './staleClaims.js';
 
 export class RecentPodsManager {
-    constructor() {
+    /**
+     * @param {PodBackend} backend - Data backend used to read hubs
+     */
+    constructor(backend) {
+        this.backend = backend;
         this.maxRecentPods = 20; // Keep last 20 pods
         this.maxRecentHubs = 20; // Keep last 20 hubs
         this.recentPods = [];
@@ -14,6 +20,9 @@ export class RecentPodsManager {
         this.isInitialized = false;
         this.expandedHubs = new Set(); // Track which hubs are expanded
         this.hubManagers = new Map(); // Cache HubManager instances by sheetId
+        // Only reads claim times, so no session is needed
+        this.auditLog = new AuditLog(backend, () => '');
+        this.staleClaimCounts = new Map(); // Hub sheetId -> result of countHubStaleClaims
     }
 
     /**
@@ -237,7 +246,7 @@ export class RecentPodsManager {
 
         try {
             // Create a HubManager instance to get hub details
-            const hubManager = new HubManager(hubLink);
+            const hubManager = new HubManager(hubLink, null, this.backend);
             const hubSheetId = hubManager.hubSheetId;
             const hubUrl = hubManager.getHubUrl();
 
@@ -399,6 +408,8 @@ export class RecentPodsManager {
             </div>
             </div>
             <div class="hub-actions">
+                <button class="hub-queue-btn" title="My queue: your unscored matches and discrepancies in every pod of this hub">📋</button>
+                <button class="hub-stale-btn" title="Find claims that have waited too long for a result in every pod of this hub">⌛</button>
                 <button class="hub-refresh-btn" title="Refresh hub data">
                     <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
                         <path d="M17.65 6.35C16.2 4.9 14.21 4 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08c-.82 2.33-3.04 4-5.65 4-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z"/>
@@ -418,6 +429,27 @@ export class RecentPodsManager {
             await this.toggleHubPods(hub, hubElement);
         });
 
+        // Add click handler for starting the guru's queue over every pod of the hub
+        const queueBtn = hubElement.querySelector('.hub-queue-btn');
+        queueBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            let hubManager = this.hubManagers.get(hub.sheetId);
+            if (!hubManager) {
+                hubManager = new HubManager(hub.url, null, this.backend);
+                this.hubManagers.set(hub.sheetId, hubManager);
+            }
+            window.dispatchEvent(new CustomEvent('workQueueRequested', {
+                detail: { hubManager, hubTitle: (hub.title || '').split(' - ')[0] }
+            }));
+        });
+
+        // Add click handler for checking every pod of the hub for stale claims
+        const staleBtn = hubElement.querySelector('.hub-stale-btn');
+        staleBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await this.checkStaleClaims(hub, hubElement);
+        });
+
         // Add click handler for refreshing the hub
         const refreshBtn = hubElement.querySelector('.hub-refresh-btn');
         refreshBtn.addEventListener('click', async (e) => {
@@ -515,7 +547,7 @@ export class RecentPodsManager {
             // Get or create HubManager for this hub
             let hubManager = this.hubManagers.get(hubSheetId);
             if (!hubManager) {
-                hubManager = new HubManager(hub.url);
+                hubManager = new HubManager(hub.url, null, this.backend);
                 this.hubManagers.set(hubSheetId, hubManager);
             }
             
@@ -573,7 +605,7 @@ export class RecentPodsManager {
             // Get or create HubManager for this hub
             let hubManager = this.hubManagers.get(hubSheetId);
             if (!hubManager) {
-                hubManager = new HubManager(hub.url);
+                hubManager = new HubManager(hub.url, null, this.backend);
                 this.hubManagers.set(hubSheetId, hubManager);
             }
             
@@ -625,6 +657,53 @@ export class RecentPodsManager {
         }
     }
 
+    /**
+     * Count the stale claims of every pod of a hub and show them in the hub's pods list
+     * @param {Object} hub - Hub data
+     * @param {HTMLElement} hubElement - The hub DOM element
+     */
+    async checkStaleClaims(hub, hubElement) {
+        const staleBtn = hubElement.querySelector('.hub-stale-btn');
+        staleBtn.disabled = true;
+        staleBtn.textContent = '⏳';
+
+        try {
+            let hubManager = this.hubManagers.get(hub.sheetId);
+            if (!hubManager) {
+                hubManager = new HubManager(hub.url, null, this.backend);
+                this.hubManagers.set(hub.sheetId, hubManager);
+            }
+
+            const result = await countHubStaleClaims(this.backend, this.auditLog, hubManager, (done, total) => {
+                staleBtn.title = `Checking pod ${done + 1} of ${total} for stale claims...`;
+            });
+            this.staleClaimCounts.set(hub.sheetId, result);
+            console.log(`⌛ Checked ${result.counts.size} pods of ${hub.title} for stale claims`);
+
+            // Show the counts in the pods list, expanding it if needed
+            if (this.expandedHubs.has(hub.sheetId)) {
+                const podsList = hubElement.nextElementSibling;
+                if (podsList && podsList.classList.contains('hub-pods-list')) {
+                    podsList.remove();
+                }
+                this.expandedHubs.delete(hub.sheetId);
+                hubElement.classList.remove('expanded');
+            }
+            await this.toggleHubPods(hub, hubElement);
+        } catch (error) {
+            console.error('Error checking hub for stale claims:', error);
+            const errorMsg = document.createElement('div');
+            errorMsg.className = 'hub-pods-error';
+            errorMsg.textContent = `Error checking for stale claims: ${error.message}`;
+            hubElement.parentNode.insertBefore(errorMsg, hubElement.nextSibling);
+            setTimeout(() => errorMsg.remove(), 3000);
+        } finally {
+            staleBtn.disabled = false;
+            staleBtn.textContent = '⌛';
+            staleBtn.title = 'Find claims that have waited too long for a result in every pod of this hub';
+        }
+    }
+
     /**
      * Create a list of pods for a hub
      * @param {Array} pods - Array of pod objects from hub
@@ -642,6 +721,21 @@ export class RecentPodsManager {
             container.appendChild(emptyMsg);
             return container;
         }
+
+        const staleClaims = this.staleClaimCounts.get(hub.sheetId);
+        if (staleClaims) {
+            const counts = [...staleClaims.counts.values()];
+            const total = counts.reduce((sum, count) => sum + count.stale, 0);
+            const podsWithStale = counts.filter(count => count.stale > 0).length;
+            const unchecked = counts.filter(count => !count.hasLog).length + staleClaims.failedPods.length;
+            const summary = document.createElement('div');
+            summary.className = 'hub-pods-stale-summary';
+            summary.textContent = (total > 0
+                ? `⌛ ${total} stale ${total === 1 ? 'claim' : 'claims'} in ${podsWithStale} ${podsWithStale === 1 ? 'pod' : 'pods'}`
+                : '⌛ No stale claims') +
+                (unchecked > 0 ? ` (${unchecked} ${unchecked === 1 ? 'pod has' : 'pods have'} no Stylus Log or could not be read)` : '');
+            container.appendChild(summary);
+        }
         
         pods.forEach(pod => {
             const podItem = document.createElement('div');
@@ -668,6 +762,11 @@ export class RecentPodsManager {
                     const text = pod.incompletes === 1 ? 'incomplete' : 'incompletes';
                     statusParts.push(`<div class="hub-pod-status" title="${pod.incompletes} ${text}">⏳ ${pod.incompletes}</div>`);
                 }
+                const stale = staleClaims?.counts.get(pod.sheetLink);
+                if (stale?.stale > 0) {
+                    const text = stale.stale === 1 ? 'claim' : 'claims';
+                    statusParts.push(`<div class="hub-pod-status" title="${stale.stale} ${text} with no result for over ${stale.days} days">⌛ ${stale.stale}</div>`);
+                }
             }
             
             const statusText = statusParts.length > 0 
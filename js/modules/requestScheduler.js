@@ -0,0 +1,145 @@
+/**
+ * Request Scheduler
+ * Every Google Sheets call goes through here so that the app stays within the per-minute
+ * quota: identical reads already in flight are shared, requests beyond the budget wait for
+ * a free slot, and rate-limit (429) or server (5xx) errors are retried with exponential
+ * backoff and jitter instead of failing the guru's action.
+ *
+ * Throttling is reported with a `sheetsRequestThrottled` window event, and the end of it
+ * with `sheetsRequestResumed`, so the UI can show it in the status bar.
+ */
+import { CONFIG } from '../config.js';
+
+/**
+ * Extract the HTTP status from an error thrown by gapi
+ * @param {Object} error - gapi error (or Error)
+ * @returns {number|null}
+ */
+export function getRequestErrorStatus(error) {
+    const status = error?.status ?? error?.result?.error?.code;
+    return typeof status === 'number' ? status : null;
+}
+
+export class RequestScheduler {
+    constructor({
+        requestsPerMinute = CONFIG.SHEETS_REQUESTS_PER_MINUTE,
+        maxRetries = CONFIG.SHEETS_MAX_RETRIES,
+        baseDelayMs = 1000,
+        maxDelayMs = 32000
+    } = {}) {
+        this.requestsPerMinute = requestsPerMinute;
+        this.maxRetries = maxRetries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.inFlight = new Map(); // dedupe key -> promise
+        this.sentAt = []; // timestamps of the requests sent in the last minute
+        this.slotQueue = Promise.resolve(); // serialises access to the budget
+        this.isThrottled = false;
+    }
+
+    /**
+     * Run a read request, sharing the result with identical reads already in flight
+     * @param {string} key - Identifies the request, e.g. method name plus its parameters
+     * @param {Function} request - Returns the gapi promise
+     */
+    read(key, request) {
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const promise = this.run(request).finally(() => {
+            this.inFlight.delete(key);
+        });
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Run a write request (never deduplicated)
+     * @param {Function} request - Returns the gapi promise
+     */
+    write(request) {
+        return this.run(request);
+    }
+
+    /**
+     * Run a request within the budget, retrying rate-limit and server errors
+     * @param {Function} request - Returns the gapi promise
+     */
+    async run(request) {
+        for (let attempt = 0; ; attempt++) {
+            await this.acquireSlot();
+            try {
+                const result = await request();
+                this.setThrottled(false);
+                return result;
+            } catch (error) {
+                if (!this.isRetryable(error) || attempt >= this.maxRetries) {
+                    throw error;
+                }
+                const delay = this.getBackoffDelay(attempt);
+                console.warn(`⏳ Sheets request failed with ${getRequestErrorStatus(error)}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+                this.setThrottled(true, {
+                    reason: getRequestErrorStatus(error) === 429 ? 'rate-limit' : 'server-error',
+                    waitMs: delay,
+                    attempt: attempt + 1
+                });
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    isRetryable(error) {
+        // Offline errors go to the offline queue instead
+        if (!navigator.onLine) {
+            return false;
+        }
+        const status = getRequestErrorStatus(error);
+        return status === 429 || (status !== null && status >= 500);
+    }
+
+    /**
+     * Exponential backoff with equal jitter: half the ceiling, plus a random part of the other half,
+     * so retries are spread out but never fire right away
+     */
+    getBackoffDelay(attempt) {
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        return ceiling / 2 + Math.random() * ceiling / 2;
+    }
+
+    /**
+     * Wait until sending one more request keeps us within the per-minute budget
+     */
+    acquireSlot() {
+        const slot = this.slotQueue.then(async () => {
+            for (;;) {
+                const now = Date.now();
+                this.sentAt = this.sentAt.filter(time => now - time < 60000);
+                if (this.sentAt.length < this.requestsPerMinute) {
+                    this.sentAt.push(now);
+                    return;
+                }
+                const waitMs = 60000 - (now - this.sentAt[0]) + 50;
+                console.warn(`⏳ Sheets request budget used up, waiting ${Math.round(waitMs)}ms`);
+                this.setThrottled(true, { reason: 'budget', waitMs, attempt: 0 });
+                await this.sleep(waitMs);
+            }
+        });
+        this.slotQueue = slot.catch(() => {});
+        return slot;
+    }
+
+    setThrottled(throttled, detail = {}) {
+        if (throttled) {
+            this.isThrottled = true;
+            window.dispatchEvent(new CustomEvent('sheetsRequestThrottled', { detail }));
+        } else if (this.isThrottled) {
+            this.isThrottled = false;
+            window.dispatchEvent(new CustomEvent('sheetsRequestResumed'));
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
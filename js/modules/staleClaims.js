@@ -0,0 +1,117 @@
+/**
+ * Stale Claims
+ * A claim is only a signature in a cell, so a guru who stops working on a pod blocks its matches
+ * for everyone else. The time of each claim comes from the pod's "Stylus Log" sheet, which already
+ * records every signature written through The Stylus; a claim without a result that is older
+ * than the pod's limit is stale and can be released by a head guru listed in the pod's metadata
+ * sheet. Pods without a log sheet, and claims typed straight into the sheet, have no claim times
+ * and are never reported.
+ */
+import { CONFIG } from '../config.js';
+import { extractSheetId } from '../utils/urlUtils.js';
+
+/**
+ * @param {Object} metadata - Custom metadata of the pod, as returned by getSheetData
+ * @returns {number} Days after which a claim without a result is stale
+ */
+export function getStaleClaimDays(metadata) {
+    const days = parseFloat(metadata?.staleClaimDays);
+    return days > 0 ? days : CONFIG.STALE_CLAIM_DAYS;
+}
+
+/**
+ * Whether a guru may release other gurus' stale claims in a pod. Head gurus are listed by
+ * signature in a "Head Gurus" row of the pod's metadata sheet, separated by commas; without
+ * that row nobody can.
+ * @param {Object} metadata - Custom metadata of the pod, as returned by getSheetData
+ * @param {string} signature - Guru signature
+ * @returns {boolean}
+ */
+export function isHeadGuru(metadata, signature) {
+    if (!signature) return false;
+    return (metadata?.headGurus || '').toString()
+        .split(',')
+        .some(headGuru => headGuru.trim() === signature.trim());
+}
+
+/**
+ * Find the claims that have waited too long for a result
+ * @param {Array<Object>} rows - Matches in order, with `${color}Analysis` and `${color}Signature` fields
+ * @param {Array<string>} colors - Guru colours of the pod
+ * @param {Map<string, Object>} claimTimes - Result of AuditLog.getClaimTimes
+ * @param {number} days - Age in days after which a claim is stale
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Object>} [{ idx, matchNumber, color, signature, claimedAt }] in match order
+ */
+export function findStaleClaims(rows, colors, claimTimes, days, now = Date.now()) {
+    const cutoff = now - days * 24 * 60 * 60 * 1000;
+    const stale = [];
+
+    rows.forEach((row, idx) => {
+        colors.forEach(color => {
+            const signature = (row[`${color}Signature`] || '').toString().trim();
+            const analysis = (row[`${color}Analysis`] || '').toString().trim();
+            if (!signature || analysis) return;
+
+            // The logged claim must be the one still on the row
+            const claim = claimTimes.get(`${idx + 1}:${color}`);
+            if (claim && claim.signature.trim() === signature && claim.time < cutoff) {
+                stale.push({ idx, matchNumber: idx + 1, color, signature, claimedAt: claim.time });
+            }
+        });
+    });
+
+    return stale;
+}
+
+/**
+ * Count the stale claims of every pod of a hub. Pods that cannot be read are skipped.
+ * @param {PodBackend} backend - Backend the hub's pods are read from
+ * @param {AuditLog} auditLog - Reads the claim times of each pod
+ * @param {HubManager} hubManager - Hub to check
+ * @param {Function} onProgress - Called with (podsDone, podsTotal, podName) before each pod is read
+ * @returns {Promise<{counts: Map<string, Object>, failedPods: Array<string>}>} Pod sheet link -> { stale, days, hasLog }
+ */
+export async function countHubStaleClaims(backend, auditLog, hubManager, onProgress = () => {}) {
+    const pods = (await hubManager.getPods()).filter(pod => pod.sheetLink);
+    const counts = new Map();
+    const failedPods = [];
+
+    // One pod at a time, so a large hub stays within the Sheets request quota
+    for (let i = 0; i < pods.length; i++) {
+        const pod = pods[i];
+        onProgress(i, pods.length, pod.podName);
+        try {
+            const podId = extractSheetId(pod.sheetLink);
+            if (!podId) {
+                throw new Error(`invalid sheet link ${pod.sheetLink}`);
+            }
+            const [sheetData, claimTimes] = await Promise.all([
+                backend.getSheetData(podId),
+                auditLog.getClaimTimes(podId)
+            ]);
+            const days = getStaleClaimDays(sheetData.metadata);
+            const mergedSheet = sheetData.sheets.find(sheet => sheet.title === 'Merged Gurus');
+            if (!mergedSheet || mergedSheet.hidden || !claimTimes) {
+                counts.set(pod.sheetLink, { stale: 0, days, hasLog: !!claimTimes });
+                continue;
+            }
+
+            // Match numbers count the rows with players, as in the analysis interface
+            const { values = [], columnMapping, guruColors = [] } = mergedSheet;
+            const rows = values.slice(1)
+                .filter(row => (row[columnMapping.player1] || '').toString().trim() || (row[columnMapping.player2] || '').toString().trim())
+                .map(row => Object.fromEntries(guruColors.flatMap(color => [
+                    [`${color}Analysis`, row[columnMapping[`${color}Analysis`]]],
+                    [`${color}Signature`, row[columnMapping[`${color}Signature`]]]
+                ])));
+            const stale = findStaleClaims(rows, guruColors, claimTimes, days).length;
+            counts.set(pod.sheetLink, { stale, days, hasLog: true });
+        } catch (error) {
+            console.warn(`Could not check ${pod.podName} for stale claims:`, error);
+            failedPods.push(pod.podName);
+        }
+    }
+
+    return { counts, failedPods };
+}
@@ -22,6 +22,27 @@ export class UIController {
         };
         window.addEventListener('pointerdown', this._pointerHandler, true);
         window.addEventListener('pointermove', this._pointerHandler, true);
+
+        // --- Google Sheets throttling reported by the request scheduler ---
+        window.addEventListener('sheetsRequestThrottled', (e) => this.showThrottleStatus(e.detail));
+        window.addEventListener('sheetsRequestResumed', () => {
+            if (this.statusMessage.classList.contains('throttled')) {
+                this.hideStatus();
+            }
+        });
+    }
+
+    /**
+     * Tell the user their requests are delayed rather than failed
+     * @param {Object} detail - { reason: 'budget' | 'rate-limit' | 'server-error', waitMs, attempt }
+     */
+    showThrottleStatus({ reason, waitMs }) {
+        const seconds = Math.max(1, Math.round(waitMs / 1000));
+        const message = reason === 'server-error'
+            ? `Google Sheets is having trouble, retrying in ${seconds}s...`
+            : `Google Sheets is busy, continuing in ${seconds}s...`;
+        this.showStatus(message, 'loading');
+        this.statusMessage.classList.add('throttled');
     }
     /**
      * Returns the detected pointer type: 'mouse', 'touch', 'pen', or null if not yet detected.
@@ -30,20 +51,42 @@ export class UIController {
         return this._pointerType;
     }
 
-    showStatus(message, type = 'info') {
+    /**
+     * Show a status message
+     * @param {string} message - Text to show
+     * @param {string} type - 'success', 'error', 'loading' or 'info'
+     * @param {Object} options - action: { label, onClick } adds a button to the message (e.g. Undo)
+     */
+    showStatus(message, type = 'info', { action = null } = {}) {
         this.statusMessage.textContent = message;
         this.statusMessage.className = `status-message ${type}`;
         this.statusMessage.style.display = 'block';
 
-        // Auto-hide success messages after 3 seconds, info messages after 5 seconds
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'status-action-btn';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                this.hideStatus();
+                action.onClick();
+            });
+            this.statusMessage.appendChild(button);
+        }
+
+        // A newer message replaces the older one, so its pending auto-hide no longer applies
+        clearTimeout(this.statusHideTimer);
+
+        // Auto-hide success messages after 3 seconds, info messages after 5 seconds,
+        // leaving a little longer when there is an action to click
+        const extraTime = action ? 3000 : 0;
         if (type === 'success') {
-            setTimeout(() => {
+            this.statusHideTimer = setTimeout(() => {
                 this.hideStatus();
-            }, 3000);
+            }, 3000 + extraTime);
         } else if (type === 'info') {
-            setTimeout(() => {
+            this.statusHideTimer = setTimeout(() => {
                 this.hideStatus();
-            }, 5000);
+            }, 5000 + extraTime);
         }
     }
 
@@ -81,6 +124,9 @@ export class UIController {
         newUrl.searchParams.delete('guru');
         newUrl.searchParams.delete('row');
         newUrl.searchParams.delete('match');
+        newUrl.searchParams.delete('filter');
+        newUrl.searchParams.delete('q');
+        newUrl.searchParams.delete('sort');
         window.history.replaceState({}, '', newUrl);
 
         // Reset document title
@@ -194,4 +240,58 @@ export class UIController {
             resolve(result);
         });
     }
+
+    /**
+     * Show a modal dialog with a title and arbitrary content.
+     * The modal closes on the × button, on a click outside it and on Escape.
+     * @param {string} title - Modal title
+     * @param {string|HTMLElement} content - HTML string or element for the modal body
+     * @param {Object} options - className: extra class for the modal, onClose: called after closing
+     * @returns {{overlay: HTMLElement, modal: HTMLElement, body: HTMLElement, close: Function}}
+     */
+    showModal(title, content, { className = '', onClose = null } = {}) {
+        const overlay = document.createElement('div');
+        overlay.className = 'app-modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = `app-modal ${className}`.trim();
+        modal.innerHTML = `
+            <div class="app-modal-header">
+                <h3></h3>
+                <button class="app-modal-close" title="Close">&times;</button>
+            </div>
+            <div class="app-modal-content"></div>
+        `;
+        modal.querySelector('h3').textContent = title;
+
+        const body = modal.querySelector('.app-modal-content');
+        if (typeof content === 'string') {
+            body.innerHTML = content;
+        } else if (content) {
+            body.appendChild(content);
+        }
+
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+
+        const escapeHandler = (e) => {
+            if (e.key === 'Escape') {
+                close();
+            }
+        };
+
+        const close = () => {
+            document.removeEventListener('keydown', escapeHandler);
+            overlay.remove();
+            if (onClose) onClose();
+        };
+
+        modal.querySelector('.app-modal-close').addEventListener('click', close);
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay) close();
+        });
+        document.addEventListener('keydown', escapeHandler);
+
+        return { overlay, modal, body, close };
+    }
 }
@@ -0,0 +1,61 @@
+/**
+ * Undo History
+ * Keeps the undo and redo stacks of guru actions (scoring, claiming, unclaiming, clearing).
+ * Each entry lists the cells it changed with their value before and after, so it can be
+ * reverted with a checked write that refuses cells someone else has touched since.
+ */
+
+export class UndoHistory {
+    /**
+     * @param {number} limit - Maximum number of actions kept for undo
+     */
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record an action the guru has just performed; a new action drops the redo stack
+     * @param {Object} entry - { label, changes: [{ sheetId, row, col, color, field, before, after, valueType }] }
+     */
+    record(entry) {
+        if (!entry.changes || entry.changes.length === 0) {
+            return;
+        }
+        this.pushUndo(entry);
+        this.redoStack = [];
+    }
+
+    pushUndo(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+    }
+
+    pushRedo(entry) {
+        this.redoStack.push(entry);
+    }
+
+    popUndo() {
+        return this.undoStack.pop() || null;
+    }
+
+    popRedo() {
+        return this.redoStack.pop() || null;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
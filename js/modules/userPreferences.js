@@ -1,6 +1,6 @@
 /**
  * User Preferences Manager
- * Handles storing user preferences (guru signature, recent pods) in Google appData
+ * Handles storing user preferences (guru signature, recent pods, keyboard shortcuts, guru stats, private notes) in Google appData
  */
 import { CONFIG } from '../config.js';
 
@@ -71,6 +71,11 @@ export class UserPreferences {
                 guruSignature: '',
                 recentPods: [],
                 recentHubs: [],
+                keyBindings: {},
+                threadTemplates: {},
+                discordWebhooks: {},
+                guruStats: {},
+                privateNotes: {},
                 version: '1.0.0',
                 lastUpdated: new Date().toISOString()
             };
@@ -365,6 +370,241 @@ export class UserPreferences {
         }
     }
 
+    /**
+     * Get custom keyboard shortcuts (action id -> key), only those that differ from the defaults
+     */
+    async getKeyBindings() {
+        if (!this.isInitialized) {
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.KEY_BINDINGS);
+            return stored ? JSON.parse(stored) : {};
+        }
+
+        try {
+            if (!this.cache) {
+                await this.loadPreferences();
+            }
+            return this.cache.keyBindings || {};
+        } catch (error) {
+            console.error('Error getting key bindings from appData:', error);
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.KEY_BINDINGS);
+            return stored ? JSON.parse(stored) : {};
+        }
+    }
+
+    /**
+     * Set custom keyboard shortcuts
+     */
+    async setKeyBindings(bindings) {
+        if (!this.isInitialized) {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.KEY_BINDINGS, JSON.stringify(bindings));
+            return;
+        }
+
+        try {
+            if (!this.cache) {
+                await this.loadPreferences();
+            }
+
+            this.cache.keyBindings = bindings;
+            await this.savePreferences(this.cache);
+
+            // Also update localStorage as backup
+            localStorage.setItem(CONFIG.STORAGE_KEYS.KEY_BINDINGS, JSON.stringify(bindings));
+        } catch (error) {
+            console.error('Error setting key bindings in appData:', error);
+            // Fall back to localStorage
+            localStorage.setItem(CONFIG.STORAGE_KEYS.KEY_BINDINGS, JSON.stringify(bindings));
+        }
+    }
+
+    /**
+     * Get the guru's own Discord thread templates (part -> template), only those they changed
+     */
+    async getThreadTemplates() {
+        if (!this.isInitialized) {
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.THREAD_TEMPLATES);
+            return stored ? JSON.parse(stored) : {};
+        }
+
+        try {
+            if (!this.cache) {
+                await this.loadPreferences();
+            }
+            return this.cache.threadTemplates || {};
+        } catch (error) {
+            console.error('Error getting thread templates from appData:', error);
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.THREAD_TEMPLATES);
+            return stored ? JSON.parse(stored) : {};
+        }
+    }
+
+    /**
+     * Set the guru's own Discord thread templates
+     */
+    async setThreadTemplates(templates) {
+        if (!this.isInitialized) {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.THREAD_TEMPLATES, JSON.stringify(templates));
+            return;
+        }
+
+        try {
+            if (!this.cache) {
+                await this.loadPreferences();
+            }
+
+            this.cache.threadTemplates = templates;
+            await this.savePreferences(this.cache);
+
+            // Also update localStorage as backup
+            localStorage.setItem(CONFIG.STORAGE_KEYS.THREAD_TEMPLATES, JSON.stringify(templates));
+        } catch (error) {
+            console.error('Error setting thread templates in appData:', error);
+            // Fall back to localStorage
+            localStorage.setItem(CONFIG.STORAGE_KEYS.THREAD_TEMPLATES, JSON.stringify(templates));
+        }
+    }
+
+    /**
+     * Get the Discord webhook URLs the guru set (hub or pod sheet ID -> URL)
+     */
+    async getDiscordWebhooks() {
+        if (!this.isInitialized) {
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.DISCORD_WEBHOOKS);
+            return stored ? JSON.parse(stored) : {};
+        }
+
+        try {
+            if (!this.cache) {
+                await this.loadPreferences();
+            }
+            return this.cache.discordWebhooks || {};
+        } catch (error) {
+            console.error('Error getting Discord webhooks from appData:', error);
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.DISCORD_WEBHOOKS);
+            return stored ? JSON.parse(stored) : {};
+        }
+    }
+
+    /**
+     * Set the Discord webhook URLs
+     */
+    async setDiscordWebhooks(webhooks) {
+        if (!this.isInitialized) {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.DISCORD_WEBHOOKS, JSON.stringify(webhooks));
+            return;
+        }
+
+        try {
+            if (!this.cache) {
+                await this.loadPreferences();
+            }
+
+            this.cache.discordWebhooks = webhooks;
+            await this.savePreferences(this.cache);
+
+            // Also update localStorage as backup
+            localStorage.setItem(CONFIG.STORAGE_KEYS.DISCORD_WEBHOOKS, JSON.stringify(webhooks));
+        } catch (error) {
+            console.error('Error setting Discord webhooks in appData:', error);
+            // Fall back to localStorage
+            localStorage.setItem(CONFIG.STORAGE_KEYS.DISCORD_WEBHOOKS, JSON.stringify(webhooks));
+        }
+    }
+
+    /**
+     * Get guru stats (signature -> pod id -> counts)
+     */
+    async getGuruStats() {
+        if (!this.isInitialized) {
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.GURU_STATS);
+            return stored ? JSON.parse(stored) : {};
+        }
+
+        try {
+            if (!this.cache) {
+                await this.loadPreferences();
+            }
+            return this.cache.guruStats || {};
+        } catch (error) {
+            console.error('Error getting guru stats from appData:', error);
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.GURU_STATS);
+            return stored ? JSON.parse(stored) : {};
+        }
+    }
+
+    /**
+     * Set guru stats
+     */
+    async setGuruStats(stats) {
+        if (!this.isInitialized) {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.GURU_STATS, JSON.stringify(stats));
+            return;
+        }
+
+        try {
+            if (!this.cache) {
+                await this.loadPreferences();
+            }
+
+            this.cache.guruStats = stats;
+            await this.savePreferences(this.cache);
+
+            // Also update localStorage as backup
+            localStorage.setItem(CONFIG.STORAGE_KEYS.GURU_STATS, JSON.stringify(stats));
+        } catch (error) {
+            console.error('Error setting guru stats in appData:', error);
+            // Fall back to localStorage
+            localStorage.setItem(CONFIG.STORAGE_KEYS.GURU_STATS, JSON.stringify(stats));
+        }
+    }
+
+    /**
+     * Get private match notes (pod id -> { title, matches })
+     */
+    async getPrivateNotes() {
+        if (!this.isInitialized) {
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.PRIVATE_NOTES);
+            return stored ? JSON.parse(stored) : {};
+        }
+
+        try {
+            if (!this.cache) {
+                await this.loadPreferences();
+            }
+            return this.cache.privateNotes || {};
+        } catch (error) {
+            console.error('Error getting private notes from appData:', error);
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.PRIVATE_NOTES);
+            return stored ? JSON.parse(stored) : {};
+        }
+    }
+
+    /**
+     * Set private match notes
+     */
+    async setPrivateNotes(notes) {
+        if (!this.isInitialized) {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.PRIVATE_NOTES, JSON.stringify(notes));
+            return;
+        }
+
+        try {
+            if (!this.cache) {
+                await this.loadPreferences();
+            }
+
+            this.cache.privateNotes = notes;
+            await this.savePreferences(this.cache);
+
+            // Also update localStorage as backup
+            localStorage.setItem(CONFIG.STORAGE_KEYS.PRIVATE_NOTES, JSON.stringify(notes));
+        } catch (error) {
+            console.error('Error setting private notes in appData:', error);
+            // Fall back to localStorage
+            localStorage.setItem(CONFIG.STORAGE_KEYS.PRIVATE_NOTES, JSON.stringify(notes));
+        }
+    }
+
     /**
      * Load preferences from localStorage (fallback)
      * Returns null if no data is found in localStorage
@@ -373,6 +613,11 @@ export class UserPreferences {
         const guruSignature = localStorage.getItem(CONFIG.STORAGE_KEYS.GURU_SIGNATURE);
         const recentPodsStr = localStorage.getItem(CONFIG.STORAGE_KEYS.RECENT_PODS);
         const recentHubsStr = localStorage.getItem(CONFIG.STORAGE_KEYS.RECENT_HUBS);
+        const keyBindingsStr = localStorage.getItem(CONFIG.STORAGE_KEYS.KEY_BINDINGS);
+        const threadTemplatesStr = localStorage.getItem(CONFIG.STORAGE_KEYS.THREAD_TEMPLATES);
+        const discordWebhooksStr = localStorage.getItem(CONFIG.STORAGE_KEYS.DISCORD_WEBHOOKS);
+        const guruStatsStr = localStorage.getItem(CONFIG.STORAGE_KEYS.GURU_STATS);
+        const privateNotesStr = localStorage.getItem(CONFIG.STORAGE_KEYS.PRIVATE_NOTES);
         
         // Return null if no data exists in localStorage
         if (!guruSignature && !recentPodsStr && !recentHubsStr) {
@@ -384,6 +629,11 @@ export class UserPreferences {
             guruSignature: guruSignature || '',
             recentPods: recentPodsStr ? JSON.parse(recentPodsStr) : [],
             recentHubs: recentHubsStr ? JSON.parse(recentHubsStr) : [],
+            keyBindings: keyBindingsStr ? JSON.parse(keyBindingsStr) : {},
+            threadTemplates: threadTemplatesStr ? JSON.parse(threadTemplatesStr) : {},
+            discordWebhooks: discordWebhooksStr ? JSON.parse(discordWebhooksStr) : {},
+            guruStats: guruStatsStr ? JSON.parse(guruStatsStr) : {},
+            privateNotes: privateNotesStr ? JSON.parse(privateNotesStr) : {},
             version: '1.0.0',
             lastUpdated: new Date().toISOString()
         };
@@ -404,6 +654,21 @@ export class UserPreferences {
         if (preferences.recentHubs) {
             localStorage.setItem(CONFIG.STORAGE_KEYS.RECENT_HUBS, JSON.stringify(preferences.recentHubs));
         }
+        if (preferences.keyBindings) {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.KEY_BINDINGS, JSON.stringify(preferences.keyBindings));
+        }
+        if (preferences.threadTemplates) {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.THREAD_TEMPLATES, JSON.stringify(preferences.threadTemplates));
+        }
+        if (preferences.discordWebhooks) {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.DISCORD_WEBHOOKS, JSON.stringify(preferences.discordWebhooks));
+        }
+        if (preferences.guruStats) {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.GURU_STATS, JSON.stringify(preferences.guruStats));
+        }
+        if (preferences.privateNotes) {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.PRIVATE_NOTES, JSON.stringify(preferences.privateNotes));
+        }
     }
 
     /**
@@ -417,6 +682,11 @@ export class UserPreferences {
                     guruSignature: '',
                     recentPods: [],
                     recentHubs: [],
+                    keyBindings: {},
+                    threadTemplates: {},
+                    discordWebhooks: {},
+                    guruStats: {},
+                    privateNotes: {},
                     version: '1.0.0',
                     lastUpdated: new Date().toISOString()
                 };
@@ -431,6 +701,11 @@ export class UserPreferences {
         localStorage.removeItem(CONFIG.STORAGE_KEYS.GURU_SIGNATURE);
         localStorage.removeItem(CONFIG.STORAGE_KEYS.RECENT_PODS);
         localStorage.removeItem(CONFIG.STORAGE_KEYS.RECENT_HUBS);
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.KEY_BINDINGS);
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.THREAD_TEMPLATES);
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.DISCORD_WEBHOOKS);
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.GURU_STATS);
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.PRIVATE_NOTES);
         
         console.log('🗑️ Cleared all preferences');
     }
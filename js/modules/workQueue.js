@@ -0,0 +1,290 @@
+/**
+ * Work Queue
+ * "My queue" for a Guru Hub: loads every pod of the hub and lists the matches waiting on the
+ * guru - claimed by their signature but not scored, and discrepancies they are part of - so
+ * they can be worked through one after the other, across pods. The queue is kept in
+ * localStorage so it survives reloads and pod switches, and each move re-reads the pods on the
+ * way so matches scored or settled since it was built are dropped.
+ */
+import { CONFIG } from '../config.js';
+import { getElement } from '../utils/domUtils.js';
+import { extractSheetId } from '../utils/urlUtils.js';
+import { normalizeResult } from '../utils/podUtils.js';
+
+/**
+ * Find the matches of a pod waiting on a guru
+ * @param {Object} mergedSheet - "Merged Gurus" sheet from getSheetData, with values, columnMapping and guruColors
+ * @param {string} signature - Guru signature
+ * @returns {Array<Object>} [{ matchNumber, color, reason: 'unscored'|'discrepancy', player1, player2 }] in match order
+ */
+export function findQueueMatches(mergedSheet, signature) {
+    const { values = [], columnMapping, guruColors = [] } = mergedSheet;
+    const matches = [];
+
+    // Match numbers count the rows with players, as in the analysis interface
+    let matchNumber = 0;
+    values.slice(1).forEach(row => {
+        const player1 = (row[columnMapping.player1] || '').toString().trim();
+        const player2 = (row[columnMapping.player2] || '').toString().trim();
+        if (!player1 && !player2) return;
+        matchNumber++;
+
+        const analyses = guruColors.map(color => normalizeResult(row[columnMapping[`${color}Analysis`]]));
+        guruColors.forEach((color, index) => {
+            if ((row[columnMapping[`${color}Signature`]] || '').toString().trim() !== signature) return;
+
+            const mine = analyses[index];
+            if (!mine) {
+                matches.push({ matchNumber, color, reason: 'unscored', player1, player2 });
+            } else if (analyses.some(other => other && other !== mine)) {
+                matches.push({ matchNumber, color, reason: 'discrepancy', player1, player2 });
+            }
+        });
+    });
+
+    return matches;
+}
+
+export class WorkQueue {
+    /**
+     * @param {PodBackend} backend - Backend the hub's pods are read from
+     */
+    constructor(backend) {
+        this.backend = backend;
+        // { hubTitle, signature, items: [{ podId, podName, matchNumber, color, reason, player1, player2 }], position }
+        this.queue = this.loadQueue();
+        this.navigateCallbacks = [];
+        this.finishCallbacks = [];
+        this.moving = false;
+        // Match open in the editor
+        this.shownPodId = null;
+        this.shownMatchNumber = null;
+    }
+
+    loadQueue() {
+        try {
+            const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.WORK_QUEUE);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('Error loading work queue from localStorage:', error);
+            return null;
+        }
+    }
+
+    saveQueue() {
+        if (this.queue) {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.WORK_QUEUE, JSON.stringify(this.queue));
+        } else {
+            localStorage.removeItem(CONFIG.STORAGE_KEYS.WORK_QUEUE);
+        }
+    }
+
+    /**
+     * Register a callback for moving to a queue item: callback(item)
+     */
+    onNavigate(callback) {
+        this.navigateCallbacks.push(callback);
+    }
+
+    /**
+     * Register a callback for a queue left with nothing waiting: callback(hubTitle)
+     */
+    onFinish(callback) {
+        this.finishCallbacks.push(callback);
+    }
+
+    isActive() {
+        return !!this.queue && this.queue.items.length > 0;
+    }
+
+    getCurrentItem() {
+        return this.isActive() ? this.queue.items[this.queue.position] : null;
+    }
+
+    /**
+     * Load every pod of a hub and queue the guru's matches. Pods that cannot be read are skipped.
+     * @param {HubManager} hubManager - Hub to collect from
+     * @param {string} hubTitle - Hub title, shown in the queue bar
+     * @param {string} signature - Guru signature
+     * @param {Function} onProgress - Called with (podsDone, podsTotal, podName) before each pod is read
+     * @returns {Promise<{items: number, pods: number, failedPods: Array<string>}>}
+     */
+    async build(hubManager, hubTitle, signature, onProgress = () => {}) {
+        const pods = (await hubManager.getPods()).filter(pod => pod.sheetLink);
+        const items = [];
+        const failedPods = [];
+
+        // One pod at a time, so a large hub stays within the Sheets request quota
+        for (let i = 0; i < pods.length; i++) {
+            const pod = pods[i];
+            onProgress(i, pods.length, pod.podName);
+            try {
+                // Hubs stored on this device link their pods by ID
+                const podId = extractSheetId(pod.sheetLink);
+                if (!podId) {
+                    throw new Error(`invalid sheet link ${pod.sheetLink}`);
+                }
+                const sheetData = await this.backend.getSheetData(podId);
+                const mergedSheet = sheetData.sheets.find(sheet => sheet.title === 'Merged Gurus');
+                if (!mergedSheet || mergedSheet.hidden) continue;
+
+                findQueueMatches(mergedSheet, signature).forEach(match => {
+                    items.push({ podId, podName: pod.podName || sheetData.title, ...match });
+                });
+            } catch (error) {
+                console.warn(`Could not add ${pod.podName} to the queue:`, error);
+                failedPods.push(pod.podName);
+            }
+        }
+
+        this.queue = { hubTitle, signature, items, position: 0 };
+        this.saveQueue();
+        console.log(`📋 Queued ${items.length} matches from ${pods.length} pods of ${hubTitle}`);
+        return { items: items.length, pods: pods.length, failedPods };
+    }
+
+    /**
+     * Whether a queue item still waits on the guru, by the rules the queue was built with. Its
+     * reason is updated, e.g. when an unscored match has become a discrepancy.
+     * @param {Object} item - Queue item
+     * @param {Map} pods - Pod ID -> "Merged Gurus" sheet, so each pod is read once per move
+     * @returns {Promise<boolean>} Also true when the pod cannot be read, so the match stays queued
+     */
+    async isWaiting(item, pods) {
+        if (!pods.has(item.podId)) {
+            try {
+                const sheetData = await this.backend.getSheetData(item.podId);
+                pods.set(item.podId, sheetData.sheets.find(sheet => sheet.title === 'Merged Gurus') || null);
+            } catch (error) {
+                console.warn(`Could not check ${item.podName} for the queue:`, error);
+                pods.set(item.podId, null);
+            }
+        }
+
+        const mergedSheet = pods.get(item.podId);
+        if (!mergedSheet) return true;
+        const match = findQueueMatches(mergedSheet, this.queue.signature)
+            .find(queued => queued.matchNumber === item.matchNumber && queued.color === item.color);
+        if (match) {
+            item.reason = match.reason;
+        }
+        return !!match;
+    }
+
+    /**
+     * Move through the queue and open the item there. Matches no longer waiting on the guru -
+     * the one being left, and those on the way - are dropped first; when nothing waits in that
+     * direction the closest match the other way is opened.
+     * @param {number} step - +1 for the next match, -1 for the previous one, 0 for the current one
+     */
+    async move(step) {
+        if (!this.isActive() || this.moving) return;
+        this.moving = true;
+        try {
+            const { items, position } = this.queue;
+            const current = items[position];
+            const ahead = items.slice(position + 1);
+            const behind = items.slice(0, position).reverse();
+            const pods = new Map();
+            const done = new Set();
+
+            // The match being left is usually the one just scored
+            if (!(await this.isWaiting(current, pods))) {
+                done.add(current);
+            }
+
+            let order = [current, ...ahead, ...behind];
+            if (step > 0) order = [...ahead, current, ...behind];
+            if (step < 0) order = [...behind, current, ...ahead];
+
+            let target = null;
+            for (const item of order) {
+                if (done.has(item)) continue;
+                if (item === current || await this.isWaiting(item, pods)) {
+                    target = item;
+                    break;
+                }
+                done.add(item);
+            }
+
+            if (done.size > 0) {
+                console.log(`📋 Dropped ${done.size} matches no longer waiting from the queue`);
+            }
+            if (!target) {
+                const { hubTitle } = this.queue;
+                this.stop();
+                this.finishCallbacks.forEach(callback => callback(hubTitle));
+                return;
+            }
+
+            this.queue.items = items.filter(item => !done.has(item));
+            this.queue.position = this.queue.items.indexOf(target);
+            this.saveQueue();
+            this.render();
+            this.navigateCallbacks.forEach(callback => callback(target));
+        } finally {
+            this.moving = false;
+        }
+    }
+
+    /**
+     * Open the current queue item, or the next one still waiting
+     */
+    async open() {
+        await this.move(0);
+    }
+
+    stop() {
+        this.queue = null;
+        this.saveQueue();
+        this.render();
+    }
+
+    /**
+     * Show the queue bar in the editor while a queue is active. When the guru has moved away from
+     * the current queue match, the bar offers to resume it.
+     * @param {string|null} podId - Open pod
+     * @param {number|null} matchNumber - Open match number
+     */
+    render(podId = this.shownPodId, matchNumber = this.shownMatchNumber) {
+        this.shownPodId = podId;
+        this.shownMatchNumber = matchNumber;
+
+        const bar = getElement('work-queue-bar');
+        if (!bar) return;
+
+        const item = this.getCurrentItem();
+        if (!item) {
+            bar.style.display = 'none';
+            return;
+        }
+
+        const { position, items } = this.queue;
+        const onItem = item.podId === podId && item.matchNumber === matchNumber;
+        bar.style.display = '';
+        bar.classList.toggle('off-queue', !onItem);
+        bar.innerHTML = `
+            <div class="work-queue-info">
+                <strong>My queue ${position + 1}/${items.length}</strong>
+                <span class="work-queue-item"></span>
+            </div>
+            <div class="work-queue-actions">
+                <button class="secondary-btn" data-queue="prev" ${position === 0 ? 'disabled' : ''} title="Previous match in your queue">‹</button>
+                ${onItem ? '' : '<button class="secondary-btn" data-queue="open" title="Back to the current queue match">Resume</button>'}
+                <button class="secondary-btn" data-queue="next" ${position === items.length - 1 ? 'disabled' : ''} title="Next match in your queue">›</button>
+                <button class="secondary-btn" data-queue="stop" title="Leave the queue">✕</button>
+            </div>
+        `;
+        const reason = item.reason === 'discrepancy' ? 'Discrepancy' : 'Not scored';
+        bar.querySelector('.work-queue-item').textContent = `${item.podName} #${item.matchNumber} · ${reason}`;
+        bar.querySelector('.work-queue-item').title = `${item.player1} vs ${item.player2}`;
+
+        bar.onclick = (e) => {
+            const action = e.target.closest('[data-queue]')?.dataset.queue;
+            if (action === 'prev') this.move(-1);
+            else if (action === 'next') this.move(1);
+            else if (action === 'open') this.open();
+            else if (action === 'stop') this.stop();
+        };
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * Analysis import utility functions
+ */
+import { parseCSV } from './csvUtils.js';
+
+// Accepted spellings of a result, as Player 1's score
+const RESULT_VALUES = {
+    w: 1, win: 1, '1': 1, '1.0': 1,
+    t: 0.5, tie: 0.5, d: 0.5, draw: 0.5, '0.5': 0.5, '.5': 0.5,
+    l: 0, loss: 0, '0': 0, '0.0': 0
+};
+
+const HEADER_NAMES = {
+    id: ['id', 'match id', 'match'],
+    player1: ['player 1', 'player1', 'p1', 'p1 deck'],
+    player2: ['player 2', 'player2', 'p2', 'p2 deck'],
+    result: ['result', 'analysis', 'outcome', 'w/t/l', 'score']
+};
+
+/**
+ * @param {string} value - Result as typed, e.g. "W", "Tie" or "0.5"
+ * @returns {number|null} 1, 0.5 or 0, or null if the value is not a result
+ */
+export function parseImportedResult(value) {
+    const key = (value || '').toString().trim().toLowerCase();
+    return key in RESULT_VALUES ? RESULT_VALUES[key] : null;
+}
+
+/**
+ * Read the results of an import file. With a header row the columns are found by name (ID or
+ * Player 1 and Player 2, and Result); without one, rows are read as "ID,Result" or
+ * "Player 1,Player 2,Result".
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} [{ line, id, player1, player2, value, result }], result null when not W/T/L
+ */
+export function parseAnalysisCSV(text) {
+    const rows = parseCSV(text).filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length === 0) {
+        return [];
+    }
+
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const find = (names) => header.findIndex(cell => names.includes(cell));
+    let columns = {
+        id: find(HEADER_NAMES.id),
+        player1: find(HEADER_NAMES.player1),
+        player2: find(HEADER_NAMES.player2),
+        result: find(HEADER_NAMES.result)
+    };
+    const hasHeader = columns.result !== -1;
+    if (!hasHeader) {
+        columns = rows[0].length >= 3
+            ? { id: -1, player1: 0, player2: 1, result: 2 }
+            : { id: 0, player1: -1, player2: -1, result: 1 };
+    }
+
+    const cell = (row, index) => (index === -1 ? '' : (row[index] || '').trim());
+    return rows.slice(hasHeader ? 1 : 0).map((row, index) => ({
+        line: index + (hasHeader ? 2 : 1),
+        id: cell(row, columns.id),
+        player1: cell(row, columns.player1),
+        player2: cell(row, columns.player2),
+        value: cell(row, columns.result),
+        result: parseImportedResult(cell(row, columns.result))
+    }));
+}
+
+/**
+ * Match imported results to the pod and work out what they change for one colour. Only matches
+ * claimed by the guru in that colour can be changed.
+ * @param {Array<Object>} imported - Result of parseAnalysisCSV
+ * @param {Array<Object>} rows - Matches in order, with matchId, player1, player2 and `${color}Analysis`/`${color}Signature`
+ * @param {string} color - Guru colour to import into
+ * @param {string} signature - Guru signature
+ * @returns {Array<Object>} [{ line, idx, status: 'change'|'unchanged'|'error', text, before, after }], idx -1 when no match was found
+ */
+export function planAnalysisImport(imported, rows, color, signature) {
+    const seen = new Set();
+    const normalize = (text) => text.trim().toLowerCase();
+
+    return imported.map(entry => {
+        const plan = { line: entry.line, idx: -1, status: 'error', text: '', before: '', after: '' };
+
+        let candidates;
+        let label;
+        if (entry.id) {
+            candidates = rows.map((row, idx) => idx).filter(idx => rows[idx].matchId === entry.id);
+            label = `ID ${entry.id}`;
+        } else if (entry.player1 && entry.player2) {
+            candidates = rows.map((row, idx) => idx).filter(idx =>
+                normalize(rows[idx].player1) === normalize(entry.player1) && normalize(rows[idx].player2) === normalize(entry.player2));
+            label = `${entry.player1} vs ${entry.player2}`;
+        } else {
+            plan.text = 'No match ID or Player 1 and Player 2 decks';
+            return plan;
+        }
+
+        if (candidates.length === 0) {
+            plan.text = `No match with ${label}`;
+            return plan;
+        }
+        if (candidates.length > 1) {
+            plan.text = `${candidates.length} matches with ${label}, use the match ID`;
+            return plan;
+        }
+
+        const idx = candidates[0];
+        const row = rows[idx];
+        plan.idx = idx;
+        plan.before = row[`${color}Analysis`] || '';
+
+        if (entry.result === null) {
+            plan.text = `"${entry.value}" is not a result, use W, T or L`;
+        } else if (seen.has(idx)) {
+            plan.text = 'This match is already in the file';
+        } else if ((row[`${color}Signature`] || '').trim() !== signature) {
+            const claimedBy = (row[`${color}Signature`] || '').trim();
+            plan.text = claimedBy ? `Claimed by ${claimedBy}, not you` : 'Not claimed by you';
+        } else if (plan.before !== '' && parseFloat(plan.before) === entry.result) {
+            plan.status = 'unchanged';
+            plan.after = plan.before;
+        } else {
+            plan.status = 'change';
+            plan.after = entry.result.toString();
+        }
+        seen.add(idx);
+        return plan;
+    });
+}
@@ -0,0 +1,79 @@
+/**
+ * CSV utility functions
+ */
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted fields, escaped quotes, newlines inside quotes)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Parsed rows, without trailing empty lines
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop trailing blank lines
+    while (rows.length > 0 && rows[rows.length - 1].every(cell => cell === '')) {
+        rows.pop();
+    }
+
+    return rows;
+}
+
+/**
+ * Escape a single value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+export function escapeCSVValue(value) {
+    const str = value === null || value === undefined ? '' : value.toString();
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialise rows of cells to CSV text
+ * @param {Array<Array<*>>} rows - Rows of cells
+ * @returns {string} CSV text
+ */
+export function toCSV(rows) {
+    return rows.map(row => row.map(escapeCSVValue).join(',')).join('\r\n');
+}
@@ -66,3 +66,21 @@ export function addEventListenerSafe(elementId, event, handler, required = false
         element.addEventListener(event, handler);
     }
 }
+
+/**
+ * Offer text content as a file download
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the file
+ */
+export function downloadTextFile(filename, content, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,102 @@
+/**
+ * Pod export utility functions
+ */
+import { formatGuruColor } from '../modules/podBackend.js';
+
+/**
+ * Results of a pod as rows of cells for CSV export, header first
+ * @param {Object} pod - Export data from GuruAnalysisInterface.getExportData
+ * @returns {Array<Array<*>>} Rows of cells
+ */
+export function exportMatchesToRows(pod) {
+    return [
+        [
+            'Match', 'ID', 'Player 1', 'Player 2',
+            ...pod.guruColors.flatMap(color => [`${formatGuruColor(color)} Analysis`, `${formatGuruColor(color)} Signature`]),
+            'Outcome', 'Discrepancy', 'Inverse Error Suspected'
+        ],
+        ...pod.matches.map(match => [
+            match.match,
+            match.id,
+            match.player1,
+            match.player2,
+            ...pod.guruColors.flatMap(color => [match.results[color].analysis, match.results[color].signature]),
+            match.outcome,
+            match.discrepancy ? 'Yes' : 'No',
+            match.inverseErrorSuspected ? 'Yes' : 'No'
+        ])
+    ];
+}
+
+/**
+ * Deck notes of a pod as rows of cells for CSV export, header first
+ * @param {Object} pod - Export data from GuruAnalysisInterface.getExportData
+ * @returns {Array<Array<*>>} Rows of cells
+ */
+export function exportDeckNotesToRows(pod) {
+    return [
+        ['Decklist', 'Goldfish Clock', 'Notes', 'Additional Notes'],
+        ...pod.deckNotes.map(note => [note.deck, note.goldfishClock, note.notes, note.additionalNotes])
+    ];
+}
+
+/**
+ * Escape the characters Discord would read as formatting
+ * @param {string} text - Plain text
+ * @returns {string} Text safe to put in a Discord message
+ */
+function escapeMarkdown(text) {
+    return (text || '').toString().replace(/([\\*_~`|>#[\]])/g, '\\$1');
+}
+
+/**
+ * Summary of a pod in Discord-friendly Markdown: bold headings and bullet lists, as Discord does
+ * not render tables
+ * @param {Object} pod - Export data from GuruAnalysisInterface.getExportData
+ * @returns {string} Markdown text
+ */
+export function exportToMarkdown(pod) {
+    const describe = (match) => `Match ${match.match}: ${escapeMarkdown(match.player1)} vs ${escapeMarkdown(match.player2)}`;
+    const guruResults = (match) => pod.guruColors
+        .map(color => {
+            const { result, signature } = match.results[color];
+            return `${formatGuruColor(color)}: ${result || 'not scored'}${signature ? ` (${escapeMarkdown(signature)})` : ''}`;
+        })
+        .join(' · ');
+
+    const discrepancies = pod.matches.filter(match => match.discrepancy);
+    const inverseErrors = pod.matches.filter(match => match.inverseErrorSuspected);
+    const decided = pod.matches.filter(match => ['Win', 'Tie', 'Loss'].includes(match.outcome));
+    const lines = [
+        `**${escapeMarkdown(pod.title)}**`,
+        `Exported ${pod.exportedAt.slice(0, 10)} · ${pod.matches.length} matches · ${decided.length} decided · ${discrepancies.length} discrepancies · ${inverseErrors.length} inverse errors suspected`
+    ];
+
+    if (discrepancies.length > 0) {
+        lines.push('', '**Discrepancies**');
+        discrepancies.forEach(match => lines.push(`- ${describe(match)} — ${guruResults(match)}`));
+    }
+
+    if (inverseErrors.length > 0) {
+        lines.push('', '**Inverse errors suspected**');
+        inverseErrors.forEach(match => lines.push(`- ${describe(match)} — ${match.outcome}`));
+    }
+
+    lines.push('', '**Results**');
+    pod.matches.forEach(match => lines.push(`- ${describe(match)} — ${match.outcome || 'Not scored'}`));
+
+    const notes = pod.deckNotes.filter(note => note.goldfishClock || note.notes || note.additionalNotes);
+    if (notes.length > 0) {
+        lines.push('', '**Deck notes**');
+        notes.forEach(note => {
+            const parts = [
+                note.goldfishClock && `Clock: ${escapeMarkdown(note.goldfishClock)}`,
+                note.notes && escapeMarkdown(note.notes),
+                note.additionalNotes && escapeMarkdown(note.additionalNotes)
+            ].filter(Boolean);
+            lines.push(`- **${escapeMarkdown(note.deck)}** — ${parts.join(' · ')}`);
+        });
+    }
+
+    return lines.join('\n') + '\n';
+}
@@ -80,4 +80,15 @@ export function podCodeToName(podCode) {
     }
 
     return `${baseName}${podCode.slice(1)}`;
-}
\ No newline at end of file
+}
+
+/**
+ * Normalise a guru result so "1" and "1.0" compare equal
+ * @param {string} value - Analysis value
+ * @returns {string} Normalised value ('' when not scored)
+ */
+export function normalizeResult(value) {
+    const str = (value || '').toString().trim();
+    const num = parseFloat(str);
+    return isNaN(num) ? str.toLowerCase() : num.toString();
+}
@@ -0,0 +1,81 @@
+/**
+ * Deck standings utility functions
+ */
+
+/**
+ * Compute deck standings from the consensus outcome of every match. An outcome is Player 1's
+ * result (1 win, 0.5 tie, 0 loss); Player 2 scores the rest of the point. Incomplete and
+ * Discrepancy matches are undecided and give each deck a range of possible finishes.
+ * @param {Array<Object>} rows - Match rows with player1, player2 and outcomeValue
+ * @returns {Array<Object>} Standings sorted by points, each
+ *   { rank, deck, points, p1Points, p2Points, wins, ties, losses, undecided, maxPoints, bestFinish, worstFinish }
+ */
+export function computeStandings(rows) {
+    const decks = new Map();
+    const getDeck = (name) => {
+        if (!decks.has(name)) {
+            decks.set(name, { deck: name, points: 0, p1Points: 0, p2Points: 0, wins: 0, ties: 0, losses: 0, undecided: 0 });
+        }
+        return decks.get(name);
+    };
+
+    rows.forEach(row => {
+        if (!row.player1 || !row.player2) return;
+        const p1 = getDeck(row.player1);
+        const p2 = getDeck(row.player2);
+
+        const outcome = (row.outcomeValue || '').toString().trim();
+        const p1Score = parseFloat(outcome);
+        if (outcome === '' || isNaN(p1Score)) {
+            p1.undecided++;
+            p2.undecided++;
+            return;
+        }
+
+        const p2Score = 1 - p1Score;
+        p1.points += p1Score;
+        p1.p1Points += p1Score;
+        p2.points += p2Score;
+        p2.p2Points += p2Score;
+        [[p1, p1Score], [p2, p2Score]].forEach(([standing, score]) => {
+            if (score === 1) standing.wins++;
+            else if (score === 0.5) standing.ties++;
+            else if (score === 0) standing.losses++;
+        });
+    });
+
+    const standings = [...decks.values()].map(standing => ({
+        ...standing,
+        maxPoints: standing.points + standing.undecided
+    }));
+
+    // Best finish: only decks already ahead of everything this deck can still reach stay above it.
+    // Worst finish: every deck that can still overtake it does. Ties share a place.
+    standings.forEach(standing => {
+        const others = standings.filter(other => other !== standing);
+        standing.bestFinish = 1 + others.filter(other => other.points > standing.maxPoints).length;
+        standing.worstFinish = 1 + others.filter(other => other.maxPoints > standing.points).length;
+    });
+
+    standings.sort((a, b) => b.points - a.points || b.wins - a.wins || a.deck.localeCompare(b.deck));
+    standings.forEach((standing, index) => {
+        const previous = standings[index - 1];
+        standing.rank = previous && previous.points === standing.points ? previous.rank : index + 1;
+    });
+
+    return standings;
+}
+
+/**
+ * Standings as rows of cells for CSV export, header first
+ * @param {Array<Object>} standings - Result of computeStandings
+ * @returns {Array<Array<*>>} Rows of cells
+ */
+export function standingsToRows(standings) {
+    return [
+        ['Rank', 'Deck', 'Points', 'Points as P1', 'Points as P2', 'Wins', 'Ties', 'Losses', 'Undecided', 'Best Finish', 'Worst Finish'],
+        ...standings.map(s => [
+            s.rank, s.deck, s.points, s.p1Points, s.p2Points, s.wins, s.ties, s.losses, s.undecided, s.bestFinish, s.worstFinish
+        ])
+    ];
+}
@@ -0,0 +1,94 @@
+/**
+ * Discord thread template utility functions
+ */
+
+// Templates of the Guru Match Help posts, as used before they could be changed
+export const DEFAULT_THREAD_TEMPLATES = {
+    title: '{podName} {matchNumber}',
+    text: 'P1 - {p1Cards}\nP2 - {p2Cards}\n[See match on The Stylus]({matchLink}) :Stylus:\n\n{correction}\n',
+    writeupCommand: '/writeup matchid:{podName} {matchNumber}',
+    channelUrl: 'https://discord.com/channels/1051702336113889330/1145460704724398181'
+};
+
+// Rows of the pod's metadata sheet that override a template, camelCased by parseCustomMetadata
+// (e.g. "Thread Title Template")
+const METADATA_KEYS = {
+    title: 'threadTitleTemplate',
+    text: 'threadTextTemplate',
+    writeupCommand: 'writeupCommandTemplate',
+    channelUrl: 'threadChannelUrl'
+};
+
+// The channel link becomes a link in the app, so only Discord channel links are accepted
+const CHANNEL_URL_PATTERN = /^https:\/\/(?:ptb\.|canary\.)?discord(?:app)?\.com\/channels\/[\w/]+$/;
+
+/**
+ * @param {string} url - Channel link as typed
+ * @returns {boolean} Whether it is a https://discord.com/channels/… link
+ */
+export function isValidChannelUrl(url) {
+    return CHANNEL_URL_PATTERN.test((url || '').trim());
+}
+
+/**
+ * @param {string} part - Part of the post the template is for
+ * @param {string} template - Template as set by the guru or the pod
+ * @returns {boolean} Whether the template can be used
+ */
+function isUsableTemplate(part, template) {
+    if (!template || !template.trim()) return false;
+    return part !== 'channelUrl' || isValidChannelUrl(template);
+}
+
+export const THREAD_TEMPLATE_PLACEHOLDERS = {
+    podName: 'Pod name, e.g. "Novice I"',
+    matchNumber: 'Match number',
+    player1: 'Player 1 deck as in the sheet',
+    player2: 'Player 2 deck as in the sheet',
+    p1Cards: 'Player 1 cards, separated by |',
+    p2Cards: 'Player 2 cards, separated by |',
+    p1Links: 'Player 1 cards with Scryfall links',
+    p2Links: 'Player 2 cards with Scryfall links',
+    correction: 'Your correction, e.g. "W/T -> L", empty without a discrepancy',
+    matchLink: 'Link to the match on The Stylus'
+};
+
+/**
+ * Pick the template of each part of a post: the guru's own first, then the pod's, then the default.
+ * A channel link that is not a https://discord.com/channels/… link is ignored.
+ * @param {Object} metadata - Custom metadata of the pod, as returned by getSheetData
+ * @param {Object} personal - Templates saved in the guru's preferences
+ * @returns {Object} { templates: { title, text, writeupCommand, channelUrl }, sources: { part -> 'personal'|'pod'|'default' } }
+ */
+export function resolveThreadTemplates(metadata = {}, personal = {}) {
+    const templates = {};
+    const sources = {};
+    Object.keys(DEFAULT_THREAD_TEMPLATES).forEach(part => {
+        // Metadata values can only be one line, so "\n" is typed out there
+        const podTemplate = (metadata?.[METADATA_KEYS[part]] || '').toString().replace(/\\n/g, '\n');
+        if (isUsableTemplate(part, personal?.[part])) {
+            templates[part] = personal[part];
+            sources[part] = 'personal';
+        } else if (isUsableTemplate(part, podTemplate)) {
+            templates[part] = podTemplate;
+            sources[part] = 'pod';
+        } else {
+            templates[part] = DEFAULT_THREAD_TEMPLATES[part];
+            sources[part] = 'default';
+        }
+    });
+    return { templates, sources };
+}
+
+/**
+ * Fill in the placeholders of a template. Unknown placeholders are left as typed, so a typo
+ * shows in the preview. Blank lines left at the end by empty placeholders are dropped.
+ * @param {string} template - Template text, e.g. "{podName} {matchNumber}"
+ * @param {Object} values - Placeholder name -> value
+ * @returns {string} Rendered text
+ */
+export function renderThreadTemplate(template, values) {
+    return (template || '')
+        .replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? (values[name] ?? '').toString() : placeholder))
+        .replace(/\n\s*$/, '\n');
+}
@@ -0,0 +1,116 @@
+/**
+ * Mock Discord webhook
+ * A local endpoint that answers like the webhook of a Discord forum channel, to try posting
+ * threads from The Stylus without a Discord server. Start it with `npm run mock-webhook`, then
+ * paste the URL it prints in the webhook settings of the thread modal. Each post is printed here
+ * and listed at /posts; links to the posted threads lead nowhere.
+ */
+import http from 'node:http';
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const WEBHOOK_ID = '1000000000000000001';
+const WEBHOOK_TOKEN = 'mock-token';
+const GUILD_ID = '1051702336113889330';
+const CHANNEL_ID = '1145460704724398181';
+const WEBHOOK_PATH = `/api/webhooks/${WEBHOOK_ID}/${WEBHOOK_TOKEN}`;
+
+const posts = [];
+let nextId = 1200000000000000000n;
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        // The Stylus runs on another origin
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Check a post the way Discord does for a forum channel
+ * @returns {string|null} Discord's error message, or null if the post is valid
+ */
+function validatePost(payload) {
+    if (!payload.content || !payload.content.trim()) return 'Cannot send an empty message';
+    if (payload.content.length > 2000) return 'Invalid Form Body: content must be 2000 or fewer in length';
+    if (!payload.thread_name || !payload.thread_name.trim()) return 'Webhooks posted to forum channels must have a thread_name or thread_id';
+    if (payload.thread_name.length > 100) return 'Invalid Form Body: thread_name must be 100 or fewer in length';
+    return null;
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    if (req.method === 'GET' && pathname === '/posts') {
+        send(res, 200, posts);
+        return;
+    }
+
+    if (pathname.replace(/\/$/, '') !== WEBHOOK_PATH) {
+        send(res, 404, { message: 'Unknown Webhook', code: 10015 });
+        return;
+    }
+
+    if (req.method === 'GET') {
+        send(res, 200, { id: WEBHOOK_ID, type: 1, name: 'Mock Guru Match Help', channel_id: CHANNEL_ID, guild_id: GUILD_ID, token: WEBHOOK_TOKEN });
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        send(res, 405, { message: '405: Method Not Allowed', code: 0 });
+        return;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(await readBody(req));
+    } catch (error) {
+        send(res, 400, { message: 'The request body contains invalid JSON.', code: 50109 });
+        return;
+    }
+
+    const invalid = validatePost(payload);
+    if (invalid) {
+        send(res, 400, { message: invalid, code: 50035 });
+        return;
+    }
+
+    // A forum post is a new thread whose ID is also the ID of its first message
+    const threadId = (nextId++).toString();
+    const message = {
+        id: threadId,
+        type: 0,
+        content: payload.content,
+        channel_id: threadId,
+        webhook_id: WEBHOOK_ID,
+        author: { id: WEBHOOK_ID, username: 'Mock Guru Match Help', bot: true },
+        timestamp: new Date().toISOString()
+    };
+    posts.push({ threadName: payload.thread_name, ...message });
+    console.log(`💬 Thread "${payload.thread_name}" (${threadId}):\n${payload.content}\n`);
+
+    // Without wait=true Discord answers 204 and returns no message
+    const wait = new URL(req.url, `http://localhost:${PORT}`).searchParams.get('wait') === 'true';
+    send(res, wait ? 200 : 204, wait ? message : undefined);
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock Discord webhook listening on http://localhost:${PORT}${WEBHOOK_PATH}`);
+    console.log(`Posted threads: http://localhost:${PORT}/posts`);
+});
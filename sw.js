@@ -1,7 +1,7 @@
 // Service Worker for The Stylus PWA
 
 // Version configuration - UPDATE THIS to trigger a service worker update
-const APP_VERSION = 'v20260208';
+const APP_VERSION = 'v20261019';
 const APP_NAME = 'the-stylus';
 const CACHE_NAME = `${APP_NAME}-${APP_VERSION}`;
 
@@ -16,19 +16,39 @@ const urlsToCache = [
   `${BASE_PATH}styles/main.css`,
   `${BASE_PATH}js/main.js`,
   `${BASE_PATH}js/config.js`,
+  `${BASE_PATH}js/modules/auditLog.js`,
   `${BASE_PATH}js/modules/authManager.js`,
+  `${BASE_PATH}js/modules/backendRouter.js`,
+  `${BASE_PATH}js/modules/changeNotifier.js`,
   `${BASE_PATH}js/modules/deckNotesEditor.js`,
+  `${BASE_PATH}js/modules/discordWebhook.js`,
   `${BASE_PATH}js/modules/googleSheetsAPI.js`,
   `${BASE_PATH}js/modules/guruAnalysisInterface.js`,
   `${BASE_PATH}js/modules/guruSignature.js`,
+  `${BASE_PATH}js/modules/guruStats.js`,
   `${BASE_PATH}js/modules/hubManager.js`,
+  `${BASE_PATH}js/modules/keyboardShortcuts.js`,
+  `${BASE_PATH}js/modules/localPodBackend.js`,
+  `${BASE_PATH}js/modules/matchNotes.js`,
+  `${BASE_PATH}js/modules/offlineQueue.js`,
+  `${BASE_PATH}js/modules/podBackend.js`,
+  `${BASE_PATH}js/modules/privateNotes.js`,
   `${BASE_PATH}js/modules/recentPods.js`,
+  `${BASE_PATH}js/modules/requestScheduler.js`,
   `${BASE_PATH}js/modules/scryfallAPI.js`,
+  `${BASE_PATH}js/modules/staleClaims.js`,
   `${BASE_PATH}js/modules/uiController.js`,
+  `${BASE_PATH}js/modules/undoHistory.js`,
   `${BASE_PATH}js/modules/userPreferences.js`,
+  `${BASE_PATH}js/modules/workQueue.js`,
+  `${BASE_PATH}js/utils/analysisImport.js`,
   `${BASE_PATH}js/utils/constants.js`,
+  `${BASE_PATH}js/utils/csvUtils.js`,
   `${BASE_PATH}js/utils/domUtils.js`,
+  `${BASE_PATH}js/utils/podExport.js`,
   `${BASE_PATH}js/utils/podUtils.js`,
+  `${BASE_PATH}js/utils/standings.js`,
+  `${BASE_PATH}js/utils/threadTemplates.js`,
   `${BASE_PATH}js/utils/urlUtils.js`,
   `${BASE_PATH}images/stylus-logo.png`,
   `${BASE_PATH}images/Discord-Symbol-Blurple.svg`,
@@ -105,6 +125,11 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // Discord webhooks (and their local mock) always go to the network
+  if (/^\/api\/(v\d+\/)?webhooks\//.test(url.pathname)) {
+    return;
+  }
+
   // Network-first strategy for API calls (Google Sheets)
   if (url.hostname.includes('googleapis.com') || 
       url.hostname.includes('google.com') ||